@@ -1,5 +1,8 @@
 // ViewCube.js
 import * as THREE from 'three';
+import { animateCamera } from './cameraAnimation.js';
+
+const EDGE = 0.22;                 // edge / corner band, as a fraction of the cube size
 
 function createLabelMaterial(label) {
   const size = 128;
@@ -25,9 +28,127 @@ export class ViewCube extends THREE.Mesh {
       createLabelMaterial('LEFT'),    // -X
       createLabelMaterial('TOP'),     // +Y
       createLabelMaterial('BOTTOM'),  // -Y
-      createLabelMaterial('BACK'),    // -Z is visually front-facing
-      createLabelMaterial('FRONT')    // +Z is visually back-facing
+      createLabelMaterial('FRONT'),   // +Z – the rack's front side
+      createLabelMaterial('BACK')     // -Z
     ];
     super(geometry, materials);
+    this.size = size;
+
+    this.highlightMesh = new THREE.Mesh(
+      new THREE.BoxGeometry(1, 1, 1),
+      new THREE.MeshBasicMaterial({ color: 0x2f80ed, transparent: true, opacity: 0.5, depthWrite: false })
+    );
+    this.highlightMesh.visible = false;
+    this.add(this.highlightMesh);
+  }
+
+  /**
+   * Region under a ray: a vector of −1 / 0 / +1 per axis – one non‑zero
+   * component for a face, two for an edge, three for a corner.
+   */
+  regionAt(raycaster) {
+    const hit = raycaster.intersectObject(this, false)[0];
+    if (!hit) return null;
+    const p = this.worldToLocal(hit.point.clone());
+    const inner = this.size / 2 * (1 - 2 * EDGE);
+    return new THREE.Vector3(
+      Math.abs(p.x) > inner ? Math.sign(p.x) : 0,
+      Math.abs(p.y) > inner ? Math.sign(p.y) : 0,
+      Math.abs(p.z) > inner ? Math.sign(p.z) : 0
+    );
+  }
+
+  /** Tint the face / edge / corner `region` (null clears) */
+  highlight(region) {
+    const h = this.highlightMesh;
+    h.visible = !!region;
+    if (!region) return;
+    const s = this.size, band = s * EDGE, lift = s * 0.01;
+    ['x', 'y', 'z'].forEach(a => {
+      if (region[a]) {
+        h.scale[a]    = band + lift;
+        h.position[a] = region[a] * (s / 2 - band / 2 + lift / 2);
+      } else {
+        h.scale[a]    = s - 2 * band;
+        h.position[a] = 0;
+      }
+    });
   }
 }
+
+/* ---------- navigation ---------- */
+/**
+ * Make the ViewCube clickable: hovering highlights a face / edge / corner,
+ * clicking flies the active camera (`controls.object`) to that standard view around the model
+ * centre, and a home button returns to `home`.
+ *
+ * @param {object}   o
+ * @param {ViewCube} o.cube
+ * @param {THREE.Camera}        o.cubeCamera    camera the cube is rendered with
+ * @param {HTMLCanvasElement}   o.element       the cube's canvas
+ * @param {OrbitControls}       o.controls
+ * @param {function(): THREE.Vector3} o.getFocus  point the standard views look at
+ * @param {{ position:THREE.Vector3, target:THREE.Vector3, zoom?:number }} o.home
+ */
+export function initViewCubeNavigation({ cube, cubeCamera, element, controls, getFocus, home }) {
+  const raycaster = new THREE.Raycaster();
+  const ndc = new THREE.Vector2();
+
+  function regionAt(ev) {
+    const rect = element.getBoundingClientRect();
+    ndc.set(
+      ((ev.clientX - rect.left) / rect.width) * 2 - 1,
+      -((ev.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    raycaster.setFromCamera(ndc, cubeCamera);
+    return cube.regionAt(raycaster);
+  }
+
+  element.addEventListener('pointermove', ev => {
+    const region = regionAt(ev);
+    cube.highlight(region);
+    element.style.cursor = region ? 'pointer' : 'default';
+  });
+  element.addEventListener('pointerleave', () => {
+    cube.highlight(null);
+    element.style.cursor = 'default';
+  });
+  element.addEventListener('click', ev => {
+    const region = regionAt(ev);
+    if (!region) return;
+    const dir = region.clone().normalize();
+    if (!dir.x && !dir.z) dir.z = 1e-3;                 // straight up / down: keep OrbitControls' up valid
+    const target = getFocus();
+    const dist = controls.object.position.distanceTo(controls.target);
+    animateCamera(controls.object, controls, {
+      position: target.clone().addScaledVector(dir.normalize(), dist),
+      target
+    });
+  });
+
+  /* -- home button --------------------------------------------------------- */
+  const btn = document.createElement('button');
+  btn.textContent = '⌂';
+  btn.title = 'Home view';
+  const box = element.getBoundingClientRect();
+  Object.assign(btn.style, {
+    position:     'absolute',
+    left:         element.style.left,
+    bottom:       `calc(${element.style.bottom} + ${box.height || 100}px + 4px)`,
+    width:        '28px',
+    height:       '28px',
+    padding:      '0',
+    fontSize:     '18px',
+    lineHeight:   '26px',
+    cursor:       'pointer',
+    background:   'rgba(255,255,255,0.9)',
+    border:       '1px solid #ccc',
+    borderRadius: '4px',
+    zIndex:       '1000'
+  });
+  btn.addEventListener('click', () => {
+    const camera = controls.object;
+    animateCamera(camera, controls, camera.isOrthographicCamera ? home : { ...home, zoom: undefined });
+  });
+  document.body.appendChild(btn);
+}
@@ -0,0 +1,279 @@
+// annotations.js
+import * as THREE from 'three';
+import { CSS2DRenderer, CSS2DObject } from 'three/addons/renderers/CSS2DRenderer.js';
+import { formatLength } from './units.js';
+import { segmentOf } from './runPath.js';
+
+const M2IN = 1 / 0.0254;
+const GAP  = 0.25;             // distance between dimension rows (m)
+const TICK = 0.05;             // half length of the end ticks (m)
+const EPS  = 1e-4;
+
+const lineMat = new THREE.LineBasicMaterial({
+  color: 0xc0392b, depthTest: false, transparent: true
+});
+
+/** Dimension categories – key → GUI label */
+export const DIMENSION_CATEGORIES = {
+  bays        : 'Bay widths',
+  depth       : 'Rack depth',
+  tiers       : 'Tier clear heights',
+  topClearance: 'Top clearance',
+  ceiling     : 'Ceiling height',
+  services    : 'Service offsets'
+};
+
+/* ---------- primitives ---------- */
+function label(text) {
+  const el = document.createElement('div');
+  el.textContent = text;
+  Object.assign(el.style, {
+    padding:      '1px 4px',
+    background:   'rgba(255,255,255,0.85)',
+    border:       '1px solid #c0392b',
+    borderRadius: '3px',
+    color:        '#c0392b',
+    fontFamily:   'sans-serif',
+    fontSize:     '11px',
+    whiteSpace:   'nowrap'
+  });
+  return new CSS2DObject(el);
+}
+
+/**
+ * Dimension between `a` and `b` (the measured points), drawn offset by
+ * `offset`: extension lines, dimension line and end ticks, plus a label.
+ */
+function dimension(a, b, offset, text) {
+  const pa = a.clone().add(offset);
+  const pb = b.clone().add(offset);
+  const dir  = pb.clone().sub(pa).normalize();
+  const tick = offset.lengthSq() > EPS
+    ? offset.clone().normalize().add(dir).normalize().multiplyScalar(TICK)
+    : new THREE.Vector3(0, TICK, 0);
+
+  const pts = [
+    a, pa, b, pb,                                     // extension lines
+    pa, pb,                                           // dimension line
+    pa.clone().sub(tick), pa.clone().add(tick),
+    pb.clone().sub(tick), pb.clone().add(tick)
+  ];
+  const lines = new THREE.LineSegments(new THREE.BufferGeometry().setFromPoints(pts), lineMat);
+  lines.renderOrder = 10;
+
+  // labels stay direct children of the layer so removing them drops their DOM element
+  const l = label(text);
+  l.position.copy(pa).add(pb).multiplyScalar(0.5);
+  return [lines, l];
+}
+
+/* ---------- measurements from the generated scene ---------- */
+const uniq = vals => vals
+  .sort((a, b) => a - b)
+  .filter((v, i, arr) => i === 0 || Math.abs(v - arr[i - 1]) > EPS);
+
+/* posts, or the frame hanger rods of a trapeze rack */
+const isSupport = ud => (ud.kind === 'post' || ud.kind === 'rod') && !ud.station;
+
+/* box of `o` in the axes given by `inv` (world → segment) */
+function localBox(o, inv) {
+  const box = new THREE.Box3();
+  o.traverse(m => {
+    if (!m.isMesh) return;
+    m.geometry.computeBoundingBox();
+    box.union(m.geometry.boundingBox.clone().applyMatrix4(inv.clone().multiply(m.matrixWorld)));
+  });
+  return box;
+}
+
+/**
+ * Steel and services per run segment, in that segment's axes (X along
+ * the segment).  `frames` sum the post positions of each frame (by 1‑based
+ * frame number).
+ */
+function collect(scene) {
+  const segments = [];
+  let ceiling = null;
+  scene.updateMatrixWorld(true);
+  scene.children.forEach(root => {
+    if (!root.userData.isGenerated) return;
+    root.traverse(o => {
+      const ud = o.userData;
+      if (!ud.kind || ud.elbow) return;
+      const frame = segmentOf(o);
+      const k = ud.segment ?? 0;
+      const seg = segments[k] ??= {
+        matrix: frame ? frame.matrixWorld.clone() : new THREE.Matrix4(),
+        posts: [], frames: new Map(), beams: [], services: []
+      };
+      const inv = seg.matrix.clone().invert();
+      if (isSupport(ud)) {
+        const p = o.getWorldPosition(new THREE.Vector3());
+        seg.posts.push(p.clone().applyMatrix4(inv));
+        const f = seg.frames.get(ud.bay) ?? { sum: new THREE.Vector3(), n: 0 };
+        f.sum.add(p); f.n++;
+        seg.frames.set(ud.bay, f);
+      }
+      else if (ud.kind === 'beam' && ud.role === 'transverse') seg.beams.push({ ud, box: localBox(o, inv) });
+      else if (ud.kind === 'duct' || ud.kind === 'pipe' || ud.kind === 'tray') seg.services.push({ ud, box: localBox(o, inv) });
+      else if (ud.kind === 'shell' && ud.part === 'ceiling') ceiling ??= new THREE.Box3().setFromObject(o);
+    });
+  });
+
+  // frame stations along each segment; a segment ends on the next one's corner frame
+  segments.forEach((seg, k) => {
+    const inv = seg.matrix.clone().invert();
+    const centres = [...seg.frames.values()];
+    const next = segments[k + 1]?.frames.get(1);
+    if (next) centres.push(next);
+    seg.xs = uniq(centres.map(f => f.sum.clone().divideScalar(f.n).applyMatrix4(inv).x));
+    seg.zs = uniq(seg.posts.map(p => p.z));
+  });
+  return { segments: segments.filter(Boolean), ceiling };
+}
+
+/* ---------- annotation layer ---------- */
+/**
+ * Live dimension lines + labels.
+ *
+ * Dimensions are placed on the end and side of the rack facing the
+ * camera (bays along every segment of a turning run, the rest at the
+ * run end) and rebuilt whenever the camera swings round, a category is
+ * toggled or the scene is rebuilt.  They follow whichever camera
+ * `controls` currently drives.  Returns `{ refresh, render }`:
+ * `refresh()` after every scene rebuild, `render()` every frame.
+ */
+export function initAnnotations({ gui, scene, controls }) {
+  const labelRenderer = new CSS2DRenderer();
+  labelRenderer.setSize(innerWidth, innerHeight);
+  Object.assign(labelRenderer.domElement.style, {
+    position:      'absolute',
+    top:           '0',
+    left:          '0',
+    pointerEvents: 'none'
+  });
+  document.body.appendChild(labelRenderer.domElement);
+  addEventListener('resize', () => labelRenderer.setSize(innerWidth, innerHeight));
+
+  const group = new THREE.Group();
+  group.name = 'Annotations';
+  scene.add(group);
+
+  const state = { show: false, ...Object.fromEntries(Object.keys(DIMENSION_CATEGORIES).map(k => [k, true])) };
+  let facing = '';
+
+  /*
+   * Camera side of the run: the free run end facing it (start of the
+   * first segment or end of the last) and, per segment, the rack side.
+   */
+  function facingOf(segments) {
+    const cam = k => controls.object.position.clone().applyMatrix4(segments[k].matrix.clone().invert());
+    const last = segments.length - 1;
+    const atEnd = cam(last).x - segments[last].xs.at(-1) >= -cam(0).x + segments[0].xs[0];
+    const sides = segments.map((_, k) => Math.sign(cam(k).z) || 1);
+    return { atEnd, sides, key: `${atEnd}${sides.join('')}` };
+  }
+
+  let measured = null;                       // last collect(), for the camera listener
+
+  function build() {
+    group.children.forEach(o => o.geometry?.dispose());
+    group.clear();
+    measured = null;
+    if (!state.show) return;
+
+    const { segments, ceiling } = collect(scene);
+    if (!segments.some(seg => seg.posts.length)) return;
+    measured = segments;
+    const { atEnd, sides, key } = facingOf(segments);
+    facing = key;
+
+    const V = (x, y, z) => new THREE.Vector3(x, y, z);
+    // dimensions are laid out in segment axes and placed in the world
+    const adder = seg => {
+      const q = new THREE.Quaternion().setFromRotationMatrix(seg.matrix);
+      return (a, b, offset, text) => group.add(...dimension(
+        a.applyMatrix4(seg.matrix), b.applyMatrix4(seg.matrix), offset.applyQuaternion(q), text));
+    };
+
+    let bay = 0;
+    const tops = [];
+    segments.forEach((seg, k) => {
+      const add = adder(seg);
+      const { xs, zs } = seg;
+      const sideZ = sides[k] > 0 ? zs.at(-1) : zs[0];
+      const roofs = seg.beams.filter(b => b.ud.tier === 0);
+      const topY = roofs.length ? Math.max(...roofs.map(b => b.box.max.y)) : Math.max(...seg.beams.map(b => b.box.max.y));
+      tops.push(topY);
+      if (state.bays) {
+        xs.slice(1).forEach((x, i) => add(V(xs[i], topY, sideZ), V(x, topY, sideZ), V(0, GAP, 0),
+          `Bay ${++bay}: ${formatLength((x - xs[i]) * M2IN)}`));
+      }
+    });
+
+    /* -- free run end facing the camera -------------------------------------- */
+    const k    = atEnd ? segments.length - 1 : 0;
+    const seg  = segments[k];
+    const add  = adder(seg);
+    const sx   = atEnd ? 1 : -1;
+    const sz   = sides[k];
+    const { xs, zs } = seg;
+    const endX  = sx > 0 ? xs.at(-1) : xs[0];
+    const sideZ = sz > 0 ? zs.at(-1) : zs[0];
+    const frameBeams = seg.beams.filter(b => Math.abs(b.box.getCenter(new THREE.Vector3()).x - endX) < EPS);
+    const topY = tops[k];
+
+    if (state.depth && zs.length > 1) {
+      add(V(endX, topY, zs[0]), V(endX, topY, zs.at(-1)), V(0, GAP, 0),
+        `Depth ${formatLength((zs.at(-1) - zs[0]) * M2IN)}`);
+    }
+
+    const off = (rows) => V(sx * GAP * rows, 0, sz * GAP * rows);
+    if (state.tiers) {
+      const levels = frameBeams.slice().sort((a, b) => a.ud.tier - b.ud.tier);   // roof, tier 1, …
+      levels.slice(1).forEach(level => {
+        const above = levels.find(l => l.ud.tier === level.ud.tier - 1);
+        if (!above) return;
+        const top = level.box.max.y, soffit = above.box.min.y;
+        add(V(endX, top, sideZ), V(endX, soffit, sideZ), off(1),
+          `Tier ${level.ud.tier} clear ${formatLength((soffit - top) * M2IN)}`);
+      });
+    }
+    if (state.topClearance) {
+      add(V(endX, 0, sideZ), V(endX, topY, sideZ), off(2), `Top clearance ${formatLength(topY * M2IN)}`);
+    }
+    if (state.ceiling && ceiling) {
+      add(V(endX, 0, sideZ), V(endX, ceiling.max.y, sideZ), off(3), `Ceiling ${formatLength(ceiling.max.y * M2IN)}`);
+    }
+
+    if (state.services) {
+      seg.services.forEach(({ ud, box }) => {
+        const beam = frameBeams.find(b => b.ud.tier === ud.tier);
+        if (!beam) return;
+        const beamTop = beam.box.max.y;
+        const x = sx > 0 ? box.max.x : box.min.x;
+        const z = box.getCenter(new THREE.Vector3()).z;
+        if (box.min.y - beamTop < EPS) return;              // resting on the beam
+        const name = ud.kind === 'duct' ? 'Duct' : `${ud.kind === 'pipe' ? 'Pipe' : 'Tray'} ${ud.index + 1}`;
+        add(V(x, beamTop, z), V(x, box.min.y, z), V(sx * GAP / 2, 0, 0),
+          `Tier ${ud.tier} ${name} +${formatLength((box.min.y - beamTop) * M2IN)}`);
+      });
+    }
+  }
+
+  /* rebuild when the camera swings to another end / side of the rack */
+  controls.addEventListener('change', () => {
+    if (!state.show || !measured) return;
+    if (facingOf(measured).key !== facing) build();
+  });
+
+  const folder = gui.addFolder('Dimensions');
+  folder.add(state, 'show').name('Show dimensions').onChange(build);
+  Object.entries(DIMENSION_CATEGORIES).forEach(([key, name]) => folder.add(state, key).name(name).onChange(build));
+  folder.close();
+
+  return {
+    refresh: build,
+    render : () => labelRenderer.render(scene, controls.object)
+  };
+}
@@ -0,0 +1,271 @@
+// assistantTools.js
+import { ft2in, TRAY_SHEET_IN } from './utils.js';
+import { toDisplay, fromDisplay, unitLabel } from './units.js';
+
+/* ---------- tier geometry (inches) ----------
+   Heights are measured from the top of the tier's bottom beam, side
+   offsets from the rack centre line (+ = front), as in the GUI. */
+const EPS = 1e-6;
+
+/** Clear tier height (in) */
+export const tierHeightIn = (p, tier) => ft2in(p.tierHeights[tier - 1]);
+
+/** Half the usable width: up to the inner faces of the posts (or hanger rods) */
+export function halfWidthIn(p) {
+  const support = p.mounting === 'trapeze' ? p.rodDiameter ?? 0.5 : p.postSize;
+  return ft2in(p.depth) / 2 - support / 2;
+}
+
+/**
+ * The services of a tier as boxes in its cross‑section, placed like the
+ * builders do (ducts sit on the beam, pipes and trays are clamped into
+ * the tier).
+ *
+ * @returns {Array<{ kind:string, index:number, size:number[], side:[number,number], vert:[number,number] }>}
+ */
+export function serviceBoxes(p, tier) {
+  const i = tier - 1, h = tierHeightIn(p, tier), out = [];
+  const box = (kind, index, size, side, w, v, vh) => {
+    const v0 = Math.min(Math.max(v, 0), Math.max(h - vh, 0));
+    out.push({ kind, index, size, side: [side - w / 2, side + w / 2], vert: [v0, v0 + vh] });
+  };
+  if (p.ductEnabled[i]) {
+    box('duct', 0, [p.ductWidths[i], p.ductHeights[i]], p.ductOffsets[i], p.ductWidths[i], 0, p.ductHeights[i]);
+  }
+  if (p.pipeEnabled[i]) {
+    p.pipesPerTier[i].forEach((pipe, j) => box('pipe', j, [pipe.diam], pipe.side, pipe.diam, pipe.vert, pipe.diam));
+  }
+  if (p.trayEnabled[i]) {
+    p.traysPerTier[i].forEach((tray, j) =>
+      box('tray', j, [tray.width, tray.railHeight], tray.side, tray.width + 2 * TRAY_SHEET_IN, tray.vert, tray.railHeight));
+  }
+  return out;
+}
+
+/** Free stretches `[from, to]` across the tier (side offsets, in) over the height band `[v0, v1]` */
+export function freeIntervals(p, tier, v0, v1) {
+  const half = halfWidthIn(p);
+  const taken = serviceBoxes(p, tier)
+    .filter(b => b.vert[0] < v1 - EPS && b.vert[1] > v0 + EPS)
+    .map(b => b.side)
+    .sort((a, b) => a[0] - b[0]);
+  const free = [];
+  let from = -half;
+  taken.forEach(([lo, hi]) => {
+    if (lo > from + EPS) free.push([from, Math.min(lo, half)]);
+    from = Math.max(from, hi);
+  });
+  if (half > from + EPS) free.push([from, half]);
+  return free.filter(([a, b]) => b - a > EPS);
+}
+
+/**
+ * Places in a tier where a `width` × `height` box (in) fits: the lowest
+ * ones first, each as close to the centre line as the free stretch allows.
+ * `at.side` / `at.vert` pin the centre / bottom of the box.
+ *
+ * @returns {Array<{ side:number, vert:number }>}
+ */
+export function findSpace(p, tier, width, height, at = {}) {
+  const h = tierHeightIn(p, tier);
+  const levels = (at.vert != null ? [at.vert] : [0, ...serviceBoxes(p, tier).map(b => b.vert[1])])
+    .filter((v, k, all) => v >= -EPS && v + height <= h + EPS && all.indexOf(v) === k)
+    .sort((a, b) => a - b);
+  const spots = [];
+  levels.forEach(vert => {
+    freeIntervals(p, tier, vert, vert + height).forEach(([a, b]) => {
+      const side = at.side ?? Math.min(Math.max(0, a + width / 2), b - width / 2);
+      if (side - width / 2 < a - EPS || side + width / 2 > b + EPS) return;
+      spots.push({ side, vert });
+    });
+  });
+  return spots.sort((s, t) => s.vert - t.vert || Math.abs(s.side) - Math.abs(t.side));
+}
+
+/**
+ * Where a new `width` × `height` service (in) goes: at `at.side` / `at.vert`
+ * when both are given, else the first place {@link findSpace} offers.
+ *
+ * @returns {{ side:number, vert:number }|null}  null if it does not fit
+ */
+export function placeService(p, tier, width, height, at = {}) {
+  if (at.side != null && at.vert != null) return { side: at.side, vert: at.vert };
+  return findSpace(p, tier, width, height, at)[0] ?? null;
+}
+
+/* ---------- tools ---------- */
+const IN = () => unitLabel('in');
+const d = v => +toDisplay(v, 'in').toFixed(2);          // inches → display value
+const tierArg = { tier: { type: 'integer', description: 'Tier number, 1 = top tier' } };
+
+function checkTier(p, tier) {
+  if (!Number.isInteger(tier) || tier < 1 || tier > p.tierCount) {
+    throw new Error(`tier must be 1 … ${p.tierCount}`);
+  }
+}
+
+const describe = b => ({
+  service: `${b.kind} ${b.index + 1}`,
+  size: b.size.map(d),
+  side: [d(b.side[0]), d(b.side[1])],
+  height: [d(b.vert[0]), d(b.vert[1])]
+});
+
+/**
+ * The tools the assistant may call: OpenAI function definitions plus
+ * `call(name, args)`, which returns a JSON‑able result (`{ error }` if it fails).
+ * Arguments and results are in the display units.
+ *
+ * @param {object}   o
+ * @param {object}   o.params
+ * @param {function} o.propose    `propose(patch)` → `{ proposed, problems }`: stage a
+ *                                params patch for the user to accept
+ * @param {function} [o.runChecks] → `{ clashes, issues }` of the current design
+ */
+export function createAssistantTools({ params, propose, runChecks }) {
+  const tools = {
+    tier_clearance: {
+      description: 'Clear height of a tier and how much of it is left above its highest service.',
+      parameters: { ...tierArg },
+      required: ['tier'],
+      run({ tier }) {
+        checkTier(params, tier);
+        const h = tierHeightIn(params, tier);
+        const top = Math.max(0, ...serviceBoxes(params, tier).map(b => b.vert[1]));
+        return { tier, unit: IN(), tierHeight: d(h), highestServiceTop: d(top), clearAbove: d(h - top) };
+      }
+    },
+
+    list_services: {
+      description: 'Ducts, pipes and cable trays with their size, side span (from the centre line, + = front) ' +
+                   'and height span (from the top of the tier\'s bottom beam).',
+      parameters: { tier: { type: 'integer', description: 'Only this tier (optional)' } },
+      run({ tier } = {}) {
+        if (tier != null) checkTier(params, tier);
+        const tiers = tier != null ? [tier] : Array.from({ length: params.tierCount }, (_, i) => i + 1);
+        return {
+          unit: IN(),
+          usableSide: [d(-halfWidthIn(params)), d(halfWidthIn(params))],
+          tiers: tiers.map(t => ({
+            tier: t, tierHeight: d(tierHeightIn(params, t)), services: serviceBoxes(params, t).map(describe)
+          }))
+        };
+      }
+    },
+
+    free_width: {
+      description: 'Free stretches across the rack depth in a tier at a height above the bottom beam ' +
+                   '(optionally over a band of that height upwards).',
+      parameters: {
+        ...tierArg,
+        elevation: { type: 'number', description: 'Height above the bottom beam top' },
+        height: { type: 'number', description: 'Band height (optional, default 0)' }
+      },
+      required: ['tier', 'elevation'],
+      run({ tier, elevation, height = 0 }) {
+        checkTier(params, tier);
+        const v0 = fromDisplay(elevation, 'in'), v1 = v0 + fromDisplay(height, 'in');
+        const free = freeIntervals(params, tier, v0, Math.max(v1, v0 + EPS * 2));
+        return {
+          tier, unit: IN(),
+          free: free.map(([a, b]) => ({ from: d(a), to: d(b), width: d(b - a) })),
+          widest: d(Math.max(0, ...free.map(([a, b]) => b - a)))
+        };
+      }
+    },
+
+    find_space: {
+      description: 'Where a service of the given width and height fits in a tier (side offset of its centre, ' +
+                   'height of its bottom), lowest first. Use for questions like "is there room for a 6 inch pipe?".',
+      parameters: {
+        ...tierArg,
+        width: { type: 'number' },
+        height: { type: 'number' }
+      },
+      required: ['tier', 'width', 'height'],
+      run({ tier, width, height }) {
+        checkTier(params, tier);
+        const spots = findSpace(params, tier, fromDisplay(width, 'in'), fromDisplay(height, 'in'));
+        return { tier, unit: IN(), fits: spots.length > 0, spots: spots.slice(0, 5).map(s => ({ side: d(s.side), vert: d(s.vert) })) };
+      }
+    },
+
+    add_pipe: {
+      description: 'Propose adding a pipe to a tier (the user accepts or rejects it). Without side / vert ' +
+                   'it goes in the lowest free place nearest the centre line.',
+      parameters: {
+        ...tierArg,
+        diam: { type: 'number', description: 'Outside diameter' },
+        side: { type: 'number', description: 'Side offset of its centre (optional)' },
+        vert: { type: 'number', description: 'Height of its bottom above the beam (optional)' }
+      },
+      required: ['tier', 'diam'],
+      run({ tier, diam, side, vert }) {
+        checkTier(params, tier);
+        const i = tier - 1, dIn = fromDisplay(diam, 'in');
+        const at = { side: side != null ? fromDisplay(side, 'in') : null, vert: vert != null ? fromDisplay(vert, 'in') : null };
+        const spot = placeService(params, tier, dIn, dIn, at);
+        if (!spot) return { proposed: false, problems: [`no free place for a ${d(dIn)} ${IN()} pipe in tier ${tier}`] };
+        const pipe = { diam: dIn, ...spot };
+        const list = params.pipeEnabled[i] ? params.pipesPerTier[i] : [];
+        const shown = [...list, pipe].map(q => ({ diam: d(q.diam), side: d(q.side), vert: d(q.vert) }));
+        return { ...propose({ tiers: [{ tier, pipeEnabled: true, pipesPerTier: shown }] }), pipe: shown.at(-1) };
+      }
+    },
+
+    remove_pipe: {
+      description: 'Propose removing a pipe from a tier (the user accepts or rejects it).',
+      parameters: { ...tierArg, pipe: { type: 'integer', description: 'Pipe number in the tier, from 1' } },
+      required: ['tier', 'pipe'],
+      run({ tier, pipe }) {
+        checkTier(params, tier);
+        const i = tier - 1, list = params.pipeEnabled[i] ? params.pipesPerTier[i] : [];
+        if (!Number.isInteger(pipe) || pipe < 1 || pipe > list.length) {
+          return { proposed: false, problems: [`tier ${tier} has ${list.length} pipe(s)`] };
+        }
+        const rest = list.filter((_, j) => j !== pipe - 1).map(q => ({ diam: d(q.diam), side: d(q.side), vert: d(q.vert) }));
+        return propose({ tiers: [rest.length ? { tier, pipesPerTier: rest } : { tier, pipeEnabled: false }] });
+      }
+    },
+
+    run_checks: {
+      description: 'Run clash detection and the design-rule checks on the current design.',
+      parameters: {},
+      run() {
+        if (!runChecks) return { available: false };
+        const { clashes = [], issues = [] } = runChecks();
+        return {
+          unit: IN(),
+          clashes: clashes.map(c => ({
+            tier: c.tier, element: c.element, other: c.other,
+            overlap: d(c.overlapIn), hard: c.hard, sleevedPenetration: c.penetration
+          })),
+          rules: issues.map(i => ({ severity: i.severity, message: i.message }))
+        };
+      }
+    }
+  };
+
+  return {
+    /** OpenAI `tools` entries */
+    definitions: Object.entries(tools).map(([name, t]) => ({
+      type: 'function',
+      function: {
+        name,
+        description: t.description,
+        parameters: { type: 'object', properties: t.parameters, required: t.required ?? [] }
+      }
+    })),
+
+    /** Run tool `name`; errors come back as `{ error }` for the model to read */
+    call(name, args) {
+      const tool = tools[name];
+      if (!tool) return { error: `unknown tool "${name}"` };
+      try {
+        return tool.run(args ?? {});
+      } catch (err) {
+        return { error: err.message };
+      }
+    }
+  };
+}
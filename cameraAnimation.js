@@ -0,0 +1,51 @@
+// cameraAnimation.js
+import * as THREE from 'three';
+
+const ease = t => (t < 0.5 ? 4 * t * t * t : 1 - (-2 * t + 2) ** 3 / 2);   // ease‑in‑out cubic
+
+let running = 0;                                  // id of the latest animation
+
+/**
+ * Fly `camera` and `controls.target` to a new view.  The view direction
+ * swings round the target (slerp), so the model stays in frame.  A new
+ * call cancels the one in progress.
+ *
+ * @param {THREE.Camera} camera
+ * @param {OrbitControls} controls
+ * @param {{ position:THREE.Vector3, target:THREE.Vector3, zoom?:number }} to
+ * @param {number} [duration=600]  ms
+ * @returns {Promise<void>} resolves when the camera arrives (or is cancelled)
+ */
+export function animateCamera(camera, controls, to, duration = 600) {
+  const id = ++running;
+  const fromTarget = controls.target.clone();
+  const fromOffset = camera.position.clone().sub(fromTarget);
+  const toOffset   = to.position.clone().sub(to.target);
+  const fromZoom   = camera.zoom;
+  const toZoom     = to.zoom ?? camera.zoom;
+
+  const fromDir = fromOffset.clone().normalize();
+  const swing   = new THREE.Quaternion().setFromUnitVectors(fromDir, toOffset.clone().normalize());
+  const q       = new THREE.Quaternion();
+  const start   = performance.now();
+
+  return new Promise(resolve => {
+    function step(now) {
+      if (id !== running) return resolve();
+      const t = ease(Math.min((now - start) / duration, 1));
+
+      q.identity().slerp(swing, t);
+      const dist = THREE.MathUtils.lerp(fromOffset.length(), toOffset.length(), t);
+      controls.target.lerpVectors(fromTarget, to.target, t);
+      camera.position.copy(fromDir).applyQuaternion(q).multiplyScalar(dist).add(controls.target);
+      camera.zoom = THREE.MathUtils.lerp(fromZoom, toZoom, t);
+      camera.updateProjectionMatrix();
+      camera.lookAt(controls.target);
+      controls.update();
+
+      if (t < 1) requestAnimationFrame(step);
+      else resolve();
+    }
+    requestAnimationFrame(step);
+  });
+}
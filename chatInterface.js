@@ -1,14 +1,58 @@
 // chatInterface.js
+import { isMetric, unitLabel, paramsToDisplay } from './units.js';
+import { replaceParams } from './projectIO.js';
+import { validatePatch, diffParams } from './paramsSchema.js';
+import { htmlTable, escapeHTML } from './uiPanel.js';
+import {
+  PROVIDER_TYPES, PROVIDER_PRESETS, AUTH_TYPES, loadLLMSettings, saveLLMSettings, createProvider
+} from './llmProvider.js';
+import { createAssistantTools } from './assistantTools.js';
+import { parseCommand } from './commandParser.js';
 
-const OPENAI_API_URL = 'https://api.openai.com/v1/chat/completions';
+const MAX_TOOL_ROUNDS = 4;            // model ↔ tools round trips per message
+const MAX_HISTORY     = 30;           // messages sent back to the model …
+const MAX_HISTORY_CHARS = 24000;      // … and their size
+
+/* drop the oldest turns – never the current one, never half a turn */
+function trimHistory(history) {
+  const size = () => history.reduce((n, m) => n + (m.content?.length ?? 0) + JSON.stringify(m.tool_calls ?? '').length, 0);
+  while ((history.length > MAX_HISTORY || size() > MAX_HISTORY_CHARS) &&
+         history.filter(m => m.role === 'user').length > 1) {
+    history.shift();
+    while (history[0].role !== 'user') history.shift();
+  }
+}
+
+/* one labelled row of the settings block */
+function field(label, el) {
+  const row = document.createElement('label');
+  Object.assign(row.style, { display: 'block', fontSize: '0.9em', marginBottom: '4px' });
+  row.textContent = label;
+  Object.assign(el.style, { display: 'block', width: '100%', boxSizing: 'border-box' });
+  row.appendChild(el);
+  return row;
+}
+
+function control(tag, props) {
+  return Object.assign(document.createElement(tag), props);
+}
 
 /**
  * @param {object}   params        Your GUI params object
  * @param {function} rebuildScene  The function returned by setupGUI()
  * @param {function} [updateGUI]   Optional: callback to sync sliders
+ * @param {function} [commitChange] Optional: called with the user prompt once
+ *                                  a response has been applied (undo step)
+ * @param {function} [checkRules]  Optional: `(next, prev)` → the design‑rule
+ *                                  errors a response would introduce; any
+ *                                  rejects the whole response
+ * @param {{ show:function, clear:function }} [preview]  Optional: ghost of the
+ *                                  proposed params in the scene (patchPreview.js)
+ * @param {function} [runChecks]   Optional: → `{ clashes, issues }`, for the
+ *                                  assistant's check tool
  */
-export function initChatInterface(params, rebuildScene, updateGUI) {
-  let apiKey = '';
+export function initChatInterface(params, rebuildScene, updateGUI, commitChange, checkRules, preview, runChecks) {
+  const settings = loadLLMSettings();
 
   // Build the widget container
   const container = document.createElement('div');
@@ -41,17 +85,76 @@ export function initChatInterface(params, rebuildScene, updateGUI) {
   });
   container.appendChild(title);
 
-  // API key input
-  const header = document.createElement('div');
+  // Start over: forget the conversation (the design stays as it is)
+  const restart = control('span', { textContent: '⟲', title: 'New conversation' });
+  Object.assign(restart.style, { float: 'right', cursor: 'pointer', fontWeight: 'normal' });
+  restart.addEventListener('click', () => {
+    if (busy) return;                 // the running turn still writes to the history
+    settle(false);
+    history.length = 0;
+    messages.replaceChildren(welcome);
+  });
+  title.appendChild(restart);
+
+  // Model settings (stored in this browser only, see llmProvider.js)
+  const header = document.createElement('details');
   header.style.padding = '8px';
-  header.innerHTML = `
-    <label style="font-size:0.9em">OpenAI API Key:</label>
-    <input type="password" id="openai-key"
-           style="width:100%; box-sizing:border-box"
-           placeholder="sk-…" />
-  `;
+  header.open = !settings.apiKey && settings.provider === 'openai';
+  header.appendChild(control('summary', { textContent: 'Model settings', style: 'cursor:pointer; font-size:0.9em' }));
   container.appendChild(header);
 
+  const inputs = {
+    provider   : control('select'),
+    baseURL    : control('input', { placeholder: 'http://localhost:11434/v1' }),
+    model      : control('input'),
+    auth       : control('select'),
+    authHeader : control('input', { placeholder: 'api-key' }),
+    apiKey     : control('input', { type: 'password', placeholder: 'sk-…' }),
+    rememberKey: control('input', { type: 'checkbox' }),
+    headers    : control('input', { placeholder: '{"X-Org": "…"}' }),
+    tools      : control('input', { type: 'checkbox' }),
+    mockScript : control('textarea', { rows: 6 })
+  };
+  [[inputs.provider, PROVIDER_TYPES], [inputs.auth, AUTH_TYPES]].forEach(([select, options]) =>
+    Object.entries(options).forEach(([label, value]) => select.add(new Option(label, value))));
+  const rows = {
+    provider   : field('Provider', inputs.provider),
+    baseURL    : field('Base URL', inputs.baseURL),
+    model      : field('Model', inputs.model),
+    auth       : field('Authentication', inputs.auth),
+    authHeader : field('Key header', inputs.authHeader),
+    apiKey     : field('API key', inputs.apiKey),
+    rememberKey: field('Remember key in this browser', inputs.rememberKey),
+    headers    : field('Extra headers (JSON)', inputs.headers),
+    tools      : field('Let the model call tools', inputs.tools),
+    mockScript : field('Mock replies (JSON array)', inputs.mockScript)
+  };
+  inputs.rememberKey.style.width = inputs.tools.style.width = 'auto';
+  Object.values(rows).forEach(row => header.appendChild(row));
+
+  function showSettings() {
+    Object.entries(inputs).forEach(([k, el]) => {
+      if (el.type === 'checkbox') el.checked = settings[k];
+      else el.value = settings[k];
+    });
+    const mock = settings.provider === 'mock';
+    ['baseURL', 'model', 'auth', 'apiKey', 'rememberKey', 'headers'].forEach(k => { rows[k].hidden = mock; });
+    rows.authHeader.hidden = mock || settings.auth !== 'header';
+    rows.mockScript.hidden = !mock;
+  }
+
+  let provider = null;                // built on the first send, kept until the settings change
+  header.addEventListener('change', e => {
+    const k = Object.keys(inputs).find(key => inputs[key] === e.target);
+    if (!k) return;
+    settings[k] = e.target.type === 'checkbox' ? e.target.checked : e.target.value.trim();
+    if (k === 'provider') Object.assign(settings, PROVIDER_PRESETS[settings.provider]);
+    saveLLMSettings(settings);
+    provider = null;
+    showSettings();
+  });
+  showSettings();
+
   // Message log
   const messages = document.createElement('div');
   Object.assign(messages.style, {
@@ -66,7 +169,7 @@ export function initChatInterface(params, rebuildScene, updateGUI) {
 // Starting prompt
   const welcome = document.createElement('div');
   welcome.style.marginBottom = '4px';
-  welcome.innerHTML = `<strong>Assistant:</strong> Hello! How can I help you configure your multi trade rack today?`;
+  welcome.innerHTML = `<strong>Assistant:</strong> Hello! Ask me about your multi trade rack, or describe a change.`;
   messages.appendChild(welcome);
 
 
@@ -90,7 +193,7 @@ export function initChatInterface(params, rebuildScene, updateGUI) {
     fontFamily:    'inherit',   // match the rest of the UI
     fontSize:      '0.9em'      // scale to match message font
   });
-  input.placeholder = 'Describe your change…';
+  input.placeholder = 'Ask a question or describe a change, e.g. "add a 4 in pipe to tier 2"…';
   form.appendChild(input);
 
   const send = document.createElement('button');
@@ -98,148 +201,243 @@ export function initChatInterface(params, rebuildScene, updateGUI) {
   send.textContent = 'Send';
   form.appendChild(send);
 
+  /* -- system prompt: current design, units and the params keys ------------- */
+  function systemPrompt() {
+    const currentParams = JSON.stringify(paramsToDisplay(params));
+    const FT = unitLabel('ft'), IN = unitLabel('in');
+    const unitNote = isMetric()
+      ? 'All lengths, sizes and offsets are in millimetres (mm).'
+      : 'Rack dimensions are in feet (ft), sections, services and offsets in inches (in).';
+
+    return `You are the assistant of a multi-trade rack configurator: you answer questions about the
+design and change it by editing a JavaScript params object.
+
+CURRENT PARAMS:
+${currentParams}
+
+UNITS: ${unitNote} Tool arguments and results use the same units.
+
+VALID TOP-LEVEL KEYS:
+  corridorWidth, corridorHeight (${FT}),
+  ceilingHeight (${FT}, 0 = no ceiling), ceilingDepth, slabDepth, wallThickness (${IN}),
+  bayCount, bayWidth (${FT}),
+  depth, topClearance (${FT}),
+  postSize, beamSize (${IN}),
+  memberProfile ("square"|"strut"), braceProfile ("square"|"strut"), braceSize (${IN}),
+  mounting ("floor"|"trapeze" – hung on rods from the roof slab),
+  rodDiameter (${IN}), rodSpacing (${FT}, max. along the run),
+  tierCount,
+  segments (array of { turn:deg (+ = left), bayCount, corridorWidth:${FT}|null,
+            bayWidths?:[${FT}|null] } – run segments after the first, which is
+            bayCount / bayWidths / corridorWidth; send the whole array)
+
+VALID PER-BAY KEYS, in "bays": [{ "bay": 1-based index, …keys }] (first run segment):
+  bayWidths (${FT}, null = bayWidth),
+  bayOmitBottomBeam (bool)
+
+VALID PER-TIER KEYS, in "tiers": [{ "tier": 1-based index, …keys }] (one entry per tier changed):
+  tierHeights (${FT}),
+  ductEnabled (bool),
+  ductWidths (${IN}),
+  ductHeights (${IN}),
+  ductOffsets (${IN}),
+  pipeEnabled (bool),
+  pipesPerTier (array of { diam:${IN}, side:${IN}, vert:${IN} }),
+  trayEnabled (bool),
+  traysPerTier (array of { style:"ladder"|"solid", width:${IN}, railHeight:${IN}, side:${IN}, vert:${IN} }),
+  tierRails ("none"|"front"|"back"|"both" – longitudinal beams at the tier's bottom beams),
+  bracingPerTier ({ type:"none"|"X"|"K", sides:"both"|"front"|"back"|"none",
+                   bays:[1-based], frames:[1-based] })
+
+To answer a question, reply in plain text. Use the tools for clear heights, free space,
+services and checks rather than estimating them.
+To change the design, reply with exactly one JSON object containing only the keys to change,
+e.g. { "tierCount": 3, "tiers": [{ "tier": 1, "ductWidths": ${isMetric() ? 600 : 24} }, { "tier": 3, "pipeEnabled": true }] },
+and no other text, no markdown fences. The user sees the change and accepts or rejects it.
+Values outside the GUI slider ranges are rejected.`;
+  }
+
+  /* -- conversation: trimmed history, tool rounds ----------------------------- */
+  const history = [];                 // user / assistant / tool messages, system prompt excluded
+  const tools = createAssistantTools({ params, runChecks, propose: patch => propose(patch, lastPrompt) });
+  let lastPrompt = '';
+  let busy = false;                   // a model turn is running: its messages must stay in one piece
+
   form.addEventListener('submit', async e => {
     e.preventDefault();
+    if (busy) return;
 
-    // 1. Obtain API key once
-    if (!apiKey) {
-      apiKey = document.getElementById('openai-key').value.trim();
-      if (!apiKey) {
-        alert('Please enter a valid OpenAI API key.');
-        return;
-      }
-    }
-
-    // 2. Echo user message
+    // 1. Echo user message
     const userMessage = input.value.trim();
     if (!userMessage) return;
-    append('User', userMessage);
+    append('User', escapeHTML(userMessage));
     input.value = '';
 
-    // 3. Show params shortcut
+    // 2. Show params shortcut
     if (userMessage.toLowerCase().includes('show params')) {
       append('Assistant', '```json\n' + JSON.stringify(params, null, 2) + '\n```');
       append('Assistant', 'done.');
       return;
     }
 
-    // 4. Send to OpenAI
-    append('Assistant', '…');
+    // 3. Simple edits need no model (commandParser.js); the history still
+    //    gets them, so the model knows about them in later turns
+    const command = parseCommand(userMessage, params);
+    if (command) {
+      note('⚙ understood offline');
+      if (command.error) append('Assistant', escapeHTML(command.error));
+      else propose(command.patch, userMessage);
+      history.push({ role: 'user', content: userMessage },
+                   { role: 'assistant', content: command.error ?? JSON.stringify(command.patch) });
+      trimHistory(history);
+      return;
+    }
 
-    // Capture current params snapshot
-    const currentParams = JSON.stringify(params);
+    // 4. Provider from the current settings
+    try {
+      provider ??= createProvider(settings);
+    } catch (err) {
+      header.open = true;
+      input.value = userMessage;                // to send again once set up
+      alert('Assistant settings: ' + err.message);
+      return;
+    }
 
-    console.log('Sending to OpenAI:', {params});
+    // 5. Ask the model; run the tools it calls and ask again, until it answers
+    append('Assistant', '…');
+    const thinking = messages.lastChild;
+    lastPrompt = userMessage;
+    history.push({ role: 'user', content: userMessage });
+    trimHistory(history);
+    const turnStart = history.length - 1;            // after trimming, which shifts the indices
+    const system = { role: 'system', content: systemPrompt() };
 
-    let aiRaw;
-    try {
-      const response = await fetch(OPENAI_API_URL, {
-        method: 'POST',
-        headers: {
-          'Content-Type':  'application/json',
-          'Authorization': `Bearer ${apiKey}`
-        },
-        body: JSON.stringify({
-          model: 'gpt-4o-mini',
-          temperature: 0,
-          messages: [
-            {
-              role: 'system',
-              content:
-`You are an assistant that modifies a JavaScript params object.  
+    console.log(`Sending to ${provider.name}:`, {params});
 
-CURRENT PARAMS:
-${currentParams}
+    let reply;
+    busy = send.disabled = true;
+    try {
+      for (let round = 0; ; round++) {
+        const offer = settings.tools && round < MAX_TOOL_ROUNDS;     // last round: answer without tools
+        reply = await provider.complete([system, ...history], { tools: offer ? tools.definitions : undefined });
+        history.push(reply);
+        if (!reply.tool_calls?.length) break;
 
-VALID TOP-LEVEL KEYS:
-  corridorWidth, corridorHeight,
-  bayCount, bayWidth,
-  depth, topClearance,
-  postSize, beamSize,
-  tierCount
-
-VALID PER-TIER KEYS (with "tier":1-based index):
-  tierHeights (ft),
-  ductEnabled (bool),
-  ductWidths (in),
-  ductHeights (in),
-  ductOffsets (in),
-  pipeEnabled (bool),
-  pipesPerTier (array of { diam:in, side:in, vert:in })
-
-When you respond, output exactly one JSON object containing only the keys to change.
-No extra text, no markdown fences.`
-            },
-            { role: 'user', content: userMessage }
-          ]
-        })
-      });
-
-      const { choices } = await response.json();
-      aiRaw = choices[0].message.content.trim();
+        reply.tool_calls.forEach(call => {
+          const { name, arguments: json } = call.function;
+          let result;
+          try {
+            result = tools.call(name, JSON.parse(json || '{}'));
+          } catch {
+            result = { error: 'the arguments are not valid JSON' };
+          }
+          note(`🔧 ${name}(${json || ''})`);
+          history.push({ role: 'tool', tool_call_id: call.id, content: JSON.stringify(result) });
+        });
+      }
     } catch (err) {
       console.error(err);
-      append('Assistant', 'Error: ' + err.message);
+      history.length = Math.min(history.length, turnStart);     // drop the unfinished turn
+      thinking.remove();
+      append('Assistant', 'Error: ' + escapeHTML(err.message));
       return;
+    } finally {
+      busy = send.disabled = false;
     }
+    thinking.remove();
 
-    // 5. Strip any fences
-    const clean = aiRaw
+    // 6. Strip any fences
+    const clean = (reply.content ?? '').trim()
       .replace(/^```json\s*/, '')
       .replace(/^```/, '')
       .replace(/```$/, '')
       .trim();
 
-    // 6. Show JSON back
-    messages.lastChild.textContent = '';
-    append('Assistant', '```json\n' + clean + '\n```');
-
-    // 7. Parse and apply
-    let updates;
+    // 7. A JSON object is a patch, anything else an answer
+    let patch = null;
     try {
-      updates = JSON.parse(clean);
-    } catch (err) {
-      console.error('Parse error', err);
-      append('Assistant', 'Error: invalid JSON.');
+      patch = JSON.parse(clean);
+    } catch {
+      patch = null;
+    }
+    if (patch === null || typeof patch !== 'object' || Array.isArray(patch)) {
+      append('Assistant', escapeHTML(clean || '(no answer)').replace(/\n/g, '<br>'));
       return;
     }
 
-    // 7a. Per-tier patches
-    if ('tier' in updates) {
-      const t = updates.tier - 1;
-      for (const key of [
-        'tierHeights','ductEnabled','ductWidths',
-        'ductHeights','ductOffsets','pipeEnabled'
-      ]) {
-        if (key in updates) {
-          if (!Array.isArray(params[key])) params[key] = [];
-          params[key][t] = updates[key];
-          delete updates[key];
-        }
-      }
-      if ('pipesPerTier' in updates) {
-        if (!Array.isArray(params.pipesPerTier)) params.pipesPerTier = [];
-        params.pipesPerTier[t] = updates.pipesPerTier;
-        delete updates.pipesPerTier;
-      }
-      delete updates.tier;
-    }
+    // 8. Show it, check it against the params schema and propose it
+    append('Assistant', '```json\n' + escapeHTML(clean) + '\n```');
+    propose(patch, userMessage);
+  });
 
-    // 7b. Top-level keys
-    for (const [k,v] of Object.entries(updates)) {
-      if (k in params) {
-        params[k] = v;
-      }
-    }
+  /* -- proposals: diff + ghost preview, applied only once accepted ----------- */
+  let pending = null;                 // { patch, prompt, row } awaiting accept / reject
 
-    // 8. Sync GUI sliders
-    if (typeof updateGUI === 'function') {
-      updateGUI(updates);
+  // patch → { next } or { problems }, which are reported in the chat
+  function prepare(patch) {
+    const report = (why, problems) => {
+      append('Assistant', `Rejected – ${why}:<br>` + problems.map(p => '✖ ' + escapeHTML(p)).join('<br>'));
+      return { next: null, problems };
+    };
+    const { next, errors } = validatePatch(patch, params);
+    if (errors.length) return report('the response does not fit the parameters', errors);
+    const broken = typeof checkRules === 'function' ? checkRules(next, params) : [];
+    if (broken.length) return report('this change would break design rules', broken.map(i => i.message));
+    return { next, problems: [] };
+  }
+
+  // show a patch for accept / reject; → { proposed, problems } (for the tools)
+  function propose(patch, prompt) {
+    settle(false);
+    const { next, problems } = prepare(patch);
+    if (!next) return { proposed: false, problems };
+    const changes = diffParams(params, next);
+    if (!changes.length) {
+      append('Assistant', 'Nothing to change.');
+      return { proposed: false, problems: ['nothing to change'] };
     }
 
-    // 9. Rebuild scene
+    const row = document.createElement('div');
+    row.style.marginBottom = '4px';
+    row.innerHTML = '<strong>Proposed change:</strong>' + htmlTable([['Parameter', 'Now', 'New'], ...changes]);
+    const buttons = document.createElement('div');
+    buttons.style.marginTop = '4px';
+    [['Accept', true], ['Reject', false]].forEach(([text, accept]) => {
+      const b = document.createElement('button');
+      b.type = 'button';
+      b.textContent = text;
+      b.style.marginRight = '4px';
+      b.addEventListener('click', () => settle(accept));
+      buttons.appendChild(b);
+    });
+    row.appendChild(buttons);
+    messages.appendChild(row);
+    messages.scrollTop = messages.scrollHeight;
+
+    pending = { patch, prompt, row: buttons };
+    preview?.show(next);
+    return { proposed: true, problems: [] };
+  }
+
+  // close the pending proposal, applying it on accept
+  function settle(accept) {
+    if (!pending) return;
+    const { patch, prompt, row } = pending;
+    pending = null;
+    preview?.clear();
+
+    // re-checked against the params as they are now (sliders may have moved)
+    const next = accept ? prepare(patch).next : null;
+    row.textContent = next ? 'Applied.' : accept ? 'Not applied.' : 'Rejected.';
+    if (!next) return;
+
+    replaceParams(params, next);
+    if (typeof updateGUI === 'function') updateGUI();
     rebuildScene();
-  });
+
+    // the whole response is one undo step
+    if (typeof commitChange === 'function') commitChange(prompt);
+  }
 
   function append(author, text) {
     const msg = document.createElement('div');
@@ -248,4 +446,13 @@ No extra text, no markdown fences.`
     messages.appendChild(msg);
     messages.scrollTop = messages.scrollHeight;
   }
+
+  // small grey line, e.g. a tool call
+  function note(text) {
+    const msg = document.createElement('div');
+    Object.assign(msg.style, { marginBottom: '4px', color: '#888', fontSize: '0.85em', wordBreak: 'break-all' });
+    msg.textContent = text;
+    messages.appendChild(msg);
+    messages.scrollTop = messages.scrollHeight;
+  }
 }
@@ -0,0 +1,323 @@
+// clash.js
+import * as THREE from 'three';
+import { ft2m, in2m } from './utils.js';
+import { createPanel, htmlTable } from './uiPanel.js';
+import { segmentOf } from './runPath.js';
+import { unitController, unitLabel, toDisplay, isMetric, formatSize } from './units.js';
+
+const M2IN = 1 / in2m(1);
+const EPS  = 1e-6;                                    // 1 µm – touching is fine
+const SERVICES = new Set(['duct', 'pipe', 'tray']);
+const STEEL    = new Set(['post', 'beam', 'brace', 'rod']);
+const DEBOUNCE_MS = 250;                            // quiet time after a rebuild before checking
+const STRUT_STEP = in2m(0.5);                       // sampling along a brace
+
+const clashMat = new THREE.MeshStandardMaterial({
+  color: 0xff2020, emissive: 0x550000, metalness: 0.2, roughness: 0.6
+});
+
+/* ---------- element description ---------- */
+const cap = s => s[0].toUpperCase() + s.slice(1);
+
+/** Human label + dedupe group for a tagged mesh */
+function describe(ud) {
+  switch (ud.kind) {
+    case 'post':
+      return { label: `Posts (${ud.side})`, group: `Posts (${ud.side})` };
+    case 'rod':
+      return { label: `Hanger rods (${ud.side})`, group: `Hanger rods (${ud.side})` };
+    case 'beam': {
+      const label = ud.role === 'longitudinal'
+        ? `${cap(ud.level)} rail (${ud.side})`
+        : (ud.tier === 0 ? 'Roof beam' : `Tier ${ud.tier} beam`);
+      return { label, group: label };
+    }
+    case 'brace': {
+      const label = `Tier ${ud.tier} bracing (${ud.face})`;
+      return { label, group: label };
+    }
+    case 'duct':
+      return { label: `Duct ${formatSize([ud.widthIn, ud.heightIn])}`, group: `duct${ud.tier}` };
+    case 'pipe':
+      return { label: `Pipe ${ud.index + 1} (${formatSize(ud.diamIn)})`, group: `pipe${ud.tier}_${ud.index}` };
+    case 'tray':
+      return { label: `Tray ${ud.index + 1} (${formatSize(ud.widthIn)} ${ud.style})`,
+               group: `tray${ud.tier}_${ud.index}` };
+    case 'shell': {
+      const label = ud.part === 'wall' ? `${cap(ud.side)} wall` : `${cap(ud.part)} slab`;
+      return { label, group: label };
+    }
+  }
+  return { label: ud.kind, group: ud.kind };
+}
+
+/**
+ * Clash primitive in the axes of its run segment (X along the segment):
+ * an AABB, plus an X‑axis cylinder for straight pipes and a centre line
+ * with a round envelope for (diagonal) braces.  Bends at run
+ * turns keep their vertices per lathe step, boxed in the other element's
+ * segment axes when tested.  `obj` is a tagged mesh, or a tagged group
+ * (cable tray) whose envelope is used.
+ */
+function toElement(obj) {
+  const ud = obj.userData;
+  const segment = segmentOf(obj);
+  const toSegment = segment ? segment.matrixWorld.clone().invert() : new THREE.Matrix4();
+  const meshes = [];
+  const box = new THREE.Box3();
+  obj.traverse(o => {
+    if (!o.isMesh) return;
+    o.geometry.computeBoundingBox();
+    box.union(o.geometry.boundingBox.clone().applyMatrix4(toSegment.clone().multiply(o.matrixWorld)));
+    meshes.push(o);
+  });
+  const el = {
+    meshes,
+    kind: ud.kind,
+    part: ud.part,
+    tier: SERVICES.has(ud.kind) ? ud.tier : null,
+    segment: ud.segment ?? 0,
+    elbow: !!ud.elbow,
+    toSegment,
+    box,
+    ...describe(ud)
+  };
+  if (ud.kind === 'pipe' && !ud.elbow) {
+    const c = new THREE.Vector3().setFromMatrixPosition(obj.matrixWorld).applyMatrix4(toSegment);
+    el.cyl = { y: c.y, z: c.z, r: obj.geometry.parameters.radiusTop };
+  }
+  if (ud.kind === 'brace') {
+    const { min, max } = obj.geometry.boundingBox;            // straight member along its longest local axis
+    const size = max.clone().sub(min);
+    const k = ['x', 'y', 'z'].reduce((m, c) => size[c] > size[m] ? c : m);
+    const end = sign => new THREE.Vector3().setComponent('xyz'.indexOf(k), sign * size[k] / 2)
+      .applyMatrix4(toSegment.clone().multiply(obj.matrixWorld));
+    el.strut = { a: end(-1), b: end(1), r: in2m(ud.sectionIn) / 2 };
+  }
+  if (ud.elbow) {
+    const { points, segments } = obj.geometry.parameters;     // lathe: one ring of profile points per step
+    const pos = obj.geometry.attributes.position;
+    el.pieces = Array.from({ length: segments }, (_, i) =>
+      Array.from({ length: 2 * points.length }, (_, k) =>
+        new THREE.Vector3().fromBufferAttribute(pos, i * points.length + k).applyMatrix4(obj.matrixWorld)));
+    // section with Z = radius from the bend axis, for bends sharing that axis
+    const y = obj.position.y;
+    el.radial = {
+      box: new THREE.Box3().setFromPoints(points.map(q => new THREE.Vector3(0, y + q.y, q.x))),
+      cyl: ud.kind === 'pipe' ? { y, z: in2m(ud.bendRadiusIn), r: in2m(ud.diamIn) / 2 } : null
+    };
+  }
+  return el;
+}
+
+/* ---------- distances (m, negative = penetration depth) ---------- */
+const axisGap = (a0, a1, b0, b1) => Math.max(a0 - b1, b0 - a1);
+
+function combine(gaps) {
+  if (gaps.every(g => g < 0)) return Math.max(...gaps);
+  return Math.hypot(...gaps.map(g => Math.max(g, 0)));
+}
+
+/** Signed distance from point (y,z) to the Y–Z rectangle of `box` */
+const rectDistance = (y, z, box) => combine([
+  axisGap(y, y, box.min.y, box.max.y),
+  axisGap(z, z, box.min.z, box.max.z)
+]);
+
+const boxDistance = (a, b) => combine(['x', 'y', 'z'].map(k => axisGap(a.min[k], a.max[k], b.min[k], b.max[k])));
+
+/* element `b` in the segment axes of `a`: its box, or one box per bend step */
+function boxesIn(b, a) {
+  const m = a.toSegment;
+  if (b.pieces) return b.pieces.map(pts => new THREE.Box3().setFromPoints(pts.map(v => v.clone().applyMatrix4(m))));
+  if (a.segment === b.segment) return [b.box];
+  const toA = m.clone().multiply(b.toSegment.clone().invert());
+  return [b.box.clone().applyMatrix4(toA)];
+}
+
+/** Separation in the Y–Z section of two `{ box, cyl }` primitives */
+function sectionDistance(a, b) {
+  if (a.cyl && b.cyl) return Math.hypot(a.cyl.y - b.cyl.y, a.cyl.z - b.cyl.z) - a.cyl.r - b.cyl.r;
+  if (a.cyl)          return rectDistance(a.cyl.y, a.cyl.z, b.box) - a.cyl.r;
+  if (b.cyl)          return rectDistance(b.cyl.y, b.cyl.z, a.box) - b.cyl.r;
+  return combine([
+    axisGap(a.box.min.y, a.box.max.y, b.box.min.y, b.box.max.y),
+    axisGap(a.box.min.z, a.box.max.z, b.box.min.z, b.box.max.z)
+  ]);
+}
+
+/** Brace `s` against element `e`: sampled along its centre line */
+function strutDistance(s, e) {
+  const { a, b, r } = s.strut;
+  const n = Math.max(1, Math.ceil(a.distanceTo(b) / STRUT_STEP));
+  const pts = Array.from({ length: n + 1 }, (_, i) => a.clone().lerp(b, i / n));
+  if (e.cyl && e.segment === s.segment) {
+    return Math.min(...pts.map(q => combine([
+      axisGap(q.x, q.x, e.box.min.x, e.box.max.x),
+      Math.hypot(q.y - e.cyl.y, q.z - e.cyl.z) - e.cyl.r
+    ]))) - r;
+  }
+  const boxes = boxesIn(e, s);
+  return Math.min(...pts.flatMap(q => boxes.map(x => boxDistance(new THREE.Box3(q, q), x)))) - r;
+}
+
+function distance(a, b) {
+  if (a.strut) return strutDistance(a, b);
+  if (b.strut) return strutDistance(b, a);
+  if (a.radial && b.radial) return sectionDistance(a.radial, b.radial);   // bends of one turn: same sweep
+  if (a.pieces) [a, b] = [b, a];
+  if (b.pieces) return Math.min(...boxesIn(b, a).map(x => boxDistance(a.box, x)));
+  if (a.segment !== b.segment) {                      // each frame's boxes only under‑estimate the gap
+    return Math.max(boxDistance(a.box, boxesIn(b, a)[0]), boxDistance(boxesIn(a, b)[0], b.box));
+  }
+  const gx = axisGap(a.box.min.x, a.box.max.x, b.box.min.x, b.box.max.x);
+  return combine([gx, sectionDistance(a, b)]);
+}
+
+/**
+ * Required gap between two elements in metres, or `null` to skip the pair.
+ * Services keep `clearance` from each other, posts, rods and the shell;
+ * they may bear on beams (hard overlap only).  Steel is checked against
+ * the shell for hard overlap only.
+ */
+function requiredGap(a, b, clearance) {
+  const sa = SERVICES.has(a.kind), sb = SERVICES.has(b.kind);
+  if (!sa && !sb) {
+    const steelShell = (STEEL.has(a.kind) && b.kind === 'shell') ||
+                       (STEEL.has(b.kind) && a.kind === 'shell');
+    return steelShell ? 0 : null;
+  }
+  if (a.kind === 'beam' || b.kind === 'beam') return 0;
+  return clearance;
+}
+
+/* ---------- engine ---------- */
+/**
+ * Test every generated element against every other one.
+ *
+ * @param {THREE.Object3D} scene
+ * @param {object} params
+ * @param {number} clearanceIn  Required gap between services (inches)
+ * @returns {Array<{tier:number|null, element:string, other:string,
+ *                  overlapIn:number, hard:boolean, penetration:boolean,
+ *                  meshes:THREE.Mesh[]}>}
+ *          one entry per element pair (repeated bays collapsed), worst
+ *          first; hanger rods through the ceiling are `penetration`s, last
+ */
+export function findClashes(scene, params, clearanceIn) {
+  const elements = [];
+  scene.updateMatrixWorld(true);
+  scene.children.forEach(root => {
+    if (!root.userData.isGenerated) return;
+    root.traverse(o => {
+      if (o.userData.part === 'penetration') return;                   // the sleeves flag rods already
+      if (o.userData.kind && (o.isMesh || o.isGroup)) elements.push(toElement(o));
+    });
+  });
+
+  const clearance = in2m(clearanceIn);
+  const found = new Map();
+  const report = (a, b, dist, gap) => {
+    const key = `${a.group}|${b.group}`;
+    const overlapIn = (gap - dist) * M2IN;
+    const hit = found.get(key) ?? {
+      tier: a.tier ?? b.tier, element: a.label, other: b.label,
+      overlapIn: 0, hard: false, meshes: [],
+      penetration: [a, b].some(e => e.kind === 'rod') && [a, b].some(e => e.part === 'ceiling')
+    };
+    hit.overlapIn = Math.max(hit.overlapIn, overlapIn);
+    hit.hard    ||= dist < -EPS;
+    hit.meshes.push(...a.meshes, ...b.meshes);
+    found.set(key, hit);
+  };
+
+  // pairwise
+  const order = new Map();                                                  // group → first element index
+  elements.forEach((e, i) => order.has(e.group) || order.set(e.group, i));
+  for (let i = 0; i < elements.length; i++) {
+    for (let j = i + 1; j < elements.length; j++) {
+      let a = elements[i], b = elements[j];
+      if (a.group === b.group && SERVICES.has(a.kind)) continue;            // pieces of one service run
+      const gap = requiredGap(a, b, clearance);
+      if (gap === null) continue;
+      if (!SERVICES.has(a.kind) && SERVICES.has(b.kind)) [a, b] = [b, a];   // service first
+      else if (SERVICES.has(b.kind) && order.get(a.group) > order.get(b.group)) [a, b] = [b, a];
+      const dist = distance(a, b);
+      if (dist < gap - EPS) report(a, b, dist, gap);
+    }
+  }
+
+  // services must stay between the inner faces of the posts (hanger rods)
+  const support = params.mounting === 'trapeze' ? params.rodDiameter ?? 0.5 : params.postSize;
+  const limit = ft2m(params.depth) / 2 - in2m(support) / 2;
+  const depthLimit = { label: 'Rack depth', group: 'depth', meshes: [] };
+  elements.filter(e => SERVICES.has(e.kind) && !e.elbow).forEach(e => {   // bends cut across the depth
+    const protrude = Math.max(e.box.max.z - limit, -limit - e.box.min.z);
+    if (protrude > EPS) report(e, depthLimit, -protrude, 0);
+  });
+
+  return [...found.values()]
+    .map(c => ({ ...c, meshes: [...new Set(c.meshes)] }))
+    .sort((a, b) => a.penetration - b.penetration || b.overlapIn - a.overlapIn);
+}
+
+/* mesh → its own material, while painted red */
+const highlighted = new Map();
+
+/** Paint clashing meshes red; pass `[]` to restore every original material */
+export function highlightClashes(clashes) {
+  highlighted.forEach((mat, mesh) => { mesh.material = mat; });
+  highlighted.clear();
+  clashes.forEach(c => c.meshes.forEach(m => {
+    if (highlighted.has(m)) return;
+    highlighted.set(m, m.material);
+    m.material = clashMat;
+  }));
+}
+
+/* ---------- GUI + panel ---------- */
+/**
+ * Add the "Clash detection" folder and result panel.
+ * Returns `{ run, schedule }`: `run()` checks now and returns the clashes;
+ * `schedule()`, to be called after every scene rebuild, checks once the
+ * rebuilds stop (a slider drag rebuilds on every step, and every pair of
+ * elements is tested).
+ */
+export function initClashDetection(gui, scene, params) {
+  const settings = { enabled: true, clearanceIn: 1 };
+  const panel = createPanel('Clashes', { right: '20px', bottom: '20px' });
+  let timer = null;
+
+  function schedule() {
+    clearTimeout(timer);
+    timer = setTimeout(run, DEBOUNCE_MS);
+  }
+
+  function run() {
+    clearTimeout(timer);
+    timer = null;
+    const clashes = settings.enabled ? findClashes(scene, params, settings.clearanceIn) : [];
+    highlightClashes(clashes);
+    if (!clashes.length) { panel.hide(); return clashes; }
+
+    const overlap = c => toDisplay(c.overlapIn, 'in').toFixed(isMetric() ? 1 : 2);
+    panel.setContent(htmlTable([
+      ['Tier', 'Element', 'Clashes with', `Overlap (${unitLabel('in')})`],
+      ...clashes.map(c => [
+        c.tier ?? '–', c.element, c.other,
+        c.penetration ? 'sleeve ⊕' : overlap(c) + (c.hard ? ' ✖' : '')
+      ])
+    ]) + '<div style="margin-top:4px;color:#666">✖ hard clash – others only violate the clearance' +
+         (clashes.some(c => c.penetration) ? '<br>⊕ hanger rods through the ceiling – sleeved penetrations' : '') +
+         '</div>');
+    panel.show();
+    return clashes;
+  }
+
+  const folder = gui.addFolder('Clash detection');
+  folder.add(settings, 'enabled').name('Check clashes').onChange(run);
+  unitController(folder, settings, 'clearanceIn', 'in', 'Clearance', 0, 12, 0.25).onChange(run);
+  folder.close();
+
+  return { run, schedule };
+}
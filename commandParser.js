@@ -0,0 +1,362 @@
+// commandParser.js
+import { TRAY_SHEET_IN } from './utils.js';
+import { toDisplay, fromDisplay, formatSize, paramsToDisplay } from './units.js';
+import { PARAMS_SCHEMA, validatePatch } from './paramsSchema.js';
+import { DEFAULT_PIPE, DEFAULT_TRAY } from './setupGUI.js';
+import { placeService } from './assistantTools.js';
+
+/* ---------- offline commands ----------
+   A small grammar for the everyday edits, so they need no model:
+     set bay count to 6 · set the height of tier 2 to 18in · mounting = trapeze
+     add a 4 inch pipe to tier 2 at 6 inches off centre · remove pipe 2 from tier 1
+     add a 24x12 duct to tier 1 · remove duct from tier 1 · add a 12in tray to tier 3
+     add a tier · remove the bottom tier · add 2 bays
+   Clauses can be joined with "and", "then", "," or ";".  Lengths may carry
+   a unit ("18in", "1.5 ft", "4'6\"", "450 mm", "0.45 m"); bare numbers are
+   in the display units, as in the GUI.  What the grammar does not cover
+   goes to the model. */
+
+/* ---------- lengths ---------- */
+const NUM  = String.raw`\d+(?:\.\d+)?|\.\d+`;
+const INCH = `inch(?:es)?|in|"|″`;
+const FOOT = `feet|foot|ft|'|′`;
+const UNIT = `mm|millimet(?:re|er)s?|cm|centimet(?:re|er)s?|met(?:re|er)s?|m|${INCH}|${FOOT}`;
+
+/* inches per unit */
+const INCHES_PER = [
+  [/^(?:mm|millimet(?:re|er)s?)$/, 1 / 25.4],
+  [/^(?:cm|centimet(?:re|er)s?)$/, 1 / 2.54],
+  [/^(?:m|met(?:re|er)s?)$/, 1 / 0.0254],
+  [new RegExp(`^(?:${INCH})$`), 1],
+  [new RegExp(`^(?:${FOOT})$`), 12]
+];
+
+/* a length as typed, for use inside the command patterns */
+const LENGTH = `-?(?:${NUM})\\s*(?:(?:${FOOT})\\s*(?:${NUM})\\s*(?:${INCH})?|(?:${UNIT})(?![a-z]))?`;
+const LENGTH_PARTS = new RegExp(`^(-?)(${NUM})\\s*(?:(?:${FOOT})\\s*(${NUM})\\s*(?:${INCH})?|(${UNIT}))?$`);
+
+/**
+ * A typed length – "18in", "1.5 ft", "4'6\"", "450 mm", or a bare number
+ * in the display units – in the internal `unit` ('ft' or 'in').
+ *
+ * @returns {number|null}  null if `text` is not a length
+ */
+export function parseLength(text, unit) {
+  const m = LENGTH_PARTS.exec(text.trim().toLowerCase());
+  if (!m) return null;
+  const [, sign, value, inches, word] = m;
+  const s = sign ? -1 : 1;
+  if (inches == null && !word) return s * fromDisplay(+value, unit);
+  const v = inches != null ? +value * 12 + +inches : +value * INCHES_PER.find(([re]) => re.test(word))[1];
+  return s * (unit === 'ft' ? v / 12 : v);
+}
+
+/* "24x12 in" → [24, 12] (in): a bare first number takes the unit of the second */
+function parseSize(a, b) {
+  const unit = b.match(/[a-z"'″′]+$/)?.[0];
+  return [parseLength(/[a-z"'″′]$/.test(a) || !unit ? a : `${a} ${unit}`, 'in'), parseLength(b, 'in')];
+}
+
+/* ---------- words ---------- */
+const NUMBER_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+const ORDINAL_WORDS = ['first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'ninth', 'tenth'];
+const NUMBER  = `\\d+|${Object.keys(NUMBER_WORDS).join('|')}`;
+const COUNT   = `a|an|another|${NUMBER}`;
+const ORDINAL = `\\d+(?:st|nd|rd|th)|${ORDINAL_WORDS.join('|')}|last`;
+const ADD     = '(?:add|put|place|insert|install)';
+const REMOVE  = '(?:remove|delete|drop|take out)';
+const VERBS   = 'add|put|place|insert|install|remove|delete|drop|take out|set|make|change';
+
+const number  = w => NUMBER_WORDS[w] ?? (/^(?:a|an|another)$/.test(w) ? 1 : +w);
+const ordinal = (w, last) => w === 'last' ? last : ORDINAL_WORDS.includes(w) ? ORDINAL_WORDS.indexOf(w) + 1 : parseInt(w, 10);
+
+/* phrases for the params keys, by scope: top level, per tier, per bay (the
+   camelCase key itself always works too) */
+const KEY_WORDS = {
+  top: {
+    corridorWidth : 'corridor width',
+    corridorHeight: 'corridor height',
+    ceilingHeight : 'ceiling height|ceiling',
+    ceilingDepth  : 'ceiling depth',
+    slabDepth     : 'slab depth|slab thickness|slab',
+    wallThickness : 'wall thickness|walls?',
+    bayCount      : 'bay count|number of bays|bays',
+    bayWidth      : 'bay width|bay length',
+    depth         : 'rack depth|rack width|depth',
+    topClearance  : 'top clearance|clearance|top of (?:the )?rack',
+    postSize      : 'post size|posts?',
+    beamSize      : 'beam size|beams?',
+    memberProfile : 'member profile|profile|members?',
+    braceProfile  : 'brace profile',
+    braceSize     : 'brace size',
+    mounting      : 'mounting',
+    rodDiameter   : 'rod diameter|rod size|rods?',
+    rodSpacing    : 'rod spacing',
+    tierCount     : 'tier count|number of tiers|tiers'
+  },
+  tier: {
+    tierHeights   : 'tier height|clear height|height',
+    tierRails     : 'tier rails?|rails?',
+    bracingPerTier: 'bracing|brace type|braces',
+    ductWidths    : 'duct width',
+    ductHeights   : 'duct height',
+    ductOffsets   : 'duct offset|duct side offset|duct position'
+  },
+  bay: {
+    bayWidths        : 'bay width|width|length',
+    bayOmitBottomBeam: 'omit bottom beam'
+  }
+};
+const SPECS = { top: PARAMS_SCHEMA.topLevel, tier: PARAMS_SCHEMA.perTier, bay: PARAMS_SCHEMA.perBay };
+
+function findKey(scope, text) {
+  const words = text.replace(/^the\s+/, '');
+  return Object.keys(SPECS[scope]).find(key =>
+    key.toLowerCase() === words || new RegExp(`^(?:${KEY_WORDS[scope][key] ?? '$^'})$`).test(words));
+}
+
+/* typed value → patch value (display units), undefined if not understood */
+function readValue(spec, text) {
+  switch (spec.type) {
+    case 'number': {
+      if (spec.nullable && /^(?:default|none|auto)$/.test(text)) return null;
+      if (spec.unit) {
+        const v = parseLength(text, spec.unit);
+        return v == null ? undefined : toDisplay(v, spec.unit);
+      }
+      return new RegExp(`^(?:-?(?:${NUM})|${NUMBER})$`).test(text) ? number(text) : undefined;
+    }
+    case 'enum': {
+      const word = text.replace(/\s+(?:channel|tube|bracing|braces|mounting|mounted|profile|rails?)$/, '');
+      return spec.values.find(v => v.toLowerCase() === word);
+    }
+    case 'boolean':
+      return /^(?:yes|true|on)$/.test(text) ? true : /^(?:no|false|off)$/.test(text) ? false : undefined;
+    case 'object':                                    // bracing: its type
+      return spec.props.type ? readValue(spec.props.type, text) : undefined;
+  }
+  return undefined;
+}
+
+/* ---------- tier / bay references ---------- */
+const PREP = '(?:(?:on|in|to|into|from|for|of|at)\\s+)?(?:the\\s+)?';
+const TIER_REFS = [
+  [new RegExp(`${PREP}(?:all|every|each)\\s+tiers?\\b`), () => 'all'],
+  [new RegExp(`${PREP}tier\\s*(${NUMBER})\\b(?:'s)?`), m => number(m[1])],
+  [new RegExp(`${PREP}(top|bottom|${ORDINAL})\\s+tier\\b(?:'s)?`),
+    (m, p) => m[1] === 'top' ? 1 : m[1] === 'bottom' ? p.tierCount : ordinal(m[1], p.tierCount)]
+];
+const BAY_REFS = [
+  [new RegExp(`${PREP}bay\\s*(${NUMBER})\\b(?:'s)?`), m => number(m[1])],
+  [new RegExp(`${PREP}(${ORDINAL})\\s+bay\\b(?:'s)?`), (m, p) => ordinal(m[1], p.bayCount)]
+];
+
+/* pull a reference ("on tier 2", "the bottom tier") out of a clause → [value, rest] */
+function takeRef(clause, refs, p) {
+  for (const [re, read] of refs) {
+    const m = re.exec(clause);
+    if (m) return [read(m, p), `${clause.slice(0, m.index)} ${clause.slice(m.index + m[0].length)}`.replace(/\s+/g, ' ').trim()];
+  }
+  return [null, clause];
+}
+
+/* ---------- services ---------- */
+const SERVICES = {
+  pipe: { list: 'pipesPerTier', enabled: 'pipeEnabled', size: 'diam', item: DEFAULT_PIPE,
+          box: s => [s.diam, s.diam] },
+  tray: { list: 'traysPerTier', enabled: 'trayEnabled', size: 'width', item: DEFAULT_TRAY,
+          box: s => [s.width + 2 * TRAY_SHEET_IN, s.railHeight] }
+};
+
+/* a tier's services (in) as a patch list in display units */
+const shownList = (key, list) => paramsToDisplay({ [key]: [list] })[key][0];
+
+/* "at 6 in off centre to the back", "2 in above the beam" … → { side, vert } (in) */
+const POSITIONS = [
+  [new RegExp(`(?:at\\s+)?(${LENGTH})\\s+(?:off|from)\\s+(?:the\\s+)?centre(?:\\s*line)?` +
+              '(?:\\s+(?:to(?:wards)?\\s+)?(?:the\\s+)?(front|back|rear))?'), 'side'],
+  [new RegExp(`(?:at\\s+)?(${LENGTH})\\s+(?:to(?:wards)?\\s+)?(?:the\\s+)?(front|back|rear)`), 'side'],
+  [/(?:at|on|in)\s+(?:the\s+)?(?:centre(?:\s*line)?|middle)/, 'side', 0],
+  [new RegExp(`(?:at\\s+)?(${LENGTH})\\s+(?:up|high|above\\s+(?:the\\s+)?(?:bottom\\s+)?beam|off\\s+(?:the\\s+)?beam|` +
+              'from\\s+(?:the\\s+)?bottom)'), 'vert'],
+  [new RegExp(`at\\s+(?:a\\s+)?(?:height|elevation)\\s+(?:of\\s+)?(${LENGTH})`), 'vert'],
+  [/(?:on|at)\s+(?:the\s+)?(?:bottom\s+)?beam/, 'vert', 0]
+];
+
+/* null if anything but positions is left */
+function readPosition(text) {
+  const at = {};
+  let rest = text;
+  POSITIONS.forEach(([re, key, fixed]) => {
+    const m = re.exec(rest);
+    if (!m || at[key] != null) return;
+    at[key] = fixed ?? parseLength(m[1], 'in') * (/back|rear/.test(m[2] ?? '') ? -1 : 1);
+    rest = `${rest.slice(0, m.index)} ${rest.slice(m.index + m[0].length)}`;
+  });
+  return /^[\s,]*(?:(?:and|with)[\s,]*)*$/.test(rest) ? at : null;
+}
+
+function addService(kind, size, style, rest, tiers, p) {
+  const s = SERVICES[kind], at = readPosition(rest);
+  if (!at || (style && kind !== 'tray')) return null;
+  const item = { ...s.item, ...(size != null ? { [s.size]: size } : {}), ...(style ? { style } : {}) };
+  const entries = [];
+  for (const tier of tiers) {
+    const spot = placeService(p, tier, ...s.box(item), at);
+    if (!spot) return { error: `There is no free place for a ${formatSize(item[s.size])} ${kind} in tier ${tier}.` };
+    const list = p[s.enabled][tier - 1] ? p[s.list][tier - 1] : [];
+    entries.push({ tier, [s.enabled]: true, [s.list]: shownList(s.list, [...list, { ...item, ...spot }]) });
+  }
+  return { patch: { tiers: entries } };
+}
+
+function removeService(kind, { all, size, nth }, tiers, p) {
+  const s = SERVICES[kind], entries = [];
+  for (const tier of tiers) {
+    const list = p[s.enabled][tier - 1] ? p[s.list][tier - 1] : [];
+    if (all) { entries.push({ tier, [s.enabled]: false }); continue; }
+    if (nth == null && size == null && list.length > 1) {
+      return { error: `Tier ${tier} has ${list.length} ${kind}s – say which, e.g. "remove ${kind} 2 from tier ${tier}".` };
+    }
+    const j = nth != null ? ordinal(nth, list.length) - 1
+            : size != null ? list.findIndex(x => Math.abs(x[s.size] - size) < 0.01)
+            : 0;
+    if (!(j >= 0 && j < list.length)) {
+      const what = size != null ? `a ${formatSize(size)} ${kind}` : nth != null ? `${kind} ${ordinal(nth, list.length)}` : `a ${kind}`;
+      return { error: `Tier ${tier} has no ${what} (it has ${list.length} ${kind}${list.length === 1 ? '' : 's'}).` };
+    }
+    const kept = list.filter((_, k) => k !== j);
+    entries.push(kept.length ? { tier, [s.list]: shownList(s.list, kept) } : { tier, [s.enabled]: false });
+  }
+  return { patch: { tiers: entries } };
+}
+
+/* ---------- clauses ---------- */
+const RE = {
+  set      : /^(?:set|make|change)\s+(.+?)\s+(?:to|=|as)\s+(.+)$|^(.+?)\s*[=:]\s*(.+)$/,
+  addCount : new RegExp(`^${ADD}\\s+(?:(${COUNT})\\s+)?(?:more\\s+)?(tier|bay)s?$`),
+  dropCount: new RegExp(`^${REMOVE}\\s+(?:(${COUNT})\\s+)?(tier|bay)s?$`),
+  addDuct  : new RegExp(`^${ADD}\\s+(?:(?:a|an)\\s+)?(?:(${LENGTH})\\s*(?:x|×|by)\\s*(${LENGTH})\\s+)?duct\\b` +
+                        `(?:\\s+(?:of\\s+)?(${LENGTH})\\s*(?:x|×|by)\\s*(${LENGTH}))?(.*)$`),
+  dropDuct : new RegExp(`^${REMOVE}\\s+(?:the\\s+|all\\s+(?:the\\s+)?)?ducts?(?:work)?$`),
+  addItem  : new RegExp(`^${ADD}\\s+(?:(?:a|an|one|another)\\s+)?(?:new\\s+)?(?:(${LENGTH})\\s+(?:(?:dia(?:meter)?|wide)\\s+)?)?` +
+                        '(?:(ladder|solid)\\s+)?(?:cable\\s+)?(pipe|tray)\\b' +
+                        `(?:\\s+(?:of|with\\s+(?:a\\s+)?(?:diameter|width|size)(?:\\s+of)?)\\s+(${LENGTH}))?(.*)$`),
+  dropItem : new RegExp(`^${REMOVE}\\s+(?:the\\s+)?(all\\s+(?:the\\s+)?)?(?:(${ORDINAL})\\s+)?(?:(${LENGTH})\\s+)?` +
+                        '(?:cable\\s+)?(pipe|tray)(s)?(?:\\s+(?:no\\.?\\s*|number\\s+|#)?(\\d+))?$')
+};
+
+/* one clause → { patch } | { error } | null (not understood) */
+function parseClause(clause, p) {
+  let [tier, rest] = takeRef(clause, TIER_REFS, p);
+  let bay = null;
+  if (tier == null) [bay, rest] = takeRef(rest, BAY_REFS, p);
+  if (typeof tier === 'number' && !(tier >= 1 && tier <= p.tierCount)) {
+    return { error: `There is no tier ${tier} – the rack has ${p.tierCount} tier${p.tierCount === 1 ? '' : 's'}.` };
+  }
+  const tiers = tier === 'all' ? Array.from({ length: p.tierCount }, (_, i) => i + 1) : tier != null ? [tier] : null;
+  let m;
+
+  if ((m = RE.set.exec(rest))) {
+    const [what, text] = m[1] != null ? [m[1], m[2]] : [m[3], m[4]];
+    const scope = tiers ? 'tier' : bay != null ? 'bay' : 'top';
+    const key = findKey(scope, what.trim());
+    const value = key && readValue(SPECS[scope][key], text.trim());
+    if (value === undefined) return null;
+    if (scope === 'top') return { patch: { [key]: value } };
+    if (scope === 'bay') return { patch: { bays: [{ bay, [key]: value }] } };
+    return { patch: { tiers: tiers.map(t => ({
+      tier: t, [key]: key === 'bracingPerTier' ? { ...p.bracingPerTier[t - 1], type: value } : value
+    })) } };
+  }
+
+  if (!tiers) {
+    const add = RE.addCount.exec(rest), drop = RE.dropCount.exec(rest);
+    if ((m = add ?? drop)) {
+      const key = `${m[2]}Count`, n = number(m[1] ?? '1');
+      return { patch: { [key]: p[key] + (add ? n : -n) } };
+    }
+  }
+  if (tier === p.tierCount && new RegExp(`^${REMOVE}$`).test(rest)) {     // "remove the bottom tier"
+    return { patch: { tierCount: p.tierCount - 1 } };
+  }
+  if (!tiers) return null;
+
+  if ((m = RE.addDuct.exec(rest))) {
+    const at = readPosition(m[5]);
+    if (!at || at.vert != null) return null;
+    const size = m[1] ? parseSize(m[1], m[2]) : m[3] ? parseSize(m[3], m[4]) : null;
+    return { patch: { tiers: tiers.map(t => ({
+      tier: t, ductEnabled: true,
+      ...(size ? { ductWidths: toDisplay(size[0], 'in'), ductHeights: toDisplay(size[1], 'in') } : {}),
+      ...(at.side != null ? { ductOffsets: toDisplay(at.side, 'in') } : {})
+    })) } };
+  }
+  if (RE.dropDuct.test(rest)) {
+    return { patch: { tiers: tiers.map(t => ({ tier: t, ductEnabled: false })) } };
+  }
+  if ((m = RE.addItem.exec(rest))) {
+    const size = m[1] ?? m[4];
+    return addService(m[3], size != null ? parseLength(size, 'in') : null, m[2], m[5], tiers, p);
+  }
+  if ((m = RE.dropItem.exec(rest))) {
+    return removeService(m[4], {
+      all: !!(m[1] || m[5]), nth: m[2] ?? m[6], size: m[3] != null ? parseLength(m[3], 'in') : null
+    }, tiers, p);
+  }
+  return null;
+}
+
+/* ---------- commands ---------- */
+const normalise = text => text.toLowerCase()
+  .replace(/[‘’`]/g, "'").replace(/[“”]/g, '"')
+  .replace(/cent(?:er|re)/g, 'centre')
+  .replace(/(\d)-(?=[a-z])/g, '$1 ')                   // "4-inch"
+  .replace(/\b(?:please|can you|could you|would you)\b/g, ' ')
+  .replace(/[.!?]+$/, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/* split before each command verb, eating "and" / "then" / "," / ";" */
+const splitClauses = text => text
+  .split(new RegExp(`\\s*;\\s*|(?:\\s*,\\s*|\\s+)(?:(?:and|then),?\\s+)*(?=(?:${VERBS})\\b)`))
+  .map(c => c.trim())
+  .filter(Boolean);
+
+/* `b`'s keys over `a`'s, tier / bay entries merged by index */
+function mergePatch(a, b) {
+  const out = { ...a, ...b };
+  [['tiers', 'tier'], ['bays', 'bay']].forEach(([list, index]) => {
+    if (!a[list] || !b[list]) return;
+    out[list] = a[list].map(e => ({ ...e }));
+    b[list].forEach(e => {
+      const hit = out[list].find(x => x[index] === e[index]);
+      if (hit) Object.assign(hit, e);
+      else out[list].push(e);
+    });
+  });
+  return out;
+}
+
+/**
+ * Parse a chat message as one or more offline commands.  Each clause sees
+ * the design as the clauses before it left it, so "add a tier and add a
+ * pipe to tier 4" works.
+ *
+ * @returns {{ patch:object }|{ error:string }|null}  a params patch in
+ *          display units (as {@link validatePatch} takes it), a message for
+ *          a command that cannot be carried out, or null if the text is
+ *          not (entirely) a command – the model's turn then
+ */
+export function parseCommand(text, params) {
+  const clauses = splitClauses(normalise(text));
+  if (!clauses.length) return null;
+  let patch = {}, p = params;
+  for (const clause of clauses) {
+    const result = parseClause(clause, p);
+    if (!result || result.error) return result;
+    patch = mergePatch(patch, result.patch);
+    p = validatePatch(patch, params).next ?? p;
+  }
+  return { patch };
+}
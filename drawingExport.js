@@ -0,0 +1,602 @@
+// drawingExport.js
+import * as THREE from 'three';
+import { downloadFile } from './utils.js';
+import { segmentOf } from './runPath.js';
+import { isMetric, formatLength, formatSize } from './units.js';
+
+const M2IN    = 1 / 0.0254;
+const TEXT_H  = 3;          // text height (in, drawing units)
+const DIM_GAP = 12;         // distance of dimension lines from the geometry (in)
+const EPS     = 1e-3;
+
+/* ---------- layers ---------- */
+/* name → AutoCAD colour index + SVG stroke */
+export const LAYERS = {
+  STEEL: { aci: 7,  svg: '#333333' },
+  DUCT : { aci: 3,  svg: '#2a9d3a' },
+  PIPE : { aci: 5,  svg: '#1f6fd1' },
+  TRAY : { aci: 30, svg: '#d9822b' },
+  SHELL: { aci: 8,  svg: '#9a9a9a' },
+  DIMS : { aci: 1,  svg: '#c0392b' },
+  TEXT : { aci: 7,  svg: '#000000' }
+};
+const LAYER_OF = { duct: 'DUCT', pipe: 'PIPE', tray: 'TRAY', shell: 'SHELL' };
+const layerOf  = kind => LAYER_OF[kind] ?? 'STEEL';
+
+/* ---------- number formatting ---------- */
+const sizeText = (v, sep) => formatSize(v, { sep, mark: '"' });
+const signed = v => `${v > EPS ? '+' : ''}${sizeText(v)}`;
+
+/* ---------- drawing model ---------- */
+/**
+ * Flat list of 2D entities in inches (Y up), grouped by layer.
+ * Written out by {@link toDXF} and {@link toSVG}; {@link Drawing#toMillimetres}
+ * gives a metric copy.
+ */
+class Drawing {
+  constructor(units = 'in') { this.entities = []; this.units = units; }
+
+  line(layer, x1, y1, x2, y2)        { this.entities.push({ type: 'line', layer, x1, y1, x2, y2 }); }
+  rect(layer, x1, y1, x2, y2)        { this.entities.push({ type: 'rect', layer, x1, y1, x2, y2 }); }
+  poly(layer, pts)                   { this.entities.push({ type: 'poly', layer, pts }); }     // closed, [[x, y], …]
+  circle(layer, x, y, r)             { this.entities.push({ type: 'circle', layer, x, y, r }); }
+  text(layer, x, y, str, { h = TEXT_H, align = 'left', rot = 0 } = {}) {
+    this.entities.push({ type: 'text', layer, x, y, str, h, align, rot });
+  }
+
+  /** Horizontal dimension between x1 and x2, measured from `yRef`, drawn at `y` */
+  dimH(x1, x2, yRef, y, label = formatLength(Math.abs(x2 - x1))) {
+    const out = Math.sign(y - yRef) || 1;
+    [x1, x2].forEach(x => {
+      this.line('DIMS', x, yRef + out * 2, x, y + out * 2);
+      this.line('DIMS', x - 1.5, y - 1.5, x + 1.5, y + 1.5);         // tick
+    });
+    this.line('DIMS', x1, y, x2, y);
+    this.text('DIMS', (x1 + x2) / 2, y + 1, label, { align: 'center' });
+  }
+
+  /** Vertical dimension between y1 and y2, measured from `xRef`, drawn at `x` */
+  dimV(y1, y2, xRef, x, label = formatLength(Math.abs(y2 - y1))) {
+    const out = Math.sign(x - xRef) || 1;
+    [y1, y2].forEach(y => {
+      this.line('DIMS', xRef + out * 2, y, x + out * 2, y);
+      this.line('DIMS', x - 1.5, y - 1.5, x + 1.5, y + 1.5);
+    });
+    this.line('DIMS', x, y1, x, y2);
+    this.text('DIMS', x - 1, (y1 + y2) / 2, label, { align: 'center', rot: 90 });
+  }
+
+  /** Dimension between points `a` and `b` ([x, y]), drawn `dist` out along the unit normal `n` */
+  dimAligned(a, b, n, dist, label) {
+    const len = Math.hypot(b[0] - a[0], b[1] - a[1]);
+    const t = [(b[0] - a[0]) / len, (b[1] - a[1]) / len];
+    const at = (p, k) => [p[0] + n[0] * k, p[1] + n[1] * k];
+    const tick = [(t[0] + n[0]) * 1.06, (t[1] + n[1]) * 1.06];    // 1.5" at 45°
+    [a, b].forEach(p => {
+      const e0 = at(p, 2), e1 = at(p, dist + 2), q = at(p, dist);
+      this.line('DIMS', e0[0], e0[1], e1[0], e1[1]);
+      this.line('DIMS', q[0] - tick[0], q[1] - tick[1], q[0] + tick[0], q[1] + tick[1]);
+    });
+    const pa = at(a, dist), pb = at(b, dist);
+    this.line('DIMS', pa[0], pa[1], pb[0], pb[1]);
+    let rot = Math.atan2(t[1], t[0]) * 180 / Math.PI;
+    if (rot > 90.01) rot -= 180;                                  // keep the text readable
+    else if (rot <= -89.99) rot += 180;
+    const m = at([(pa[0] + pb[0]) / 2, (pa[1] + pb[1]) / 2], 1);
+    this.text('DIMS', m[0], m[1], label ?? formatLength(len), { align: 'center', rot: Math.round(rot * 100) / 100 });
+  }
+
+  bounds() {
+    const b = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+    const grow = (x, y) => {
+      b.minX = Math.min(b.minX, x); b.maxX = Math.max(b.maxX, x);
+      b.minY = Math.min(b.minY, y); b.maxY = Math.max(b.maxY, y);
+    };
+    this.entities.forEach(e => {
+      if (e.type === 'circle') { grow(e.x - e.r, e.y - e.r); grow(e.x + e.r, e.y + e.r); }
+      else if (e.type === 'poly') e.pts.forEach(([x, y]) => grow(x, y));
+      else if (e.type === 'text' && e.rot && e.rot !== 90) {        // aligned dimension text
+        const w = e.str.length * e.h * 0.6, a = e.rot * Math.PI / 180;
+        [[-w, 0], [w, 0], [-w, e.h], [w, e.h]].forEach(([u, v]) =>
+          grow(e.x + u * Math.cos(a) - v * Math.sin(a), e.y + u * Math.sin(a) + v * Math.cos(a)));
+      }
+      else if (e.type === 'text') {
+        const w = e.str.length * e.h * 0.6;
+        if (e.rot) grow(e.x - e.h, e.y - w); else grow(e.x - w, e.y);
+        if (e.rot) grow(e.x, e.y + w);       else grow(e.x + w, e.y + e.h);
+      } else { grow(e.x1, e.y1); grow(e.x2, e.y2); }
+    });
+    return b;
+  }
+
+  /** Copy the entities of `other`, shifted by (dx, dy) */
+  place(other, dx, dy) {
+    other.entities.forEach(e => {
+      const c = { ...e };
+      if ('x'  in c) { c.x  += dx; c.y  += dy; }
+      if ('x1' in c) { c.x1 += dx; c.y1 += dy; c.x2 += dx; c.y2 += dy; }
+      if (c.pts) c.pts = c.pts.map(([x, y]) => [x + dx, y + dy]);
+      this.entities.push(c);
+    });
+  }
+
+  /** Copy of the drawing in millimetres (coordinates, radii and text heights × 25.4) */
+  toMillimetres() {
+    const mm = v => v * 25.4;
+    const d = new Drawing('mm');
+    d.entities = this.entities.map(e => {
+      const c = { ...e };
+      ['x', 'y', 'x1', 'y1', 'x2', 'y2', 'r', 'h'].forEach(k => { if (k in c) c[k] = mm(c[k]); });
+      if (c.pts) c.pts = c.pts.map(([x, y]) => [mm(x), mm(y)]);
+      return c;
+    });
+    d.frameIndex = this.frameIndex;
+    return d;
+  }
+}
+
+/* ---------- scene helpers ---------- */
+/** Tagged elements of the generated groups (tray groups count as one) */
+function elements(scene, includeShell) {
+  scene.updateMatrixWorld(true);
+  const out = [];
+  scene.children.forEach(root => {
+    if (!root.userData.isGenerated) return;
+    root.traverse(o => {
+      const ud = o.userData;
+      if (!ud.kind || !(o.isMesh || o.isGroup)) return;
+      if (ud.kind === 'shell' && !includeShell) return;
+      out.push(o);
+    });
+  });
+  return out;
+}
+
+/** World bounding box of an object, in inches */
+function boxIn(o) {
+  const b = new THREE.Box3().setFromObject(o);
+  b.min.multiplyScalar(M2IN);
+  b.max.multiplyScalar(M2IN);
+  return b;
+}
+
+/** Rectangles already drawn – identical projections are drawn once */
+function dedupe() {
+  const seen = new Set();
+  return (...v) => {
+    const key = v.map(n => n.toFixed(2)).join('|');
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  };
+}
+
+/** Posts, or the frame hanger rods of a trapeze rack */
+const isSupport = ud => (ud.kind === 'post' || ud.kind === 'rod') && !ud.station;
+
+/** Frame X positions (in) from the posts, left → right */
+function frameXs(els) {
+  const xs = [];
+  els.filter(o => isSupport(o.userData)).forEach(o => {
+    const x = o.getWorldPosition(new THREE.Vector3()).x * M2IN;
+    if (!xs.some(v => Math.abs(v - x) < EPS)) xs.push(x);
+  });
+  return xs.sort((a, b) => a - b);
+}
+
+/** World end points (in) of a straight member: its longest local axis */
+function memberEnds(m) {
+  m.geometry.computeBoundingBox();
+  const { min, max } = m.geometry.boundingBox;
+  const size = max.clone().sub(min);
+  const k = ['x', 'y', 'z'].reduce((best, c) => size[c] > size[best] ? c : best);
+  return [-1, 1].map(sign => new THREE.Vector3().setComponent('xyz'.indexOf(k), sign * size[k] / 2)
+    .applyMatrix4(m.matrixWorld).multiplyScalar(M2IN));
+}
+
+/* plan point (in, back up) of a point given in the axes of `matrix` (m) */
+const planPoint = (matrix, x, z) => {
+  const v = new THREE.Vector3(x, 0, z).applyMatrix4(matrix);
+  return [v.x * M2IN, -v.z * M2IN];
+};
+
+/**
+ * Plan outline of a mesh turned off the drawing axes (a later run
+ * segment, a mitred corner post, a bend), or null when its box will do.
+ */
+function footprint(m) {
+  if (m.userData.elbow) {
+    const { points, phiStart, phiLength } = m.geometry.parameters;
+    const rs = points.map(q => q.x);
+    const arc = r => Array.from({ length: 17 }, (_, i) => {
+      const phi = phiStart + phiLength * i / 16;                 // lathe angle, 0 along +Z
+      return planPoint(m.matrixWorld, r * Math.sin(phi), r * Math.cos(phi));
+    });
+    return [...arc(Math.max(...rs)), ...arc(Math.min(...rs)).reverse()];
+  }
+  m.geometry.computeBoundingBox();
+  const { min, max } = m.geometry.boundingBox;
+  const pts = [[min.x, min.z], [max.x, min.z], [max.x, max.z], [min.x, max.z]]
+    .map(([x, z]) => planPoint(m.matrixWorld, x, z));
+  const square = pts.every(([x, y], i) => {
+    const [nx, ny] = pts[(i + 1) % 4];
+    return Math.abs(nx - x) < EPS || Math.abs(ny - y) < EPS;
+  });
+  return square ? null : pts;
+}
+
+/**
+ * Frame stations of each run segment (in, along the segment from its
+ * start), with the segment's placement and post Zs.  A segment ends on
+ * the next one's corner frame.
+ */
+function segmentFrames(els) {
+  const segs = [];
+  els.filter(o => isSupport(o.userData)).forEach(o => {
+    const seg = segs[o.userData.segment ?? 0] ??= {
+      matrix: (segmentOf(o)?.matrixWorld ?? new THREE.Matrix4()).clone(), frames: new Map(), zs: []
+    };
+    const f = seg.frames.get(o.userData.bay) ?? new THREE.Vector3();
+    seg.frames.set(o.userData.bay, f.add(o.getWorldPosition(new THREE.Vector3()).multiplyScalar(0.5)));
+  });
+  const stations = (list, inv) => list.map(f => f.clone().applyMatrix4(inv));
+  segs.forEach((seg, k) => {
+    const inv = seg.matrix.clone().invert();
+    const next = segs[k + 1]?.frames.get(1);
+    const local = stations([...seg.frames.values(), ...(next ? [next] : [])], inv);
+    seg.xs = local.map(v => v.x * M2IN).sort((a, b) => a - b);
+    seg.ownFrames = seg.frames.size;
+    els.filter(o => isSupport(o.userData) && (o.userData.segment ?? 0) === k)
+      .forEach(o => seg.zs.push(o.getWorldPosition(new THREE.Vector3()).applyMatrix4(inv).z * M2IN));
+  });
+  return segs.filter(Boolean);
+}
+
+/* ---------- cross‑section ---------- */
+/**
+ * Cross‑section through the frame nearest the middle of the run (its
+ * first segment when it turns), looking along the run (horizontal = Z,
+ * back on the left; vertical = elevation above the floor).  Shows the cut
+ * steel, every duct / pipe / tray, tier elevations, clear heights and
+ * service offsets from the rack centre line.
+ */
+export function buildSection(scene, { includeShell = true } = {}) {
+  const d = new Drawing();
+  const els = elements(scene, includeShell).filter(o => !o.userData.segment && !o.userData.elbow);
+  const xs = frameXs(els);
+  const cutX = xs.reduce((best, x) => Math.abs(x) < Math.abs(best) ? x : best, xs[0] ?? 0);
+  const first = dedupe();
+  const cuts = (b) => b.min.x - EPS <= cutX && b.max.x + EPS >= cutX;
+
+  let rackMinZ = Infinity, rackMaxZ = -Infinity;
+  const levels = [];                                   // { y, label }
+  const postZs = [];
+
+  els.forEach(o => {
+    const ud = o.userData;
+    const layer = layerOf(ud.kind);
+    const b = boxIn(o);
+
+    switch (ud.kind) {
+      case 'pipe': {
+        const c = b.getCenter(new THREE.Vector3());
+        const r = ud.diamIn / 2;
+        d.circle(layer, c.z, c.y, r);
+        d.line(layer, c.z - r * 0.3, c.y, c.z + r * 0.3, c.y);
+        d.line(layer, c.z, c.y - r * 0.3, c.z, c.y + r * 0.3);
+        d.text('TEXT', c.z + r + 1, c.y - TEXT_H / 2,
+          `Ø${sizeText(ud.diamIn)} CL ${signed(ud.sideOffIn)} EL ${formatLength(c.y - r)}`, { h: TEXT_H * 0.8 });
+        return;
+      }
+      case 'duct':
+        d.rect(layer, b.min.z, b.min.y, b.max.z, b.max.y);
+        d.line(layer, b.min.z, b.min.y, b.max.z, b.max.y);
+        d.line(layer, b.min.z, b.max.y, b.max.z, b.min.y);
+        d.text('TEXT', (b.min.z + b.max.z) / 2, b.max.y + 1,
+          `DUCT ${sizeText([ud.widthIn, ud.heightIn], 'x')} CL ${signed(ud.offsetIn)} BOD ${formatLength(b.min.y)}`,
+          { h: TEXT_H * 0.8, align: 'center' });
+        return;
+      case 'tray':
+        o.traverse(m => {
+          if (!m.isMesh) return;
+          const pb = boxIn(m);
+          if (first(pb.min.z, pb.min.y, pb.max.z, pb.max.y)) d.rect(layer, pb.min.z, pb.min.y, pb.max.z, pb.max.y);
+        });
+        d.text('TEXT', (b.min.z + b.max.z) / 2, b.max.y + 1,
+          `TRAY ${sizeText(ud.widthIn)} ${ud.style.toUpperCase()} CL ${signed(ud.sideOffIn)} EL ${formatLength(b.min.y)}`,
+          { h: TEXT_H * 0.8, align: 'center' });
+        return;
+      case 'brace': {                                  // in the cut frame only; long faces are beyond it
+        if (ud.face !== 'frame' || !cuts(b)) return;
+        const [p0, p1] = memberEnds(o);
+        const dir = new THREE.Vector2(p1.z - p0.z, p1.y - p0.y).normalize();
+        const n = new THREE.Vector2(-dir.y, dir.x).multiplyScalar(ud.sectionIn / 2);
+        d.poly(layer, [[p0.z + n.x, p0.y + n.y], [p1.z + n.x, p1.y + n.y], [p1.z - n.x, p1.y - n.y], [p0.z - n.x, p0.y - n.y]]);
+        return;
+      }
+    }
+
+    if (!cuts(b)) return;
+    d.rect(layer, b.min.z, b.min.y, b.max.z, b.max.y);
+    if (layer !== 'STEEL') return;
+
+    rackMinZ = Math.min(rackMinZ, b.min.z);
+    rackMaxZ = Math.max(rackMaxZ, b.max.z);
+    if (isSupport(ud)) postZs.push((b.min.z + b.max.z) / 2);
+    if (ud.kind === 'beam' && ud.role === 'transverse') {
+      levels.push(ud.tier === 0
+        ? { y: b.min.y, label: 'ROOF BEAM B.O.S.', tier: 0, top: b.max.y }
+        : { y: b.max.y, label: `TIER ${ud.tier} T.O.S.`, tier: ud.tier, bottom: b.min.y });
+    }
+  });
+
+  if (!isFinite(rackMinZ)) return d;                  // no steel at the cut
+
+  /* -- centre line ---------------------------------------------------------- */
+  const topY = Math.max(...levels.map(l => l.top ?? l.y));
+  d.line('DIMS', 0, -6, 0, topY + 6);
+  d.text('DIMS', 0, topY + 8, 'CL', { align: 'center' });
+
+  /* -- elevation markers (left) -------------------------------------------- */
+  const markX = rackMinZ - DIM_GAP;
+  levels.forEach(({ y, label }) => {
+    d.line('DIMS', rackMinZ - 2, y, markX - 4, y);
+    d.text('DIMS', markX - 5, y + 0.5, `${label} EL ${formatLength(y)}`, { align: 'right' });
+  });
+
+  /* -- clear heights (right) ------------------------------------------------ */
+  const dimX = rackMaxZ + DIM_GAP;
+  const byTier = [...levels].sort((a, b) => a.tier - b.tier);    // roof, tier 1, tier 2 …
+  byTier.slice(1).forEach(level => {
+    const above = byTier.find(l => l.tier === level.tier - 1);
+    const soffit = above.tier === 0 ? above.y : above.bottom;     // underside of the beam above
+    d.dimV(level.y, soffit, rackMaxZ, dimX, `TIER ${level.tier} CLR ${formatLength(soffit - level.y)}`);
+  });
+  const lowest = byTier.at(-1);
+  if (lowest && lowest.tier > 0) {
+    d.dimV(0, lowest.y, rackMaxZ, dimX + DIM_GAP, `FLOOR TO T.O.S. ${formatLength(lowest.y)}`);
+  }
+
+  /* -- rack depth (below) --------------------------------------------------- */
+  if (postZs.length >= 2) {
+    const bottom = Math.min(0, lowest?.bottom ?? 0) - DIM_GAP;
+    d.dimH(Math.min(...postZs), Math.max(...postZs), lowest?.bottom ?? 0, bottom);
+  }
+
+  d.text('TEXT', rackMinZ, d.bounds().maxY + 4, 'BACK', { h: TEXT_H * 0.8 });
+  d.text('TEXT', rackMaxZ, d.bounds().maxY - TEXT_H * 0.8, 'FRONT', { h: TEXT_H * 0.8, align: 'right' });
+  d.frameIndex = xs.findIndex(x => Math.abs(x - cutX) < EPS) + 1;
+  return d;
+}
+
+/* ---------- plan ---------- */
+/**
+ * Plan view from above (horizontal = run, X; vertical = depth, back at
+ * the top) with bay and rack‑depth dimensions.  Later segments of a
+ * turning run are drawn in place, with bends as arcs and their bays
+ * dimensioned along the segment.
+ */
+export function buildPlan(scene, { includeShell = true } = {}) {
+  const d = new Drawing();
+  const els = elements(scene, includeShell);
+  const first = dedupe();
+  let minZ = Infinity, maxZ = -Infinity;
+  const postZs = [];
+
+  // services first so coincident steel outlines are not hidden by dedupe
+  const order = { shell: 0, duct: 1, pipe: 1, tray: 1 };
+  [...els].sort((a, b) => (order[a.userData.kind] ?? 2) - (order[b.userData.kind] ?? 2)).forEach(o => {
+    const ud = o.userData;
+    if (ud.kind === 'shell' && ud.part !== 'wall') return;     // slabs would cover everything
+    const layer = layerOf(ud.kind);
+    const parts = ud.kind === 'tray' && !ud.elbow ? o.children.filter(c => c.isMesh) : [o];
+    parts.forEach(m => {
+      const outline = footprint(m);
+      if (outline) {
+        if (first(...outline.flat())) d.poly(layer, outline);
+        if (layer === 'STEEL') outline.forEach(([, y]) => { minZ = Math.min(minZ, y); maxZ = Math.max(maxZ, y); });
+        return;
+      }
+      const b = boxIn(m);
+      if (first(b.min.x, -b.max.z, b.max.x, -b.min.z)) d.rect(layer, b.min.x, -b.max.z, b.max.x, -b.min.z);
+      if (layer === 'STEEL') { minZ = Math.min(minZ, -b.max.z); maxZ = Math.max(maxZ, -b.min.z); }
+    });
+    if (isSupport(ud) && !ud.segment) postZs.push(-o.getWorldPosition(new THREE.Vector3()).z * M2IN);
+  });
+
+  const segs = segmentFrames(els);
+  if (segs.length > 1) {
+    dimensionSegments(d, segs);
+    const x0 = segs[0].xs[0];
+    d.dimV(Math.min(...postZs), Math.max(...postZs), x0, x0 - DIM_GAP * 2);
+    return d;
+  }
+
+  const xs = frameXs(els);
+  if (xs.length >= 2) {
+    const y = maxZ + DIM_GAP;
+    xs.slice(1).forEach((x, i) => d.dimH(xs[i], x, maxZ, y));
+    d.dimH(xs[0], xs.at(-1), maxZ, y + DIM_GAP, `OVERALL ${formatLength(xs.at(-1) - xs[0])}`);
+    d.dimV(Math.min(...postZs), Math.max(...postZs), xs[0], xs[0] - DIM_GAP * 2);
+    xs.forEach((x, i) => d.text('TEXT', x, minZ - DIM_GAP, String(i + 1), { align: 'center' }));
+  }
+  return d;
+}
+
+/*
+ * Bays and length of each segment of a turning run, on the side away
+ * from the other segments, and frame numbers on the other side.
+ */
+function dimensionSegments(d, segs) {
+  let frame = 0;
+  segs.forEach((seg, k) => {
+    const inv = seg.matrix.clone().invert();
+    const others = segs.filter((_, j) => j !== k).map(o => new THREE.Vector3().setFromMatrixPosition(o.matrix).applyMatrix4(inv));
+    const out = others.reduce((sum, v) => sum + v.z, 0) < 0 ? 1 : -1;     // +1: dimension the front (+Z)
+    const edge = (out > 0 ? Math.max(...seg.zs) : Math.min(...seg.zs)) / M2IN;
+    const P = (xIn, z) => planPoint(seg.matrix, xIn / M2IN, z);
+    const o = P(0, 0), n = P(0, out);
+    const normal = [n[0] - o[0], n[1] - o[1]];
+    const { xs } = seg;
+
+    xs.slice(1).forEach((x, i) => d.dimAligned(P(xs[i], edge), P(x, edge), normal, DIM_GAP));
+    d.dimAligned(P(xs[0], edge), P(xs.at(-1), edge), normal, DIM_GAP * 2,
+      `SEGMENT ${k + 1} ${formatLength(xs.at(-1) - xs[0])}`);
+    xs.slice(0, seg.ownFrames).forEach(x => {
+      const [tx, ty] = P(x, -edge - out * DIM_GAP / M2IN);
+      d.text('TEXT', tx, ty, String(++frame), { align: 'center' });
+    });
+  });
+}
+
+/* ---------- sheet ---------- */
+/** Section and plan side by side with titles */
+export function buildSheet(scene, opts = {}) {
+  const section = buildSection(scene, opts);
+  const plan    = buildPlan(scene, opts);
+  const sheet   = new Drawing();
+  const sb = section.bounds(), pb = plan.bounds();
+  const title = { h: TEXT_H * 1.5, align: 'center' };
+
+  sheet.place(section, 0, 0);
+  sheet.text('TEXT', (sb.minX + sb.maxX) / 2, sb.minY - 4 * TEXT_H,
+    `SECTION AT FRAME ${section.frameIndex ?? '-'}`, title);
+
+  const dx = sb.maxX + 48 - pb.minX;
+  const dy = sb.minY - pb.minY;
+  sheet.place(plan, dx, dy);
+  sheet.text('TEXT', (pb.minX + pb.maxX) / 2 + dx, sb.minY - 4 * TEXT_H, 'PLAN', title);
+  return sheet;
+}
+
+/* ---------- writers ---------- */
+const ALIGN_DXF = { left: 0, center: 1, right: 2 };
+
+/** DXF text: Ø → %%c, other non‑ASCII as \U+XXXX */
+const dxfText = s => s.replace(/Ø/g, '%%c')
+  .replace(/[^\x20-\x7e]/g, c => `\\U+${c.charCodeAt(0).toString(16).toUpperCase().padStart(4, '0')}`);
+
+/** ASCII DXF (R12 entities), one layer per trade, in the drawing's units (inches or mm) */
+export function toDXF(drawing) {
+  const out = [];
+  const g = (code, value) => out.push(String(code), typeof value === 'number' ? String(+value.toFixed(4)) : value);
+
+  g(0, 'SECTION'); g(2, 'HEADER');
+  g(9, '$ACADVER'); g(1, 'AC1009');
+  g(9, '$INSUNITS'); g(70, drawing.units === 'mm' ? 4 : 1);
+  g(0, 'ENDSEC');
+
+  g(0, 'SECTION'); g(2, 'TABLES');
+  g(0, 'TABLE'); g(2, 'LTYPE'); g(70, 1);
+  g(0, 'LTYPE'); g(2, 'CONTINUOUS'); g(70, 0); g(3, 'Solid line'); g(72, 65); g(73, 0); g(40, 0);
+  g(0, 'ENDTAB');
+  g(0, 'TABLE'); g(2, 'LAYER'); g(70, Object.keys(LAYERS).length);
+  Object.entries(LAYERS).forEach(([name, { aci }]) => {
+    g(0, 'LAYER'); g(2, name); g(70, 0); g(62, aci); g(6, 'CONTINUOUS');
+  });
+  g(0, 'ENDTAB');
+  g(0, 'ENDSEC');
+
+  g(0, 'SECTION'); g(2, 'ENTITIES');
+  drawing.entities.forEach(e => {
+    switch (e.type) {
+      case 'line':
+        g(0, 'LINE'); g(8, e.layer);
+        g(10, e.x1); g(20, e.y1); g(30, 0); g(11, e.x2); g(21, e.y2); g(31, 0);
+        break;
+      case 'rect':
+        g(0, 'POLYLINE'); g(8, e.layer); g(66, 1); g(10, 0); g(20, 0); g(30, 0); g(70, 1);
+        [[e.x1, e.y1], [e.x2, e.y1], [e.x2, e.y2], [e.x1, e.y2]].forEach(([x, y]) => {
+          g(0, 'VERTEX'); g(8, e.layer); g(10, x); g(20, y); g(30, 0);
+        });
+        g(0, 'SEQEND'); g(8, e.layer);
+        break;
+      case 'poly':
+        g(0, 'POLYLINE'); g(8, e.layer); g(66, 1); g(10, 0); g(20, 0); g(30, 0); g(70, 1);
+        e.pts.forEach(([x, y]) => {
+          g(0, 'VERTEX'); g(8, e.layer); g(10, x); g(20, y); g(30, 0);
+        });
+        g(0, 'SEQEND'); g(8, e.layer);
+        break;
+      case 'circle':
+        g(0, 'CIRCLE'); g(8, e.layer); g(10, e.x); g(20, e.y); g(30, 0); g(40, e.r);
+        break;
+      case 'text':
+        g(0, 'TEXT'); g(8, e.layer); g(10, e.x); g(20, e.y); g(30, 0); g(40, e.h);
+        g(1, dxfText(e.str));
+        if (e.rot) g(50, e.rot);
+        if (e.align !== 'left') { g(72, ALIGN_DXF[e.align]); g(11, e.x); g(21, e.y); g(31, 0); }
+        break;
+    }
+  });
+  g(0, 'ENDSEC');
+  g(0, 'EOF');
+  return out.join('\n') + '\n';
+}
+
+const xml = s => s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+const ANCHOR = { left: 'start', center: 'middle', right: 'end' };
+
+/** SVG of the drawing (1 user unit = 1 inch or 1 mm), one <g> per layer; `margin` in inches */
+export function toSVG(drawing, margin = 12) {
+  const k = drawing.units === 'mm' ? 25.4 : 1;
+  margin *= k;
+  const b = drawing.bounds();
+  const X = x => +(x - b.minX + margin).toFixed(3);
+  const Y = y => +(b.maxY - y + margin).toFixed(3);
+  const w = b.maxX - b.minX + 2 * margin;
+  const h = b.maxY - b.minY + 2 * margin;
+
+  const layers = Object.entries(LAYERS).map(([name, { svg }]) => {
+    const body = drawing.entities.filter(e => e.layer === name).map(e => {
+      switch (e.type) {
+        case 'line':
+          return `<line x1="${X(e.x1)}" y1="${Y(e.y1)}" x2="${X(e.x2)}" y2="${Y(e.y2)}"/>`;
+        case 'rect':
+          return `<rect x="${X(Math.min(e.x1, e.x2))}" y="${Y(Math.max(e.y1, e.y2))}" ` +
+                 `width="${+Math.abs(e.x2 - e.x1).toFixed(3)}" height="${+Math.abs(e.y2 - e.y1).toFixed(3)}"/>`;
+        case 'poly':
+          return `<polygon points="${e.pts.map(([x, y]) => `${X(x)},${Y(y)}`).join(' ')}"/>`;
+        case 'circle':
+          return `<circle cx="${X(e.x)}" cy="${Y(e.y)}" r="${+e.r.toFixed(3)}"/>`;
+        case 'text': {
+          const rot = e.rot ? ` transform="rotate(${-e.rot} ${X(e.x)} ${Y(e.y)})"` : '';
+          return `<text x="${X(e.x)}" y="${Y(e.y)}" font-size="${e.h}" text-anchor="${ANCHOR[e.align]}"` +
+                 ` fill="${svg}" stroke="none"${rot}>${xml(e.str)}</text>`;
+        }
+      }
+      return '';
+    });
+    return body.length
+      ? `<g id="${name}" stroke="${svg}" fill="none" stroke-width="${0.5 * k}">\n${body.join('\n')}\n</g>`
+      : '';
+  }).filter(Boolean);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${+w.toFixed(1)}${drawing.units}" height="${+h.toFixed(1)}${drawing.units}" ` +
+    `viewBox="0 0 ${+w.toFixed(3)} ${+h.toFixed(3)}" font-family="Arial, sans-serif">`,
+    `<rect width="100%" height="100%" fill="#ffffff"/>`,
+    ...layers,
+    '</svg>',
+    ''
+  ].join('\n');
+}
+
+/* ---------- GUI ---------- */
+/** Add the "Drawings" folder (section + plan to DXF / SVG) */
+export function initDrawingExport(gui, scene) {
+  const opts = { includeShell: true };
+  const sheet = () => {
+    const d = buildSheet(scene, opts);
+    return isMetric() ? d.toMillimetres() : d;
+  };
+
+  const folder = gui.addFolder('Drawings');
+  folder.add(opts, 'includeShell').name('Include shell');
+  folder.add({ dxf: () => downloadFile('rack-drawing.dxf', toDXF(sheet()), 'application/dxf') }, 'dxf')
+    .name('Export DXF');
+  folder.add({ svg: () => downloadFile('rack-drawing.svg', toSVG(sheet()), 'image/svg+xml') }, 'svg')
+    .name('Export SVG');
+  folder.close();
+}
@@ -0,0 +1,74 @@
+// history.js
+
+/**
+ * Undo / redo for the params model.
+ *
+ * Every step is a `{ label, before, after }` pair of JSON snapshots, so it
+ * can be replayed in either direction regardless of which part of the
+ * model changed.  Callers mutate `params` freely and then call
+ * `commit(label)` once per user action – one slider drag, one chat
+ * response (which may touch many keys and tiers) – to close the step.
+ *
+ * @param {object}   params   The live params object
+ * @param {function} restore  `restore(snapshot)` copies a snapshot back into
+ *                            params and refreshes GUI + scene
+ * @param {object}   [opts]
+ * @param {number}   [opts.limit=100]  Maximum number of undo steps kept
+ * @param {function} [opts.onChange]   Called after every commit/undo/redo
+ */
+export function createHistory(params, restore, { limit = 100, onChange } = {}) {
+  const undoStack = [];
+  const redoStack = [];
+  let current = JSON.stringify(params);
+
+  function move(from, to, key) {
+    const step = from.pop();
+    if (!step) return null;
+    to.push(step);
+    current = step[key];
+    restore(JSON.parse(current));
+    onChange?.();
+    return step;
+  }
+
+  return {
+    /** Close the current step; returns false if nothing changed */
+    commit(label = 'Edit') {
+      const next = JSON.stringify(params);
+      if (next === current) return false;
+      undoStack.push({ label, before: current, after: next });
+      if (undoStack.length > limit) undoStack.shift();
+      redoStack.length = 0;
+      current = next;
+      onChange?.();
+      return true;
+    },
+
+    undo: () => move(undoStack, redoStack, 'before'),
+    redo: () => move(redoStack, undoStack, 'after'),
+
+    /** Forget all steps and take the current params as the new baseline */
+    reset() {
+      undoStack.length = redoStack.length = 0;
+      current = JSON.stringify(params);
+      onChange?.();
+    },
+
+    get undoLabel() { return undoStack.at(-1)?.label ?? null; },
+    get redoLabel() { return redoStack.at(-1)?.label ?? null; }
+  };
+}
+
+/** Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes (outside text fields) */
+export function bindHistoryKeys(history) {
+  addEventListener('keydown', e => {
+    if (!(e.ctrlKey || e.metaKey)) return;
+    if (e.target.closest?.('input, textarea, [contenteditable]')) return;
+
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) history.undo();
+    else if ((key === 'z' && e.shiftKey) || key === 'y') history.redo();
+    else return;
+    e.preventDefault();
+  });
+}
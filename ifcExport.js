@@ -0,0 +1,283 @@
+// ifcExport.js
+import * as THREE from 'three';
+import { downloadFile, in2m } from './utils.js';
+import { elementName } from './modelExport.js';
+import { PARAM_UNITS, toDisplay, unitSystem } from './units.js';
+
+/* ---------- element classes ---------- */
+/* kind → [IFC entity, PredefinedType]; shell parts are resolved below */
+const IFC_CLASS = {
+  post: ['IFCCOLUMN',              '.COLUMN.'],
+  beam: ['IFCBEAM',                '.BEAM.'],
+  brace: ['IFCMEMBER',             '.BRACE.'],
+  duct: ['IFCDUCTSEGMENT',         '.RIGIDSEGMENT.'],
+  pipe: ['IFCPIPESEGMENT',         '.RIGIDSEGMENT.'],
+  tray: ['IFCCABLECARRIERSEGMENT', '.CABLETRAYSEGMENT.']
+};
+/* bends at run turns */
+const FITTING_CLASS = {
+  duct: ['IFCDUCTFITTING',         '.BEND.'],
+  pipe: ['IFCPIPEFITTING',         '.BEND.'],
+  tray: ['IFCCABLECARRIERFITTING', '.BEND.']
+};
+const SHELL_CLASS = {
+  floor  : ['IFCSLAB', '.FLOOR.'],
+  ceiling: ['IFCSLAB', '.FLOOR.'],
+  roof   : ['IFCSLAB', '.ROOF.'],
+  wall   : ['IFCWALL', '.SOLIDWALL.'],
+  penetration: ['IFCBUILDINGELEMENTPROXY', '.PROVISIONFORVOID.']     // ceiling sleeve of a hanger rod
+};
+
+function ifcClass(ud) {
+  if (ud.kind === 'shell') return SHELL_CLASS[ud.part];
+  if (ud.elbow)            return FITTING_CLASS[ud.kind];
+  if (ud.kind === 'tray')  return ['IFCCABLECARRIERSEGMENT', ud.style === 'ladder' ? '.CABLELADDERSEGMENT.' : '.CABLETRAYSEGMENT.'];
+  return IFC_CLASS[ud.kind] ?? ['IFCMEMBER', '.MEMBER.'];
+}
+
+/* ---------- STEP encoding ---------- */
+const GUID_CHARS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz_$';
+
+/** New IFC GlobalId (128 random bits, 22 chars of IFC base64) */
+function guid() {
+  let n = 0n;
+  crypto.getRandomValues(new Uint8Array(16)).forEach(b => { n = (n << 8n) | BigInt(b); });
+  let s = '';
+  for (let i = 0; i < 22; i++) { s = GUID_CHARS[Number(n % 64n)] + s; n /= 64n; }
+  return s;
+}
+
+/** STEP string literal (quotes doubled, non‑ASCII as \X2\…\X0\) */
+const str = s => `'${String(s)
+  .replace(/\\/g, '\\\\')
+  .replace(/'/g, "''")
+  .replace(/[^\x20-\x7e]/g, c => `\\X2\\${c.charCodeAt(0).toString(16).toUpperCase().padStart(4, '0')}\\X0\\`)}'`;
+
+/** STEP real – always with a decimal point */
+function real(v) {
+  const s = String(Math.round(v * 1e6) / 1e6 + 0);   // + 0 turns -0 into 0
+  return s.includes('.') ? s : `${s}.`;
+}
+
+const list = items => `(${items.join(',')})`;
+
+/* three.js is Y‑up; IFC is Z‑up: (x, y, z) → (x, −z, y) */
+const toIFC = v => [v.x, -v.z, v.y];
+
+/* ---------- writer ---------- */
+class StepWriter {
+  constructor() { this.lines = []; }
+  add(entity) {
+    this.lines.push(entity);
+    return `#${this.lines.length}`;
+  }
+  point(c)     { return this.add(`IFCCARTESIANPOINT(${list(c.map(real))});`); }
+  direction(c) { return this.add(`IFCDIRECTION(${list(c.map(real))});`); }
+  axis(origin, z, x) {
+    return this.add(`IFCAXIS2PLACEMENT3D(${this.point(origin)},${this.direction(z)},${this.direction(x)});`);
+  }
+  toString() { return this.lines.map((l, i) => `#${i + 1}=${l}`).join('\n'); }
+}
+
+/* ---------- geometry ---------- */
+const AXES = [new THREE.Vector3(1, 0, 0), new THREE.Vector3(0, 1, 0), new THREE.Vector3(0, 0, 1)];
+
+/**
+ * Body solid of `mesh` in the coordinates of its element (`rel` maps mesh
+ * → element space).  Boxes and cylinders become extrusions along their
+ * longest side; anything else is tessellated.
+ */
+function solidFor(w, mesh, rel) {
+  const geom = mesh.geometry;
+  geom.computeBoundingBox();
+  const bb   = geom.boundingBox;
+  const size = bb.getSize(new THREE.Vector3()).toArray();
+  const mid  = bb.getCenter(new THREE.Vector3());
+  const type = geom.type;
+
+  if (type === 'BoxGeometry' || type === 'CylinderGeometry') {
+    const k = size.indexOf(Math.max(...size));    // extrusion axis
+    const a = (k + 1) % 3, b = (k + 2) % 3;       // profile X / Y axes
+    const start = mid.clone().addScaledVector(AXES[k], -size[k] / 2).applyMatrix4(rel);
+    const dirZ  = AXES[k].clone().transformDirection(rel);
+    const dirX  = AXES[a].clone().transformDirection(rel);
+
+    const profile = type === 'BoxGeometry'
+      ? w.add(`IFCRECTANGLEPROFILEDEF(.AREA.,$,$,${real(size[a])},${real(size[b])});`)
+      : w.add(`IFCCIRCLEPROFILEDEF(.AREA.,$,$,${real(geom.parameters.radiusTop)});`);
+    const position = w.axis(start.toArray(), dirZ.toArray(), dirX.toArray());
+    return {
+      type: 'SweptSolid',
+      item: w.add(`IFCEXTRUDEDAREASOLID(${profile},${position},${w.direction([0, 0, 1])},${real(size[k])});`)
+    };
+  }
+
+  // generic mesh → triangulated face set
+  const pos = geom.attributes.position;
+  const v = new THREE.Vector3();
+  const coords = [];
+  for (let i = 0; i < pos.count; i++) {
+    v.fromBufferAttribute(pos, i).applyMatrix4(rel);
+    coords.push(list([v.x, v.y, v.z].map(real)));
+  }
+  const idx = geom.index ? Array.from(geom.index.array) : [...Array(pos.count).keys()];
+  const tris = [];
+  for (let i = 0; i < idx.length; i += 3) tris.push(list([idx[i] + 1, idx[i + 1] + 1, idx[i + 2] + 1]));
+  const points = w.add(`IFCCARTESIANPOINTLIST3D(${list(coords)});`);
+  return { type: 'Tessellation', item: w.add(`IFCTRIANGULATEDFACESET(${points},$,.T.,${list(tris)},$);`) };
+}
+
+/* ---------- property sets ---------- */
+const M = v => in2m(v);                          // inch value → metres
+
+/** Parameters behind an element as IfcPropertySingleValue entities */
+function properties(w, ud) {
+  const props = [];
+  const prop = (name, value) => props.push(w.add(`IFCPROPERTYSINGLEVALUE(${str(name)},$,${value},$);`));
+
+  prop('ElementKind', `IFCLABEL(${str(ud.kind)})`);
+  if (ud.segment != null) prop('RunSegment', `IFCINTEGER(${ud.segment + 1})`);
+  if (ud.tier != null) prop('TierIndex', `IFCINTEGER(${ud.tier})`);
+  if (ud.index != null) prop('Index', `IFCINTEGER(${ud.index + 1})`);
+  if (ud.bay != null) prop('Bay', `IFCINTEGER(${ud.bay})`);
+  if (ud.side) prop('Side', `IFCLABEL(${str(ud.side)})`);
+  if (ud.role) prop('Role', `IFCLABEL(${str(ud.role)})`);
+  if (ud.level) prop('Level', `IFCLABEL(${str(ud.level)})`);
+  if (ud.station != null) prop('Trapeze', `IFCINTEGER(${ud.station})`);
+  if (ud.throughCeiling) prop('PenetratesCeiling', 'IFCBOOLEAN(.T.)');
+  if (ud.face) prop('Face', `IFCLABEL(${str(ud.face)})`);
+  if (ud.type) prop('BracingType', `IFCLABEL(${str(ud.type)})`);
+  if (ud.profile) prop('Profile', `IFCLABEL(${str(ud.profile)})`);
+  if (ud.part) prop('Part', `IFCLABEL(${str(ud.part)})`);
+  if (ud.style) prop('Style', `IFCLABEL(${str(ud.style)})`);
+  if (ud.sectionIn != null) prop('SectionSize', `IFCPOSITIVELENGTHMEASURE(${real(M(ud.sectionIn))})`);
+  if (ud.diamIn != null) prop('NominalDiameter', `IFCPOSITIVELENGTHMEASURE(${real(M(ud.diamIn))})`);
+  if (ud.widthIn != null) prop('Width', `IFCPOSITIVELENGTHMEASURE(${real(M(ud.widthIn))})`);
+  if (ud.heightIn != null) prop('Height', `IFCPOSITIVELENGTHMEASURE(${real(M(ud.heightIn))})`);
+  if (ud.railHeightIn != null) prop('RailHeight', `IFCPOSITIVELENGTHMEASURE(${real(M(ud.railHeightIn))})`);
+  if (ud.offsetIn != null) prop('SideOffset', `IFCLENGTHMEASURE(${real(M(ud.offsetIn))})`);
+  if (ud.sideOffIn != null) prop('SideOffset', `IFCLENGTHMEASURE(${real(M(ud.sideOffIn))})`);
+  if (ud.vertOffIn != null) prop('VerticalOffset', `IFCLENGTHMEASURE(${real(M(ud.vertOffIn))})`);
+  if (ud.bendRadiusIn != null) prop('BendRadius', `IFCPOSITIVELENGTHMEASURE(${real(M(ud.bendRadiusIn))})`);
+  return props;
+}
+
+/* ---------- document ---------- */
+/**
+ * Build an IFC4 (STEP physical file) model of every generated element.
+ *
+ * Elements are placed in one IfcBuildingStorey and carry a
+ * `Pset_MultiTradeRack` with the parameters they were built from.
+ * Lengths are in metres.
+ *
+ * @param {THREE.Scene} scene
+ * @param {object} params
+ * @param {object} [opts]
+ * @param {boolean} [opts.includeShell=true]
+ * @returns {string}
+ */
+export function buildIFC(scene, params, { includeShell = true } = {}) {
+  const w = new StepWriter();
+
+  /* -- units, context, project -------------------------------------------- */
+  const units = [
+    w.add('IFCSIUNIT(*,.LENGTHUNIT.,$,.METRE.);'),
+    w.add('IFCSIUNIT(*,.AREAUNIT.,$,.SQUARE_METRE.);'),
+    w.add('IFCSIUNIT(*,.VOLUMEUNIT.,$,.CUBIC_METRE.);'),
+    w.add('IFCSIUNIT(*,.PLANEANGLEUNIT.,$,.RADIAN.);')
+  ];
+  const unitAssignment = w.add(`IFCUNITASSIGNMENT(${list(units)});`);
+  const origin  = w.axis([0, 0, 0], [0, 0, 1], [1, 0, 0]);
+  const context = w.add(`IFCGEOMETRICREPRESENTATIONCONTEXT($,'Model',3,1.E-05,${origin},$);`);
+  const body    = w.add(`IFCGEOMETRICREPRESENTATIONSUBCONTEXT('Body','Model',*,*,*,*,${context},$,.MODEL_VIEW.,$);`);
+  const project = w.add(`IFCPROJECT('${guid()}',$,'Multi-trade rack',$,$,$,$,(${context}),${unitAssignment});`);
+
+  const sitePl     = w.add(`IFCLOCALPLACEMENT($,${origin});`);
+  const site       = w.add(`IFCSITE('${guid()}',$,'Site',$,$,${sitePl},$,$,.ELEMENT.,$,$,$,$,$);`);
+  const buildingPl = w.add(`IFCLOCALPLACEMENT(${sitePl},${origin});`);
+  const building   = w.add(`IFCBUILDING('${guid()}',$,'Building',$,$,${buildingPl},$,$,.ELEMENT.,$,$,$);`);
+  const storeyPl   = w.add(`IFCLOCALPLACEMENT(${buildingPl},${origin});`);
+  const storey     = w.add(`IFCBUILDINGSTOREY('${guid()}',$,'Corridor',$,$,${storeyPl},$,$,.ELEMENT.,0.);`);
+  w.add(`IFCRELAGGREGATES('${guid()}',$,$,$,${project},(${site}));`);
+  w.add(`IFCRELAGGREGATES('${guid()}',$,$,$,${site},(${building}));`);
+  w.add(`IFCRELAGGREGATES('${guid()}',$,$,$,${building},(${storey}));`);
+
+  /* -- elements ------------------------------------------------------------ */
+  scene.updateMatrixWorld(true);
+  const elements = [];
+  scene.children.forEach(root => {
+    if (!root.userData.isGenerated) return;
+    root.traverse(o => {
+      const ud = o.userData;
+      if (!ud.kind || !(o.isMesh || o.isGroup)) return;
+      if (ud.kind === 'shell' && !includeShell) return;
+      elements.push(o);
+    });
+  });
+
+  const products = elements.map(o => {
+    const ud = o.userData;
+    const mw = o.matrixWorld;
+    const inv = mw.clone().invert();
+
+    // element placement: IFC local axes = the object's own local axes
+    const pos = new THREE.Vector3().setFromMatrixPosition(mw);
+    const ez  = AXES[2].clone().transformDirection(mw);
+    const ex  = AXES[0].clone().transformDirection(mw);
+    const placement = w.add(`IFCLOCALPLACEMENT(${storeyPl},${w.axis(toIFC(pos), toIFC(ez), toIFC(ex))});`);
+
+    const meshes = [];
+    o.traverse(m => { if (m.isMesh && (m === o || !m.userData.kind)) meshes.push(m); });
+    const solids = meshes.map(m => solidFor(w, m, inv.clone().multiply(m.matrixWorld)));
+    const repType = solids.every(s => s.type === 'SweptSolid') ? 'SweptSolid' : 'Tessellation';
+    const shape = w.add(`IFCSHAPEREPRESENTATION(${body},'Body',${str(repType)},${list(solids.map(s => s.item))});`);
+    const definition = w.add(`IFCPRODUCTDEFINITIONSHAPE($,$,(${shape}));`);
+
+    const [entity, predefined] = ifcClass(ud);
+    const product = w.add(
+      `${entity}('${guid()}',$,${str(elementName(ud))},$,$,${placement},${definition},$,${predefined});`
+    );
+
+    const pset = w.add(`IFCPROPERTYSET('${guid()}',$,'Pset_MultiTradeRack',$,${list(properties(w, ud))});`);
+    w.add(`IFCRELDEFINESBYPROPERTIES('${guid()}',$,$,$,(${product}),${pset});`);
+    return product;
+  });
+
+  if (products.length) {
+    w.add(`IFCRELCONTAINEDINSPATIALSTRUCTURE('${guid()}',$,'Rack',$,${list(products)},${storey});`);
+  }
+
+  /* -- rack‑level parameters on the storey, in the display units ----------- */
+  const value = k => PARAM_UNITS[k] ? toDisplay(params[k], PARAM_UNITS[k]) : params[k];
+  const rackProps = ['bayCount', 'bayWidth', 'depth', 'topClearance', 'tierCount', 'postSize', 'beamSize']
+    .filter(k => typeof params[k] === 'number')
+    .map(k => w.add(`IFCPROPERTYSINGLEVALUE(${str(k)},$,IFCREAL(${real(value(k))}),$);`));
+  rackProps.push(w.add(`IFCPROPERTYSINGLEVALUE('UnitSystem',$,IFCLABEL(${str(unitSystem())}),$);`));
+  const rackPset = w.add(`IFCPROPERTYSET('${guid()}',$,'Pset_MultiTradeRackParameters',$,${list(rackProps)});`);
+  w.add(`IFCRELDEFINESBYPROPERTIES('${guid()}',$,$,$,(${storey}),${rackPset});`);
+
+  const stamp = new Date().toISOString().slice(0, 19);
+  return [
+    'ISO-10303-21;',
+    'HEADER;',
+    "FILE_DESCRIPTION(('ViewDefinition [ReferenceView_V1.2]'),'2;1');",
+    `FILE_NAME('rack.ifc','${stamp}',(''),(''),'Multi-trade rack configurator','','');`,
+    "FILE_SCHEMA(('IFC4'));",
+    'ENDSEC;',
+    'DATA;',
+    w.toString(),
+    'ENDSEC;',
+    'END-ISO-10303-21;',
+    ''
+  ].join('\n');
+}
+
+/* ---------- GUI ---------- */
+/** Add an "Export IFC" button (and shell toggle) to `folder` */
+export function initIFCExport(folder, scene, params) {
+  const opts = { includeShell: true };
+  folder.add(opts, 'includeShell').name('IFC: include shell');
+  folder.add({
+    ifc: () => downloadFile('rack.ifc', buildIFC(scene, params, opts), 'application/x-step')
+  }, 'ifc').name('Export IFC4');
+}
@@ -0,0 +1,173 @@
+// llmProvider.js
+
+/* ---------- providers ----------
+   The chat assistant talks to a provider: `complete(messages, { tools })`
+   resolves to the next assistant message of an OpenAI‑style conversation,
+   `{ role:'assistant', content, tool_calls? }`.
+   'openai' and 'compatible' (Ollama, LM Studio, llama.cpp, vLLM … – any
+   server with a `/chat/completions` route) share one client; 'mock' replays
+   a script, so the chat flow can be worked on offline. */
+export const PROVIDER_TYPES = {
+  'OpenAI': 'openai',
+  'OpenAI‑compatible (local)': 'compatible',
+  'Mock (scripted)': 'mock'
+};
+
+/* base URL + model a provider starts with when picked */
+export const PROVIDER_PRESETS = {
+  openai    : { baseURL: 'https://api.openai.com/v1', model: 'gpt-4o-mini', auth: 'bearer' },
+  compatible: { baseURL: 'http://localhost:11434/v1', model: 'llama3.1',    auth: 'none' },
+  mock      : { baseURL: '',                          model: 'mock',        auth: 'none' }
+};
+
+export const AUTH_TYPES = { 'Bearer token': 'bearer', 'API key header': 'header', 'None': 'none' };
+
+/* replies are params patches (objects are sent as their JSON) or text; an
+   entry with `tools` calls them first and answers with `reply` after */
+const DEFAULT_MOCK_SCRIPT = JSON.stringify([
+  { match: 'room|fit|space', tools: [{ name: 'find_space', arguments: { tier: 1, width: 6, height: 6 } }] },
+  { match: 'duct', reply: { tier: 1, ductEnabled: true, ductWidths: 24 } },
+  { match: 'pipe', reply: { tiers: [
+    { tier: 1, pipeEnabled: true, pipesPerTier: [{ diam: 2, side: -18, vert: 2 }] },
+    { tier: 2, pipeEnabled: true, pipesPerTier: [{ diam: 4, side: 0, vert: 4 }] }
+  ] } },
+  { tierCount: 3 }
+], null, 2);
+
+export const DEFAULT_LLM_SETTINGS = {
+  provider   : 'openai',
+  ...PROVIDER_PRESETS.openai,
+  apiKey     : '',
+  rememberKey: false,          // keep the key in this browser's storage too
+  authHeader : 'api-key',      // header name for auth 'header'
+  headers    : '',             // extra request headers, JSON object
+  temperature: 0,
+  tools      : true,           // offer the assistant tools (needs a model with tool calling)
+  mockScript : DEFAULT_MOCK_SCRIPT
+};
+
+/* ---------- settings ----------
+   Kept in this browser's localStorage only: they are not part of `params`,
+   so neither project files nor shared links ever carry them. */
+const STORAGE_KEY = 'configur.llmSettings';
+
+/** Saved settings merged over {@link DEFAULT_LLM_SETTINGS} */
+export function loadLLMSettings() {
+  try {
+    return { ...DEFAULT_LLM_SETTINGS, ...JSON.parse(localStorage.getItem(STORAGE_KEY) ?? '{}') };
+  } catch {
+    return { ...DEFAULT_LLM_SETTINGS };
+  }
+}
+
+/** Store `settings` (the API key only with `rememberKey`) */
+export function saveLLMSettings(settings) {
+  const { apiKey, ...rest } = settings;
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings.rememberKey ? settings : rest));
+  } catch (err) {
+    console.warn('Could not store the assistant settings:', err);
+  }
+}
+
+/* ---------- clients ---------- */
+function parseHeaders(text) {
+  if (!text?.trim()) return {};
+  const headers = JSON.parse(text);
+  if (typeof headers !== 'object' || Array.isArray(headers)) throw new Error('extra headers must be a JSON object');
+  return headers;
+}
+
+function openAICompatible(s) {
+  const url = `${s.baseURL.replace(/\/+$/, '')}/chat/completions`;
+  return {
+    name: s.provider === 'openai' ? 'OpenAI' : s.baseURL,
+    async complete(messages, { tools } = {}) {
+      const headers = { 'Content-Type': 'application/json', ...parseHeaders(s.headers) };
+      if (s.auth === 'bearer' && s.apiKey) headers.Authorization = `Bearer ${s.apiKey}`;
+      if (s.auth === 'header' && s.apiKey) headers[s.authHeader] = s.apiKey;
+
+      const response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          model: s.model, temperature: s.temperature, messages,
+          ...(tools?.length ? { tools } : {})
+        })
+      });
+      const body = await response.json().catch(() => null);
+      if (!response.ok) {
+        throw new Error(`${response.status} ${body?.error?.message ?? response.statusText}`);
+      }
+      const message = body?.choices?.[0]?.message;
+      if (!message) throw new Error('the response has no message');
+      return { role: 'assistant', content: message.content ?? '',
+               ...(message.tool_calls?.length ? { tool_calls: message.tool_calls } : {}) };
+    }
+  };
+}
+
+/**
+ * Scripted provider.  `script` is a JSON array of replies – objects are
+ * sent as their JSON – or `{ match, reply?, tools? }` entries, which
+ * answer any prompt matching the `match` regular expression
+ * (case‑insensitive).  `tools: [{ name, arguments }]` are called first;
+ * once their results are in, the entry answers with `reply`, or lists
+ * the results as text.  Other prompts get the plain replies in turn, from
+ * the start again once all were used.
+ */
+export function createMockProvider(script) {
+  const entries = typeof script === 'string' ? JSON.parse(script || '[]') : script;
+  if (!Array.isArray(entries)) throw new Error('the mock script must be a JSON array');
+  const say = r => ({ role: 'assistant', content: typeof r === 'string' ? r : JSON.stringify(r) });
+  const matched = entries.filter(e => e?.match != null && ('reply' in e || 'tools' in e));
+  const replies = entries.filter(e => !matched.includes(e));
+  let next = 0, calls = 0;
+
+  return {
+    name: 'Mock',
+    async complete(messages, { tools } = {}) {
+      const last = messages.at(-1);
+      const prompt = messages.findLast(m => m.role === 'user')?.content ?? '';
+      const hit = matched.find(e => new RegExp(e.match, 'i').test(prompt));
+
+      if (last?.role === 'tool') {                       // results of the calls below are in
+        const results = messages.slice(messages.findLastIndex(m => m.tool_calls) + 1).map(m => m.content);
+        return say(hit?.reply ?? `Tool results:\n${results.join('\n')}`);
+      }
+      if (hit?.tools && tools?.length) {
+        return {
+          role: 'assistant', content: '',
+          tool_calls: hit.tools.map(t => ({
+            id: `mock_${++calls}`, type: 'function',
+            function: { name: t.name, arguments: JSON.stringify(t.arguments ?? {}) }
+          }))
+        };
+      }
+      if (hit && 'reply' in hit) return say(hit.reply);
+      if (!replies.length) throw new Error('the mock script has no reply for this prompt');
+      return say(replies[next++ % replies.length]);
+    }
+  };
+}
+
+/**
+ * Provider for `settings` (see {@link DEFAULT_LLM_SETTINGS}).
+ * Throws if the settings cannot work (no key for OpenAI, bad mock script).
+ *
+ * @returns {{ name:string, complete:function(object[], object=): Promise<object> }}
+ */
+export function createProvider(settings) {
+  const s = { ...DEFAULT_LLM_SETTINGS, ...settings };
+  switch (s.provider) {
+    case 'mock':
+      return createMockProvider(s.mockScript);
+    case 'openai':
+      if (!s.apiKey) throw new Error('enter an OpenAI API key');
+      return openAICompatible(s);
+    case 'compatible':
+      if (!s.baseURL) throw new Error('enter the server’s base URL');
+      return openAICompatible(s);
+  }
+  throw new Error(`unknown provider "${s.provider}"`);
+}
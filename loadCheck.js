@@ -0,0 +1,266 @@
+// loadCheck.js
+import { ft2in, bayWidthsOf } from './utils.js';
+import { memberSection, roundBar } from './sections.js';
+import { createPanel, htmlTable } from './uiPanel.js';
+import { unitController, unitLabel, toDisplay, isMetric } from './units.js';
+
+/** Structural settings stored with the design (params.structure) */
+export const DEFAULT_STRUCTURE = {
+  tubeWallIn     : 0.1875,  // square‑tube wall of posts and beams (in; strut is 12 ga)
+  fyKsi          : 46,      // yield strength (A500 Gr. B)
+  eKsi           : 29000,   // modulus of elasticity
+  deflectionLimit: 240,     // beam deflection limit L/…
+  ductGauge      : 22,      // galvanised sheet gauge of all ducts
+  insulationIn   : 1,       // insulation on ducts and pipes (in)
+  insulationPcf  : 3,       // insulation density (lb/ft³)
+  trayLoadPlf    : 20,      // cable tray self weight + cable fill (lb/ft)
+  warnRatio      : 0.9      // utilisation above which a tier warns
+};
+
+/** Fill any missing structural settings with their defaults */
+export function ensureStructure(p) {
+  p.structure = { ...DEFAULT_STRUCTURE, ...p.structure };
+}
+
+/* ---------- service weights ---------- */
+/* Schedule 40 steel pipe: nominal diameter (in) → [pipe lb/ft, water lb/ft] */
+const PIPE_WEIGHTS = [
+  [0.5,   0.85,   0.13], [0.75,  1.13,   0.23], [1,     1.68,   0.37],
+  [1.25,  2.27,   0.65], [1.5,   2.72,   0.88], [2,     3.65,   1.45],
+  [2.5,   5.79,   2.07], [3,     7.58,   3.20], [4,    10.79,   5.51],
+  [5,    14.62,   8.66], [6,    18.97,  12.51], [8,    28.55,  21.66],
+  [10,   40.48,  34.12], [12,   53.52,  48.50], [14,   63.44,  58.50],
+  [16,   82.77,  76.50], [18,  104.67,  96.60], [20,  122.91, 120.60],
+  [24,  171.17, 174.00]
+];
+
+/* Galvanised sheet weight (lb/ft²) by gauge */
+const SHEET_PSF = { 26: 0.906, 24: 1.156, 22: 1.406, 20: 1.656, 18: 2.156, 16: 2.656 };
+const DUCT_SEAM_FACTOR = 1.15;                      // seams, joints, reinforcement
+
+/** Weight (lb/ft) of a Sch. 40 pipe running full of water */
+export function pipeWeightPlf(diamIn) {
+  const tbl = PIPE_WEIGHTS;
+  const total = ([, pipe, water]) => pipe + water;
+  if (diamIn <= tbl[0][0]) return total(tbl[0]) * (diamIn / tbl[0][0]) ** 2;
+  if (diamIn >= tbl.at(-1)[0]) return total(tbl.at(-1)) * (diamIn / tbl.at(-1)[0]) ** 2;
+  const i = tbl.findIndex(r => r[0] >= diamIn);
+  const [d0, d1] = [tbl[i - 1][0], tbl[i][0]];
+  const t = (diamIn - d0) / (d1 - d0);
+  return total(tbl[i - 1]) * (1 - t) + total(tbl[i]) * t;
+}
+
+/** Weight (lb/ft) of a rectangular sheet‑metal duct */
+export function ductWeightPlf(widthIn, heightIn, gauge) {
+  const psf = SHEET_PSF[gauge] ?? SHEET_PSF[22];
+  return 2 * (widthIn + heightIn) / 12 * psf * DUCT_SEAM_FACTOR;
+}
+
+/** Weight (lb/ft) of an insulation layer `tIn` thick around a perimeter */
+function insulationPlf(perimeterIn, tIn, pcf) {
+  return perimeterIn * tIn / 144 * pcf;
+}
+
+/* ---------- per‑tier dead load ---------- */
+/**
+ * Line loads (lb/ft of rack) of every service in a tier, with their
+ * Z position (in, from the rack centre line).
+ */
+export function tierServiceLoads(p, idx) {
+  const s = p.structure;
+  const loads = [];
+
+  if (p.ductEnabled[idx]) {
+    const w = p.ductWidths[idx], h = p.ductHeights[idx];
+    loads.push({
+      label: `Duct ${w}×${h}″`,
+      z    : p.ductOffsets[idx],
+      plf  : ductWeightPlf(w, h, s.ductGauge) +
+             insulationPlf(2 * (w + h), s.insulationIn, s.insulationPcf)
+    });
+  }
+  if (p.pipeEnabled[idx]) {
+    p.pipesPerTier[idx].forEach((pipe, j) => loads.push({
+      label: `Pipe ${j + 1} (${pipe.diam}″)`,
+      z    : pipe.side,
+      plf  : pipeWeightPlf(pipe.diam) +
+             insulationPlf(Math.PI * (pipe.diam + s.insulationIn), s.insulationIn, s.insulationPcf)
+    }));
+  }
+  if (p.trayEnabled?.[idx]) {
+    p.traysPerTier[idx].forEach((tray, j) => loads.push({
+      label: `Tray ${j + 1} (${tray.width}″)`,
+      z    : tray.side,
+      plf  : s.trayLoadPlf
+    }));
+  }
+  return loads;
+}
+
+/* ---------- member checks ---------- */
+/**
+ * Simply supported transverse beam of span `L` (in) under point loads
+ * `{ a, P }` (in, lb) and a uniform self weight `w` (lb/in).
+ * Returns max moment (lb·in), midspan deflection (in) and end reactions (lb).
+ */
+function beamResponse(L, loads, w, E, I) {
+  const total = loads.reduce((s, l) => s + l.P, 0) + w * L;
+  const RR = loads.reduce((s, l) => s + l.P * l.a, 0) / L + w * L / 2;
+  const RL = total - RR;
+
+  let M = 0;
+  for (let i = 0; i <= 100; i++) {
+    const x = L * i / 100;
+    const m = RL * x - w * x * x / 2 -
+      loads.reduce((s, l) => s + (x > l.a ? l.P * (x - l.a) : 0), 0);
+    M = Math.max(M, m);
+  }
+
+  const delta = loads.reduce((s, { a, P }) => {
+    const b = Math.min(a, L - a);                   // distance from nearest support
+    return s + P * b * (3 * L * L - 4 * b * b) / (48 * E * I);
+  }, 5 * w * L ** 4 / (384 * E * I));
+
+  return { M, delta, RL, RR };
+}
+
+/** Allowable axial load (lb) of a pin‑ended column (AISC E3, ASD) */
+function columnCapacity(sec, KL, Fy, E) {
+  const slender = KL / sec.r;
+  const Fe  = Math.PI ** 2 * E / slender ** 2;
+  const Fcr = slender <= 4.71 * Math.sqrt(E / Fy) ? 0.658 ** (Fy / Fe) * Fy : 0.877 * Fe;
+  return Fcr * sec.A / 1.67;
+}
+
+/** Allowable tension (lb) of a threaded hanger rod: 0.6 Fy on ≈ 75 % of its gross area */
+function rodCapacity(diamIn, Fy) {
+  return 0.6 * Fy * 0.75 * roundBar(diamIn).A;
+}
+
+/**
+ * Dead‑load check of every tier.
+ *
+ * Loads are taken by the transverse beam of the most loaded frame, which
+ * carries half of each bay either side of it of every service.  Posts are checked for the
+ * accumulated reactions of their tier and all tiers above it over the
+ * tier's unbraced height; the hanger rods of a trapeze rack (`postRatio`)
+ * in tension for their tier and all tiers below it.
+ *
+ * @param {object} p  params (with `structure`)
+ * @returns {Array<{ tier:number, loadPlf:number, momentKipIn:number,
+ *                   bendingRatio:number, deflectionIn:number,
+ *                   deflectionRatio:number, postLoadLb:number,
+ *                   postRatio:number, ratio:number,
+ *                   status:'pass'|'warn'|'fail' }>}
+ */
+export function checkLoads(p) {
+  const s    = p.structure;
+  const E    = s.eKsi  * 1000;                      // psi
+  const Fy   = s.fyKsi * 1000;
+  const beam = memberSection(p.memberProfile ?? 'square', p.beamSize, s.tubeWallIn);
+  const post = memberSection(p.memberProfile ?? 'square', p.postSize, s.tubeWallIn);
+  const L    = ft2in(p.depth);                      // post centre to centre (in)
+  const hung = p.mounting === 'trapeze';
+  const panel = hung ? p.rodSpacing ?? Infinity : Infinity;     // intermediate trapezes split wide bays
+  const bays = [p, ...(p.segments ?? [])].flatMap(s => bayWidthsOf({ ...s, bayWidth: p.bayWidth }))
+    .flatMap(w => {
+      const n = Math.max(1, Math.ceil(w / panel - 1e-6));
+      return Array(n).fill(w / n);
+    });
+  const trib = Math.max(...bays.map((w, i) => (w + (bays[i + 1] ?? w)) / 2));    // ft of service per frame
+
+  const tiers = p.tierHeights.map((h, idx) => {
+    const services = tierServiceLoads(p, idx);
+    const loads = services.map(l => ({
+      a: Math.min(Math.max(l.z + L / 2, 0), L),
+      P: l.plf * trib
+    }));
+    const { M, delta, RL, RR } = beamResponse(L, loads, beam.weightPlf / 12, E, beam.I);
+    return { h, services, M, delta, R: Math.max(RL, RR) };
+  });
+
+  // hanger rods carry their tier and every tier below it, plus their own weight
+  const rodDiamIn = p.rodDiameter ?? 0.5;
+  const rodWeight = roundBar(rodDiamIn).weightPlf * p.corridorHeight;
+  const hangLoads = tiers.map((_, idx) => tiers.slice(idx).reduce((sum, t) => sum + t.R, rodWeight));
+
+  let postLoad = 0;                                 // accumulated, worst post line
+  return tiers.map(({ h, services, M, delta, R }, idx) => {
+    const bendingRatio    = M / beam.S / (0.66 * Fy);
+    const deflectionRatio = delta / (L / s.deflectionLimit);
+
+    let postRatio;
+    if (hung) {
+      postLoad  = hangLoads[idx];
+      postRatio = postLoad / rodCapacity(rodDiamIn, Fy);
+    } else {
+      postLoad += R + post.weightPlf * (h + p.beamSize / 12);
+      const KL = ft2in(h) + p.beamSize;
+      postRatio = postLoad / columnCapacity(post, KL, Fy, E);
+    }
+
+    const ratio = Math.max(bendingRatio, deflectionRatio, postRatio);
+    return {
+      tier: idx + 1,
+      loadPlf: services.reduce((t, l) => t + l.plf, 0),
+      momentKipIn: M / 1000,
+      bendingRatio,
+      deflectionIn: delta,
+      deflectionRatio,
+      postLoadLb: postLoad,
+      postRatio,
+      ratio,
+      status: ratio > 1 ? 'fail' : ratio > s.warnRatio ? 'warn' : 'pass'
+    };
+  });
+}
+
+/* ---------- GUI + panel ---------- */
+const STATUS_ICON = { pass: '✔ pass', warn: '⚠ warn', fail: '✖ fail' };
+
+/**
+ * Add the "Structure" folder (section / load settings) and the load‑check
+ * panel.  Returns `refresh()`, to be called after every scene rebuild.
+ */
+export function initLoadCheck(gui, controllerMap, params, rebuildScene) {
+  ensureStructure(params);
+  const panel = createPanel('Load check', { left: '140px', top: '80px' });
+
+  function render() {
+    const pct = r => `${Math.round(r * 100)}%`;
+    const deflection = v => isMetric() ? `${toDisplay(v, 'in').toFixed(1)} mm` : `${v.toFixed(3)}″`;
+    panel.setContent(htmlTable([
+      ['Tier', `Load (${unitLabel('plf')})`, 'Bending', 'Deflection',
+       params.mounting === 'trapeze' ? 'Rod' : 'Post', 'Status'],
+      ...checkLoads(params).map(t => [
+        t.tier, toDisplay(t.loadPlf, 'plf').toFixed(1),
+        pct(t.bendingRatio), `${deflection(t.deflectionIn)} (${pct(t.deflectionRatio)})`,
+        pct(t.postRatio), STATUS_ICON[t.status]
+      ])
+    ]) + '<div style="margin-top:4px;color:#666">Dead load of an interior frame; ' +
+         'ratios are demand / capacity.</div>');
+  }
+
+  const folder = gui.addFolder('Structure');
+  const s = params.structure;
+  const add = (key, ...args) => {
+    controllerMap[`structure.${key}`] = folder.add(s, key, ...args).onChange(rebuildScene);
+    return controllerMap[`structure.${key}`];
+  };
+  const addUnit = (key, unit, name, ...range) => {
+    controllerMap[`structure.${key}`] = unitController(folder, s, key, unit, name, ...range).onChange(rebuildScene);
+    return controllerMap[`structure.${key}`];
+  };
+  addUnit('tubeWallIn', 'in', 'Tube wall', 0.0625, 0.5, 0.0625);
+  addUnit('fyKsi', 'ksi', 'Fy', 30, 65);
+  addUnit('eKsi', 'ksi', 'E', 25000, 30000);
+  add('deflectionLimit', 120, 480, 60).name('Deflection limit L/');
+  add('ductGauge', [26, 24, 22, 20, 18, 16]).name('Duct gauge');
+  addUnit('insulationIn', 'in', 'Insulation', 0, 4, 0.5);
+  addUnit('insulationPcf', 'pcf', 'Insulation', 0, 10);
+  addUnit('trayLoadPlf', 'plf', 'Tray load', 0, 100);
+  folder.add({ show: () => { render(); panel.show(); } }, 'show').name('Show load check');
+  folder.close();
+
+  return () => { if (panel.root.style.display !== 'none') render(); };
+}
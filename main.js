@@ -2,13 +2,27 @@ import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { RoomEnvironment } from 'three/addons/environments/RoomEnvironment.js';
 import { dispose } from './utils.js';
-import { setupGUI, controllerMap } from './setupGUI.js';
+import { setupGUI, guiInstance, controllerMap, refreshGUI, onSceneRebuilt } from './setupGUI.js';
 import { initChatInterface } from './chatInterface.js';
-import { TransformControls } from 'three/addons/controls/TransformControls.js';
-import { ViewCube } from './ViewCube.js';
+import { saveProjectFile, openProjectFile, replaceParams } from './projectIO.js';
+import { decodeState, initURLSync, captureView, applyView } from './urlState.js';
+import { createHistory, bindHistoryKeys } from './history.js';
+import { initClashDetection, highlightClashes } from './clash.js';
+import { initTakeoff } from './takeoff.js';
+import { initLoadCheck } from './loadCheck.js';
+import { initModelExport } from './modelExport.js';
+import { initIFCExport } from './ifcExport.js';
+import { initDrawingExport } from './drawingExport.js';
+import { initSectionTool } from './sectionTool.js';
+import { initAnnotations } from './annotations.js';
+import { initSelection } from './selection.js';
+import { initValidation, newErrors } from './validation.js';
+import { initPatchPreview } from './patchPreview.js';
+import { ViewCube, initViewCubeNavigation } from './ViewCube.js';
+import { initViews } from './views.js';
 
 /* ---------- renderer / scene ---------- */
-const renderer = new THREE.WebGLRenderer({ antialias: true });
+const renderer = new THREE.WebGLRenderer({ antialias: true, stencil: true });   // stencil: section caps
 renderer.setPixelRatio(window.devicePixelRatio);
 renderer.setSize(innerWidth, innerHeight);
 renderer.toneMapping = THREE.ACESFilmicToneMapping;
@@ -105,9 +119,15 @@ controls.keys = {
 	BOTTOM: 'ArrowDown' // down arrow
 }
 
-camera.position.set(9.238, 7.435, 6.181);
+/* default ("home") view – also used by the ViewCube's home button */
+const HOME_VIEW = {
+  position: new THREE.Vector3(9.238, 7.435, 6.181),
+  target  : new THREE.Vector3(-1.731, 2.686, -1.376),
+  zoom    : 2
+};
+camera.position.copy(HOME_VIEW.position);
 camera.lookAt(0, 0, 0);
-controls.target.set(-1.731, 2.686, -1.376);
+controls.target.copy(HOME_VIEW.target);
 
 controls.mouseButtons = {
   LEFT: THREE.MOUSE.ROTATE,   // orbit
@@ -167,6 +187,7 @@ scene.add(cameraHelper);
 
 /* ---------- camera logger ---------- */
 function logCamera () {
+  const camera = controls.object;
   console.log(
     `camera.position.set(${camera.position.x.toFixed(3)}, ` +
     `${camera.position.y.toFixed(3)}, ${camera.position.z.toFixed(3)});`
@@ -196,6 +217,7 @@ const floorRough  = texLoader.load('./textures/Floor-Roof/Wood066_1K-JPG_Roughne
 });
 
 const floorMaterial = new THREE.MeshStandardMaterial({
+  name: 'Floor',
   map: floorAlbedo,
   normalMap: floorNormal,
   roughnessMap: floorRough,
@@ -203,15 +225,17 @@ const floorMaterial = new THREE.MeshStandardMaterial({
   roughness: 1.0
 });
 
-const steelMat = new THREE.MeshStandardMaterial({ color: 0x777777, metalness: 1, roughness: 0.25 });
-const wallMaterial = new THREE.MeshStandardMaterial({ color: '#e0e0e0', metalness: 0.1, roughness: 0.7, transparent: true, opacity: 0.4 });
-const ceilingMaterial = new THREE.MeshStandardMaterial({ color: '#f5f5f5', metalness: 0.2, roughness: 0.6, transparent: true, opacity: 0.4 });
+const steelMat = new THREE.MeshStandardMaterial({ name: 'Steel', color: 0x777777, metalness: 1, roughness: 0.25 });
+const wallMaterial = new THREE.MeshStandardMaterial({ name: 'Wall', color: '#e0e0e0', metalness: 0.1, roughness: 0.7, transparent: true, opacity: 0.4 });
+const ceilingMaterial = new THREE.MeshStandardMaterial({ name: 'Ceiling', color: '#f5f5f5', metalness: 0.2, roughness: 0.6, transparent: true, opacity: 0.4 });
 // const floorMaterial = new THREE.MeshStandardMaterial({ color: '#d6d6d6', metalness: 0.05, roughness: 0.85 });
-const roofMaterial = new THREE.MeshStandardMaterial({ color: '#bdbdbd', metalness: 0.3, roughness: 0.4, transparent: true, opacity: 0.4 });
-const ductMat = new THREE.MeshStandardMaterial({ color: '#d05e8f', metalness: 0.50, roughness: 0.9, transparent: true, opacity: 1 });
+const roofMaterial = new THREE.MeshStandardMaterial({ name: 'Roof', color: '#bdbdbd', metalness: 0.3, roughness: 0.4, transparent: true, opacity: 0.4 });
+const ductMat = new THREE.MeshStandardMaterial({ name: 'Duct', color: '#d05e8f', metalness: 0.50, roughness: 0.9, transparent: true, opacity: 1 });
+const trayMat = new THREE.MeshStandardMaterial({ name: 'CableTray', color: '#b9b49a', metalness: 0.8, roughness: 0.45 });
 
 /* ---------- parameters ---------- */
 const params = {
+  units          : 'imperial',   // display units, 'imperial' | 'metric' – the values below stay in ft / in
   corridorWidth  : 10,
   corridorHeight : 15,
   ceilingHeight  : 9,
@@ -221,14 +245,25 @@ const params = {
 
   bayCount  : 4,
   bayWidth  : 3,
+  bayWidths : [],          // per bay (ft), null = bayWidth
+  bayOmitBottomBeam: [],   // per bay: leave out the bottom longitudinal beams
   depth     : 4,
+  segments  : [],          // further run segments: { turn (deg), bayCount, corridorWidth (ft | null), bayWidths? }
 
   topClearance : 15,
   postSize     : 2,
   beamSize     : 2,
+  memberProfile: 'square', // posts and beams: 'square' tube | 'strut' channel
+  braceProfile : 'square',
+  braceSize    : 1.625,    // in
+  mounting     : 'floor',  // 'floor' (posts) | 'trapeze' (hung on rods from the roof slab)
+  rodDiameter  : 0.5,      // in
+  rodSpacing   : 8,        // ft, max. along the run
 
   tierCount    : 2,
   tierHeights  : [2, 2],   // ft  (parallel array #1)
+  tierRails    : ['none', 'none'],   // longitudinal beams at each tier's bottom beams
+  bracingPerTier: [],      // { type: 'none'|'X'|'K', sides, bays: [], frames: [] }, filled by syncArrays
 
   /* per-tier duct settings – parallel arrays keep the old utils untouched */
   ductEnabled  : [true, false],
@@ -237,6 +272,13 @@ const params = {
   ductOffsets  : [ 0,  0]  // in  (parallel array #4)
 };
 
+/* a shared link (#rack=…) overrides the defaults above */
+const sharedDoc = await decodeState().catch(err => {
+  console.warn('Ignoring invalid rack link:', err);
+  return null;
+});
+if (sharedDoc) replaceParams(params, sharedDoc.params);
+
 /* bundle materials into one object */
 const mats = {
   steelMat,
@@ -244,26 +286,138 @@ const mats = {
   ceilingMaterial,
   floorMaterial,
   roofMaterial,
-  ductMat
+  ductMat,
+  trayMat
 };
 
 /* ---------- setup GUI (and build scene) ---------- */
 // setupGUI(scene, params, camera, controls, mats);
 
 
-const rebuildScene = setupGUI(scene, params, camera, controls, mats);
-initChatInterface(params, rebuildScene, updates => {
-  // for each key in updates, if there’s a controller, setValue:
-  Object.entries(updates).forEach(([k,v]) => {
-    if (controllerMap[k]?.setValue) {
-      controllerMap[k].setValue(v);
-    }
-  });
+const rebuildScene = setupGUI(scene, params, camera, controls, mats,
+  label => undoHistory.commit(label));      // undo steps for the GUI's buttons
+
+/* ---------- undo / redo ---------- */
+const undoHistory = createHistory(params, snapshot => {
+  replaceParams(params, snapshot);
+  refreshGUI(params);
+  rebuildScene();
+});
+bindHistoryKeys(undoHistory);
+
+// one step per finished GUI edit (slider release, toggle, typed value)
+guiInstance.onFinishChange(({ controller }) => undoHistory.commit(controller.$name.textContent));
+
+/* ---------- design rules ---------- */
+const checkRules = initValidation({ gui: guiInstance, params, controllerMap });
+onSceneRebuilt(checkRules);
+checkRules();
+
+/* ---------- clash detection ---------- */
+const { run: runClashes, schedule: scheduleClashes } = initClashDetection(guiInstance, scene, params);
+onSceneRebuilt(scheduleClashes);
+runClashes();
+
+/* ---------- AI assistant ---------- */
+initChatInterface(
+  params,
+  rebuildScene,
+  () => refreshGUI(params),                       // redraw sliders without re-firing onChange
+  text => undoHistory.commit(`AI: ${text}`),      // whole response = one undo step
+  newErrors,                                      // reject responses that break hard design rules
+  initPatchPreview(scene, mats),                  // ghost of a proposed change until accepted
+  () => ({ clashes: runClashes(), issues: checkRules() })   // the assistant's check tool
+);
+
+/* ---------- material takeoff ---------- */
+onSceneRebuilt(initTakeoff(guiInstance, scene, params));
+
+/* ---------- structural load check ---------- */
+onSceneRebuilt(initLoadCheck(guiInstance, controllerMap, params, rebuildScene));
+
+/* ---------- section plane / box ---------- */
+const refreshSection = initSectionTool({ gui: guiInstance, scene, renderer, controls });
+onSceneRebuilt(refreshSection);
+refreshSection();
+
+/* ---------- dimension annotations ---------- */
+const annotations = initAnnotations({ gui: guiInstance, scene, controls });
+onSceneRebuilt(annotations.refresh);
+
+/* ---------- click‑to‑select + move gizmo ---------- */
+onSceneRebuilt(initSelection({
+  gui: guiInstance, scene, renderer, controls, params, controllerMap, rebuildScene,
+  onCommit: label => undoHistory.commit(label)
+}));
+
+/* ---------- model export (GLB / glTF / OBJ / IFC) ---------- */
+const exportFolder = initModelExport(guiInstance, scene, {
+  prepare: () => highlightClashes([]),   // export real materials, not clash red
+  restore: runClashes
 });
+initIFCExport(exportFolder, scene, params);
+
+/* ---------- 2D drawings (section + plan to DXF / SVG) ---------- */
+initDrawingExport(guiInstance, scene);
+
+/* ---------- saved views + ortho / perspective ---------- */
+const views = initViews({ gui: guiInstance, controls, orthoCamera: camera, viewHeight: 20 });
+
+function applyDocView(view) {
+  views.setProjection(view.projection ?? 'ortho');
+  applyView(view, controls.object, controls);
+}
+
+/* ---------- project save / open ---------- */
+function loadProject(doc) {
+  replaceParams(params, doc.params);
+  refreshGUI(params);
+  rebuildScene();
+  undoHistory.commit('Open project');
+  if (doc.views) views.load(doc.views);
+  if (doc.view) applyDocView(doc.view);
+}
+if (sharedDoc?.view) applyDocView(sharedDoc.view);
+
+const editFolder = guiInstance.addFolder('Edit');
+editFolder.add({ undo: () => undoHistory.undo() }, 'undo').name('Undo (Ctrl+Z)');
+editFolder.add({ redo: () => undoHistory.redo() }, 'redo').name('Redo (Ctrl+Shift+Z)');
+
+const projectFolder = guiInstance.addFolder('Project');
+projectFolder.add({
+  save: () => saveProjectFile(params, { view: captureView(controls.object, controls), views: views.list() })
+}, 'save').name('Save project…');
+projectFolder.add({
+  open: () => openProjectFile()
+    .then(loadProject)
+    .catch(err => alert('Could not open project: ' + err.message))
+}, 'open').name('Open project…');
+
+/* ---------- shareable link ---------- */
+const share = { includeView: true };
+const urlSync = initURLSync(
+  params,
+  () => share.includeView ? captureView(controls.object, controls) : null,
+  loadProject
+);
+onSceneRebuilt(urlSync.schedule);
+controls.addEventListener('end', () => { if (share.includeView) urlSync.schedule(); });
+
+projectFolder.add(share, 'includeView').name('Link includes view').onChange(urlSync.schedule);
+projectFolder.add({
+  copy: async () => {
+    const url = await urlSync.link();
+    try {
+      await navigator.clipboard.writeText(url);
+    } catch {
+      prompt('Copy this link:', url);
+    }
+  }
+}, 'copy').name('Copy share link');
 
 // ViewCube setup
 const viewCubeScene = new THREE.Scene();
-const viewCubeCamera = camera.clone();
+const viewCubeCamera = new THREE.OrthographicCamera(-4.5, 4.5, 4.5, -4.5, 0.1, 100);   // square, fits the cube
 
 const viewCube = new ViewCube(5);
 viewCubeScene.add(viewCube);
@@ -281,23 +435,35 @@ viewCubeRenderer.domElement.style.left = '20px';
 viewCubeRenderer.domElement.style.bottom = '50px';
 viewCubeRenderer.domElement.style.zIndex = '1000';
 
+initViewCubeNavigation({
+  cube      : viewCube,
+  cubeCamera: viewCubeCamera,
+  element   : viewCubeRenderer.domElement,
+  controls,
+  getFocus  : () => {
+    const box = new THREE.Box3();
+    scene.children.forEach(o => { if (o.userData.isGenerated && o.name !== 'Shell') box.expandByObject(o); });
+    return box.isEmpty() ? controls.target.clone() : box.getCenter(new THREE.Vector3());
+  },
+  home: HOME_VIEW
+});
+
 /* ---------- resize & render ---------- */
 addEventListener('resize', () => {
-  camera.aspect = innerWidth / innerHeight;
-  camera.updateProjectionMatrix();
   renderer.setSize(innerWidth, innerHeight);
 });
 (function animate() {
   requestAnimationFrame(animate);
   controls.update();
-  updateOrthoCamera(camera, 20);
-  renderer.render(scene, camera);
+  const activeCamera = controls.object;               // ortho or perspective (Views folder)
+  if (activeCamera.isOrthographicCamera) updateOrthoCamera(activeCamera, 20);
+  renderer.render(scene, activeCamera);
+  annotations.render();
 
   // Optional: slowly rotate viewcube for testing
   // Sync viewCubeCamera orientation with main camera
-  viewCubeCamera.position.copy(camera.position);
-  viewCubeCamera.quaternion.copy(camera.quaternion);
-  viewCubeCamera.updateProjectionMatrix();
+  viewCubeCamera.position.copy(activeCamera.position).sub(controls.target).setLength(10);
+  viewCubeCamera.quaternion.copy(activeCamera.quaternion);
 
   viewCubeRenderer.render(viewCubeScene, viewCubeCamera);
 })();
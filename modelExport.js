@@ -0,0 +1,172 @@
+// modelExport.js
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+import { OBJExporter } from 'three/addons/exporters/OBJExporter.js';
+import { downloadFile } from './utils.js';
+import { isMetric } from './units.js';
+
+/* ---------- element names ---------- */
+const cap = s => s[0].toUpperCase() + s.slice(1);
+const num = v => String(Math.round(v * 100) / 100);
+/* sizes (in) for names: `18x16in`, or `457.2x406.4mm` */
+const dims = (...v) => isMetric() ? `${v.map(x => num(x * 25.4)).join('x')}mm` : `${v.map(num).join('x')}in`;
+
+/**
+ * Stable, human‑readable name for a tagged element, e.g.
+ * `Tier2_Pipe1_4in`, `Post_Bay3_Front`, `Tier1_Duct_18x16in` (sizes in
+ * mm with metric units); elements of later run segments are prefixed
+ * `Seg2_`, service bends end `_Bend`.
+ */
+export function elementName(ud) {
+  const name = kindName(ud);
+  return `${ud.segment ? `Seg${ud.segment + 1}_` : ''}${name}${ud.elbow ? '_Bend' : ''}`;
+}
+
+function kindName(ud) {
+  switch (ud.kind) {
+    case 'post':  return `Post_Bay${ud.bay}_${cap(ud.side)}`;
+    case 'rod':   return `Rod_Bay${ud.bay}${ud.station ? `_Trapeze${ud.station}` : ''}_${cap(ud.side)}`;
+    case 'beam':
+      if (ud.role === 'longitudinal') {
+        const level = ud.level === 'tier' ? `Tier${ud.tier}` : cap(ud.level);
+        return `Rail_${level}_${cap(ud.side)}${ud.bays ? `_Bays${ud.bays[0]}-${ud.bays[1]}` : ''}`;
+      }
+      return (ud.tier === 0 ? `RoofBeam_Bay${ud.bay}` : `Tier${ud.tier}_Beam_Bay${ud.bay}`)
+        + (ud.station ? `_Trapeze${ud.station}` : '');
+    case 'brace': return ud.face === 'frame'
+      ? `Tier${ud.tier}_Brace${ud.type}_Frame${ud.bay}_${ud.index + 1}`
+      : `Tier${ud.tier}_Brace${ud.type}_Bay${ud.bay}_${cap(ud.face)}_${ud.index + 1}`;
+    case 'duct':  return `Tier${ud.tier}_Duct_${dims(ud.widthIn, ud.heightIn)}`;
+    case 'pipe':  return `Tier${ud.tier}_Pipe${ud.index + 1}_${dims(ud.diamIn)}`;
+    case 'tray':  return `Tier${ud.tier}_Tray${ud.index + 1}_${dims(ud.widthIn)}_${cap(ud.style)}`;
+    case 'shell':
+      if (ud.part === 'penetration') return `Shell_Penetration_Bay${ud.bay}${ud.station ? `_Trapeze${ud.station}` : ''}_${cap(ud.side)}`;
+      return ud.part === 'wall' ? `Shell_Wall_${cap(ud.side)}` : `Shell_${cap(ud.part)}`;
+  }
+  return ud.kind ?? '';
+}
+
+/* ---------- export tree ---------- */
+/**
+ * Clone everything tagged `userData.isGenerated` into one named group,
+ * ready for an exporter.  Geometry and materials are shared, not copied.
+ *
+ * @param {THREE.Scene} scene
+ * @param {object}  [opts]
+ * @param {boolean} [opts.includeShell=true]    Corridor floor / walls / slabs
+ * @param {boolean} [opts.includeHelpers=false] Grids and light helpers
+ * @param {boolean} [opts.includeEdges=false]   Outline line segments
+ * @returns {THREE.Group}
+ */
+export function buildExportGroup(scene, { includeShell = true, includeHelpers = false, includeEdges = false } = {}) {
+  const root = new THREE.Group();
+  root.name = 'MultiTradeRack';
+
+  scene.children.forEach(o => {
+    if (o.userData.isGenerated) {
+      root.add(o.clone());
+    } else if (includeHelpers && o.isLineSegments && o.visible) {
+      // helpers cannot be cloned generically – copy them as plain lines
+      const lines = new THREE.LineSegments(o.geometry, o.material);
+      lines.name = o.type;
+      lines.matrixAutoUpdate = false;
+      lines.matrix.copy(o.matrixWorld);
+      root.add(lines);
+    }
+  });
+
+  const drop = [];
+  root.traverse(o => {
+    if (o.userData.kind === 'shell' && !includeShell) drop.push(o);
+    if (o.isLineSegments && o.parent?.isMesh) {
+      if (!includeEdges) drop.push(o);
+      else o.name = `${o.parent.name}_Edges`;
+    }
+    if (o.userData.kind) {
+      o.name = elementName(o.userData);
+      const count = {};
+      o.children.forEach(c => {
+        const part = c.userData.part;
+        if (part) c.name = `${o.name}_${cap(part)}${count[part] = (count[part] ?? 0) + 1}`;
+      });
+    }
+  });
+  drop.forEach(o => o.removeFromParent());
+
+  return root;
+}
+
+/* ---------- writers ---------- */
+/** GLB (`binary`) or glTF JSON of `group`; resolves with ArrayBuffer / object */
+export function exportGLTF(group, binary = true) {
+  return new GLTFExporter().parseAsync(group, { binary, onlyVisible: true });
+}
+
+/** Companion .mtl for the materials referenced by an OBJ export */
+function buildMTL(group) {
+  const mats = new Map();
+  group.traverse(o => {
+    if (o.isMesh && o.material?.name) mats.set(o.material.name, o.material);
+  });
+  return [...mats.values()].map(m => [
+    `newmtl ${m.name}`,
+    `Kd ${m.color.r.toFixed(4)} ${m.color.g.toFixed(4)} ${m.color.b.toFixed(4)}`,
+    `d ${(m.transparent ? m.opacity : 1).toFixed(3)}`,
+    `Ns ${Math.round((1 - (m.roughness ?? 0.5)) * 1000)}`,
+    'illum 2'
+  ].join('\n')).join('\n\n') + '\n';
+}
+
+/** Wavefront OBJ + MTL text of `group` */
+export function exportOBJ(group, mtlName = 'rack.mtl') {
+  return {
+    obj: `mtllib ${mtlName}\n` + new OBJExporter().parse(group),
+    mtl: buildMTL(group)
+  };
+}
+
+/* ---------- GUI ---------- */
+/**
+ * Add the "Export model" folder.  `prepare()` / `restore()` bracket the
+ * scene clone, e.g. to drop temporary highlight materials.
+ * Returns the folder so other exporters can join it.
+ */
+export function initModelExport(gui, scene, { prepare, restore } = {}) {
+  const opts = { includeShell: true, includeHelpers: false, includeEdges: false };
+
+  function snapshot() {
+    prepare?.();
+    try {
+      return buildExportGroup(scene, opts);
+    } finally {
+      restore?.();
+    }
+  }
+
+  async function gltf(binary) {
+    try {
+      const out = await exportGLTF(snapshot(), binary);
+      if (binary) downloadFile('rack.glb', out, 'model/gltf-binary');
+      else downloadFile('rack.gltf', JSON.stringify(out), 'model/gltf+json');
+    } catch (err) {
+      console.error(err);
+      alert('Export failed: ' + err.message);
+    }
+  }
+
+  function obj() {
+    const { obj, mtl } = exportOBJ(snapshot());
+    downloadFile('rack.obj', obj, 'text/plain');
+    downloadFile('rack.mtl', mtl, 'text/plain');
+  }
+
+  const folder = gui.addFolder('Export model');
+  folder.add(opts, 'includeShell').name('Include shell');
+  folder.add(opts, 'includeHelpers').name('Include grids / helpers');
+  folder.add(opts, 'includeEdges').name('Include edge lines');
+  folder.add({ glb: () => gltf(true) }, 'glb').name('Export GLB');
+  folder.add({ gltf: () => gltf(false) }, 'gltf').name('Export glTF');
+  folder.add({ obj }, 'obj').name('Export OBJ + MTL');
+  folder.close();
+  return folder;
+}
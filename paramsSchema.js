@@ -0,0 +1,241 @@
+// paramsSchema.js
+import { ft2in } from './utils.js';
+import { ensureArrays, syncArrays, syncBays, DEFAULT_PIPE, DEFAULT_TRAY, DEFAULT_BRACING } from './setupGUI.js';
+import { toDisplay, fromDisplay, unitLabel, PARAM_UNITS } from './units.js';
+
+/* ---------- schema ----------
+   What a patch (an AI response) may change, and to what.  Specs:
+     { type:'number', unit?, min?, max?, integer?, nullable? }
+     { type:'boolean' } | { type:'enum', values:[…] }
+     { type:'list', of:spec }                    – any length
+     { type:'object', props:{ key: spec }, defaults? }
+   `min` / `max` are in internal units (ft / in) and may be functions of
+   the patched params and the 0‑based tier, for ranges that follow the
+   rack (offsets within the depth, heights within the tier).  Patches are
+   given in display units and converted with the spec's `unit`. */
+const num = (unit, min, max, extra = {}) => ({ type: 'number', unit, min, max, ...extra });
+const int = (min, max) => ({ type: 'number', min, max, integer: true });
+const bool = { type: 'boolean' };
+const oneOf = (...values) => ({ type: 'enum', values });
+
+const halfDepth = p => ft2in(p.depth) / 2;
+const side = num('in', p => -halfDepth(p), halfDepth);
+const vert = num('in', 0, (p, t) => ft2in(p.tierHeights[t]));
+
+const TOP_LEVEL = {
+  corridorWidth : num('ft', 6, 40),
+  corridorHeight: num('ft', 8, 60),
+  ceilingHeight : num('ft', 0, 60),
+  ceilingDepth  : num('in', 0, 24),
+  slabDepth     : num('in', 1, 24),
+  wallThickness : num('in', 1, 24),
+  bayCount      : int(1, 10),
+  bayWidth      : num('ft', 1, 30),
+  depth         : num('ft', 1, 40),
+  topClearance  : num('ft', 1, 60),
+  postSize      : num('in', 0.5, 12),
+  beamSize      : num('in', 0.5, 12),
+  memberProfile : oneOf('square', 'strut'),
+  braceProfile  : oneOf('square', 'strut'),
+  braceSize     : num('in', 0.5, 12),
+  mounting      : oneOf('floor', 'trapeze'),
+  rodDiameter   : num('in', 0.25, 1.5),
+  rodSpacing    : num('ft', 2, 20),
+  tierCount     : int(1, 10),
+  segments      : { type: 'list', of: { type: 'object', defaults: { turn: 90, corridorWidth: null }, props: {
+    turn         : num(null, -135, 135),
+    bayCount     : int(1, 10),
+    corridorWidth: num('ft', 6, 40, { nullable: true }),
+    bayWidths    : { type: 'list', of: num('ft', 1, 30, { nullable: true }) }
+  } } }
+};
+
+/* per‑tier keys: the value for one tier (`params[key][tier]`) */
+const PER_TIER = {
+  tierHeights   : num('ft', 1, 6),
+  tierRails     : oneOf('none', 'front', 'back', 'both'),
+  bracingPerTier: { type: 'object', defaults: DEFAULT_BRACING, props: {
+    type  : oneOf('none', 'X', 'K'),
+    sides : oneOf('both', 'front', 'back', 'none'),
+    bays  : { type: 'list', of: int(1, 100) },
+    frames: { type: 'list', of: int(1, 100) }
+  } },
+  ductEnabled   : bool,
+  ductWidths    : num('in', 4, 48),
+  ductHeights   : num('in', 4, 48),
+  ductOffsets   : side,
+  pipeEnabled   : bool,
+  pipesPerTier  : { type: 'list', of: { type: 'object', defaults: DEFAULT_PIPE, props: {
+    diam: num('in', 1, 24), side, vert
+  } } },
+  trayEnabled   : bool,
+  traysPerTier  : { type: 'list', of: { type: 'object', defaults: DEFAULT_TRAY, props: {
+    style: oneOf('ladder', 'solid'), width: num('in', 4, 36), railHeight: num('in', 2, 8), side, vert
+  } } }
+};
+
+/* per‑bay keys of the first run segment */
+const PER_BAY = {
+  bayWidths        : num('ft', 1, 30, { nullable: true }),
+  bayOmitBottomBeam: bool
+};
+
+export const PARAMS_SCHEMA = { topLevel: TOP_LEVEL, perTier: PER_TIER, perBay: PER_BAY };
+
+/* ---------- checking ---------- */
+const isPlain = v => v != null && typeof v === 'object' && !Array.isArray(v);
+const shown = (v, unit) => unit ? `${toDisplay(v, unit)} ${unitLabel(unit)}` : String(v);
+
+/* value (display units) → internal value, or an error pushed to `errors`.
+   Keys an object leaves out come from `base` (the value it replaces) if
+   given, else from the spec's defaults. */
+function check(value, spec, path, errors, ctx, base) {
+  const fail = msg => { errors.push(`${path}: ${msg}`); return undefined; };
+  switch (spec.type) {
+    case 'number': {
+      if (value === null && spec.nullable) return null;
+      if (typeof value !== 'number' || !Number.isFinite(value)) return fail(`expected a number, got ${JSON.stringify(value)}`);
+      if (spec.integer && !Number.isInteger(value)) return fail(`expected a whole number, got ${value}`);
+      const v = spec.unit ? fromDisplay(value, spec.unit) : value;
+      const bound = b => typeof b === 'function' ? b(ctx.params, ctx.tier) : b;
+      const min = bound(spec.min), max = bound(spec.max);
+      if ((min != null && v < min - 1e-9) || (max != null && v > max + 1e-9)) {
+        return fail(`${shown(v, spec.unit)} is outside ${shown(min, spec.unit)} … ${shown(max, spec.unit)}`);
+      }
+      return v;
+    }
+    case 'boolean':
+      return typeof value === 'boolean' ? value : fail(`expected true or false, got ${JSON.stringify(value)}`);
+    case 'enum':
+      return spec.values.includes(value) ? value
+        : fail(`expected one of ${spec.values.map(v => `"${v}"`).join(', ')}, got ${JSON.stringify(value)}`);
+    case 'list':
+      if (!Array.isArray(value)) return fail('expected an array');
+      return value.map((v, i) => check(v, spec.of, `${path}[${i}]`, errors, ctx));
+    case 'object': {
+      if (!isPlain(value)) return fail('expected an object');
+      Object.keys(value).filter(k => !(k in spec.props)).forEach(k => fail(`unknown key "${k}"`));
+      const out = {};
+      const from = isPlain(base) ? base : spec.defaults;
+      Object.entries(spec.props).forEach(([k, s]) => {
+        if (k in value) out[k] = check(value[k], s, `${path}.${k}`, errors, ctx);
+        else if (from && k in from) out[k] = structuredClone(from[k]);
+        else if (s.type !== 'list') fail(`missing "${k}"`);
+      });
+      return out;
+    }
+  }
+  return fail('not supported');
+}
+
+/* legacy `{ tier:n, key… }` / `{ bay:n, key… }` → `tiers` / `bays` lists */
+function entries(patch, listKey, indexKey, keys) {
+  const list = patch[listKey] ?? [];
+  if (!(indexKey in patch) || !Array.isArray(list)) return list;
+  const single = { [indexKey]: patch[indexKey] };
+  Object.keys(keys).forEach(k => { if (k in patch) single[k] = patch[k]; });
+  return [...list, single];
+}
+
+/**
+ * Check a patch – an object of the keys to change, in display units –
+ * against {@link PARAMS_SCHEMA} and apply it to a copy of `params`.
+ *
+ * Top‑level keys sit at the root; per‑tier and per‑bay keys go in
+ * `tiers: [{ tier, …keys }]` / `bays: [{ bay, …keys }]` (1‑based; the
+ * single `tier` / `bay` form is accepted too), so one patch can change
+ * several tiers.  Tiers are checked against the patched `tierCount`.
+ *
+ * @returns {{ next:object|null, errors:string[] }}  `next` = patched, synced
+ *          copy (null if there are errors)
+ */
+export function validatePatch(patch, params) {
+  const errors = [];
+  if (!isPlain(patch)) return { next: null, errors: ['the response is not a JSON object'] };
+
+  const next = structuredClone(params);
+  const tiers = entries(patch, 'tiers', 'tier', PER_TIER);
+  const bays  = entries(patch, 'bays', 'bay', PER_BAY);
+  const single = new Set(['tier', 'bay', 'tiers', 'bays',
+    ...('tier' in patch ? Object.keys(PER_TIER) : []), ...('bay' in patch ? Object.keys(PER_BAY) : [])]);
+
+  Object.entries(patch).forEach(([k, v]) => {
+    if (single.has(k)) return;
+    if (k in TOP_LEVEL) next[k] = check(v, TOP_LEVEL[k], k, errors, { params: next });
+    else if (k in PER_TIER) errors.push(`${k}: needs a tier – put it in "tiers": [{ "tier": n, "${k}": … }]`);
+    else if (k in PER_BAY) errors.push(`${k}: needs a bay – put it in "bays": [{ "bay": n, "${k}": … }]`);
+    else errors.push(`${k}: not a key that can be changed`);
+  });
+  if (errors.length) return { next: null, errors };
+  ensureArrays(next);
+  syncArrays(next);
+  syncBays(next);
+
+  const perIndex = (list, listKey, indexKey, keys, count) => {
+    if (!Array.isArray(list)) { errors.push(`${listKey}: expected an array`); return; }
+    list.forEach((entry, n) => {
+      const path = `${listKey}[${n}]`;
+      if (!isPlain(entry)) { errors.push(`${path}: expected an object`); return; }
+      const i = entry[indexKey];
+      if (!Number.isInteger(i) || i < 1 || i > count) {
+        errors.push(`${path}.${indexKey}: expected 1 … ${count}, got ${JSON.stringify(i)}`);
+        return;
+      }
+      // heights first, so offsets are checked against the new tier height
+      const ordered = Object.entries(entry).sort(([a], [b]) => (b === 'tierHeights') - (a === 'tierHeights'));
+      ordered.forEach(([k, v]) => {
+        if (k === indexKey) return;
+        if (!(k in keys)) { errors.push(`${path}: "${k}" is not a per‑${indexKey} key`); return; }
+        next[k][i - 1] = check(v, keys[k], `${indexKey} ${i} ${k}`, errors, { params: next, tier: i - 1 },
+                               next[k][i - 1]);
+      });
+    });
+  };
+  perIndex(tiers, 'tiers', 'tier', PER_TIER, next.tierCount);
+  perIndex(bays, 'bays', 'bay', PER_BAY, next.bayCount);
+
+  return errors.length ? { next: null, errors: [...new Set(errors)] } : { next, errors };
+}
+
+/* ---------- diff ---------- */
+/* leaves of a params value as [path[], value, unit] */
+function leaves(value, unit, path, out) {
+  if (Array.isArray(value) || isPlain(value)) {
+    Object.entries(value).forEach(([k, v]) => {
+      leaves(v, unit && typeof unit === 'object' ? unit[k] ?? (Array.isArray(value) ? unit : undefined) : unit,
+             [...path, k], out);
+    });
+  } else {
+    out.set(path.join('.'), [path, value, typeof unit === 'string' ? unit : null]);
+  }
+  return out;
+}
+
+const TIER_KEYS = new Set(Object.keys(PER_TIER));
+const BAY_KEYS  = new Set(Object.keys(PER_BAY));
+
+/* ['pipesPerTier','1','0','diam'] → 'Tier 2 · pipesPerTier 1 · diam', ['segments','0','turn'] → 'Segment 2 · turn' */
+function label([key, ...rest]) {
+  const parts = [];
+  if (TIER_KEYS.has(key) && rest.length) parts.push(`Tier ${+rest.shift() + 1}`, key);
+  else if (BAY_KEYS.has(key) && rest.length) parts.push(`Bay ${+rest.shift() + 1}`, key);
+  else if (key === 'segments' && rest.length) parts.push(`Segment ${+rest.shift() + 2}`);
+  else parts.push(key);
+  rest.forEach(k => { if (/^\d+$/.test(k)) parts[parts.length - 1] += ` ${+k + 1}`; else parts.push(k); });
+  return parts.join(' · ');
+}
+
+/**
+ * Changed values between two params models, in display units.
+ *
+ * @returns {Array<[string, string, string]>}  `[what, old, new]` rows
+ */
+export function diffParams(prev, next) {
+  const a = leaves(prev, PARAM_UNITS, [], new Map());
+  const b = leaves(next, PARAM_UNITS, [], new Map());
+  const text = entry => entry == null ? '—' : entry[1] == null ? 'default'
+    : typeof entry[1] === 'number' ? shown(entry[1], entry[2]) : String(entry[1]);
+  return [...new Set([...a.keys(), ...b.keys()])]
+    .filter(k => a.get(k)?.[1] !== b.get(k)?.[1])
+    .map(k => [label((b.get(k) ?? a.get(k))[0]), text(a.get(k)), text(b.get(k))]);
+}
@@ -0,0 +1,94 @@
+// patchPreview.js
+import * as THREE from 'three';
+import { dispose } from './utils.js';
+import { buildModel } from './setupGUI.js';
+
+const ADDED   = 0x2f80ed;     // new or changed geometry
+const REMOVED = 0xe74c3c;     // geometry the change takes away
+const KEYS = ['kind', 'segment', 'elbow', 'tier', 'index', 'bay', 'station', 'side', 'role', 'level', 'face',
+              'type', 'profile', 'style'];
+
+const ghostMaterials = color => ({
+  mesh: new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.35, depthWrite: false }),
+  line: new THREE.LineBasicMaterial({ color, transparent: true, opacity: 0.6 })
+});
+
+/* what an element is and where it sits (to the millimetre) */
+function signature(o) {
+  const box = new THREE.Box3().setFromObject(o);
+  const mm = v => v.toArray().map(c => Math.round(c * 1000)).join(',');
+  return KEYS.map(k => o.userData[k] ?? '').join('|') + `|${mm(box.min)}|${mm(box.max)}`;
+}
+
+/* tagged elements under a set of objects, outermost only */
+function elements(objects, out = []) {
+  objects.forEach(o => o.userData.kind ? out.push(o) : elements(o.children, out));
+  return out;
+}
+
+function paint(obj, mats) {
+  obj.traverse(o => {
+    if (o.isMesh) o.material = mats.mesh;
+    else if (o.isLine) o.material = mats.line;
+  });
+}
+
+/**
+ * Ghost preview of a proposed params change: the elements a change adds
+ * or moves are shown translucent blue, those it takes away translucent
+ * red; unchanged geometry is left alone.  The ghost is not tagged
+ * `isGenerated`, so picking, exports and checks ignore it.
+ *
+ * @returns {{ show:function(object), clear:function }}  `show(next)` with
+ *          the proposed (synced) params
+ */
+export function initPatchPreview(scene, mats) {
+  const added = ghostMaterials(ADDED), removed = ghostMaterials(REMOVED);
+  let ghost = null;
+
+  function clear() {
+    if (!ghost) return;
+    ghost.children.forEach(g => { if (g.userData.owned) dispose(g); });   // clones share the scene's geometry
+    scene.remove(ghost);
+    ghost = null;
+  }
+
+  function show(next) {
+    clear();
+    ghost = new THREE.Group();
+    ghost.name = 'Change preview';
+    ghost.userData.isPreview = true;
+
+    const current = elements(scene.children.filter(o => o.userData.isGenerated))
+      .map(o => [o, signature(o)]);
+    const proposed = buildModel(next, mats);
+    proposed.forEach(g => g.updateMatrixWorld(true));
+    const before = new Set(current.map(([, sig]) => sig));
+    const after  = new Set();
+
+    // new model: keep only what differs from the scene
+    elements(proposed).forEach(o => {
+      const sig = signature(o);
+      after.add(sig);
+      if (before.has(sig)) o.visible = false;
+    });
+    proposed.forEach(g => {
+      g.userData = { owned: true };
+      paint(g, added);
+      ghost.add(g);
+    });
+
+    // current elements with no match in the new model
+    current.filter(([, sig]) => !after.has(sig)).forEach(([o]) => {
+      const copy = o.clone();
+      o.updateWorldMatrix(true, false);
+      o.matrixWorld.decompose(copy.position, copy.quaternion, copy.scale);
+      paint(copy, removed);
+      ghost.add(copy);
+    });
+
+    scene.add(ghost);
+  }
+
+  return { show, clear };
+}
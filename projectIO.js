@@ -0,0 +1,159 @@
+// projectIO.js
+import { downloadFile } from './utils.js';
+import { DEFAULT_STRUCTURE } from './loadCheck.js';
+import { ensureArrays, syncArrays, syncBays } from './setupGUI.js';
+
+export const PROJECT_FORMAT  = 'multi-trade-rack';
+export const PROJECT_VERSION = 8;
+
+/* ---------- schema migrations ----------
+   MIGRATIONS[n] upgrades a version‑n document to version n+1.
+   Version 0 is a bare params object (e.g. copied from "show params"). */
+const MIGRATIONS = {
+  0: doc => ({ format: PROJECT_FORMAT, version: 1, params: doc }),
+
+  // v2: cable trays as a third per-tier trade
+  1: doc => {
+    const n = doc.params.tierCount ?? doc.params.tierHeights?.length ?? 0;
+    const params = {
+      trayEnabled : Array(n).fill(false),
+      traysPerTier: Array.from({ length: n }, () => [
+        { style: 'ladder', width: 12, railHeight: 4, side: 0, vert: 0 }
+      ]),
+      ...doc.params
+    };
+    return { ...doc, version: 2, params };
+  },
+
+  // v3: structural settings for the load check
+  2: doc => ({
+    ...doc,
+    version: 3,
+    params: { ...doc.params, structure: { ...DEFAULT_STRUCTURE, ...doc.params.structure } }
+  }),
+
+  // v4: further run segments (older files are one straight run)
+  3: doc => ({ ...doc, version: 4, params: { segments: [], ...doc.params } }),
+
+  // v5: per-bay widths and omitted bottom beams (none = all bays alike)
+  4: doc => ({ ...doc, version: 5, params: { bayWidths: [], bayOmitBottomBeam: [], ...doc.params } }),
+
+  // v6: tier rails, bracing and member profiles
+  5: doc => {
+    const n = doc.params.tierCount ?? doc.params.tierHeights?.length ?? 0;
+    const params = {
+      tierRails     : Array(n).fill('none'),
+      bracingPerTier: Array.from({ length: n }, () => ({ type: 'none', sides: 'both', bays: [], frames: [] })),
+      memberProfile : 'square',
+      braceProfile  : 'square',
+      braceSize     : 1.625,
+      ...doc.params
+    };
+    return { ...doc, version: 6, params };
+  },
+
+  // v7: trapeze mounting (older racks stand on the floor)
+  6: doc => ({
+    ...doc,
+    version: 7,
+    params: { mounting: 'floor', rodDiameter: 0.5, rodSpacing: 8, ...doc.params }
+  }),
+
+  // v8: the unit system the design is shown in (values themselves stay in ft / in)
+  7: doc => ({ ...doc, version: 8, params: { units: 'imperial', ...doc.params } })
+};
+
+/**
+ * Serialise the design into a versioned project document.
+ *
+ * @param {object} params   The live params object (deep‑copied)
+ * @param {object} [extras] Additional top‑level sections to store
+ * @returns {string} Pretty‑printed JSON
+ */
+export function serializeProject(params, extras = {}) {
+  return JSON.stringify({
+    format : PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    savedAt: new Date().toISOString(),
+    ...extras,
+    params : structuredClone(params)
+  }, null, 2);
+}
+
+/**
+ * Parse a project file (any known version) and migrate it to the
+ * current schema.  Throws on malformed or foreign files.
+ *
+ * @param {string} text
+ * @returns {object} `{ format, version, params, … }` at PROJECT_VERSION
+ */
+export function parseProject(text) {
+  let doc = JSON.parse(text);
+  if (!doc || typeof doc !== 'object') throw new Error('not a project file');
+
+  if ('format' in doc && doc.format !== PROJECT_FORMAT) {
+    throw new Error(`unknown format "${doc.format}"`);
+  }
+
+  let version = 'format' in doc ? doc.version : 0;     // bare params = v0
+  if (!(version >= 0 && version <= PROJECT_VERSION)) {
+    throw new Error(`unsupported project version ${version}`);
+  }
+  while (version < PROJECT_VERSION) {
+    doc = MIGRATIONS[version](doc);
+    version = doc.version;
+  }
+
+  if (!doc.params || typeof doc.params !== 'object') throw new Error('project has no params');
+  return doc;
+}
+
+/**
+ * Replace the contents of `target` with `source` in place, so that objects
+ * holding a reference to `target` (GUI controllers, chat) keep working.
+ * Keys `source` lacks are removed, not kept from the design before.  Nested
+ * settings objects (e.g. `structure`) are replaced in place for the same
+ * reason; arrays are replaced.  The per‑tier / per‑bay arrays are synced
+ * afterwards.
+ */
+export function replaceParams(target, source) {
+  const isPlain = v => v && typeof v === 'object' && !Array.isArray(v);
+  const clear = (obj, keep) => Object.keys(obj).forEach(k => { if (!(k in keep)) delete obj[k]; });
+  const next = structuredClone(source);
+  clear(target, next);
+  Object.entries(next).forEach(([k, v]) => {
+    if (isPlain(v) && isPlain(target[k])) {
+      clear(target[k], v);
+      Object.assign(target[k], v);
+    } else {
+      target[k] = v;
+    }
+  });
+  ensureArrays(target);
+  syncArrays(target);
+  syncBays(target);
+}
+
+/* ---------- file dialogs ---------- */
+export function saveProjectFile(params, extras, filename = 'rack-project.json') {
+  downloadFile(filename, serializeProject(params, extras), 'application/json');
+}
+
+/** Let the user pick a project file; resolves with the migrated document. */
+export function openProjectFile() {
+  return new Promise((resolve, reject) => {
+    const input  = document.createElement('input');
+    input.type   = 'file';
+    input.accept = '.json,application/json';
+    input.addEventListener('change', async () => {
+      const file = input.files[0];
+      if (!file) return;
+      try {
+        resolve(parseProject(await file.text()));
+      } catch (err) {
+        reject(err);
+      }
+    });
+    input.click();
+  });
+}
@@ -0,0 +1,192 @@
+// runPath.js
+import * as THREE from 'three';
+import { ft2m, in2m, runLengthFt, TRAY_SHEET_IN } from './utils.js';
+
+const M2IN     = 1 / 0.0254;
+const EPS      = 1e-6;
+const MAX_TURN = 135;              // deg either way
+const SERVICES = new Set(['duct', 'pipe', 'tray']);
+
+/** A new segment appended by the GUI */
+export const DEFAULT_SEGMENT = { turn: 90, bayCount: 3, corridorWidth: null };
+
+/* ---------- path ---------- */
+/**
+ * The run as a polyline of straight segments.
+ *
+ * Segment 1 is `bayCount` / `bayWidths` / `corridorWidth` and stays
+ * centred on the origin along +X; `p.segments[]` (`{ turn, bayCount,
+ * corridorWidth, bayWidths? }`, turn in degrees, positive = left,
+ * `corridorWidth` null = same as segment 1, bays `bayWidth` wide unless
+ * `bayWidths` says otherwise) continue from its end.
+ *
+ * Each segment carries its plan placement (`mid`, `heading`) and the
+ * joints with its neighbours (`joinStart` / `joinEnd`: `{ turn,
+ * corridorWidth, bendRadius, trim }`, turn in rad, `corridorWidth` of the
+ * neighbour, `trim` = straight services stop this far from the joint).
+ *
+ * Service bends are centred on the inside post of the corner frame, so
+ * every service keeps its clearance to that post round the bend: the
+ * rack centre line bends at the rack half‑depth.
+ *
+ * @returns {object[]}
+ */
+export function runSegments(p) {
+  const list = [
+    {
+      bayCount: p.bayCount, corridorWidth: p.corridorWidth, turn: 0,
+      bayWidths: p.bayWidths ?? null, bayOmitBottomBeam: p.bayOmitBottomBeam ?? null
+    },
+    ...(p.segments ?? []).map(s => ({
+      bayCount     : Math.max(1, Math.round(s.bayCount ?? 1)),
+      corridorWidth: s.corridorWidth ?? p.corridorWidth,
+      turn         : THREE.MathUtils.degToRad(THREE.MathUtils.clamp(s.turn ?? 0, -MAX_TURN, MAX_TURN)),
+      bayWidths    : s.bayWidths ?? null,
+      bayOmitBottomBeam: s.bayOmitBottomBeam ?? null
+    }))
+  ];
+
+  const cursor = new THREE.Vector3(-ft2m(runLengthFt(p)) / 2, 0, 0);
+  let heading = 0;
+  const segs = list.map((s, index) => {
+    heading += s.turn;
+    const lengthM = ft2m(runLengthFt({ ...s, bayWidth: p.bayWidth }));
+    const dir = new THREE.Vector3(Math.cos(heading), 0, -Math.sin(heading));
+    const seg = {
+      index, ...s, heading, lengthM,
+      mid: cursor.clone().addScaledVector(dir, lengthM / 2),
+      joinStart: null, joinEnd: null
+    };
+    cursor.addScaledVector(dir, lengthM);
+    return seg;
+  });
+
+  const radius = ft2m(p.depth) / 2;
+  segs.slice(1).forEach((seg, k) => {
+    const prev = segs[k];
+    const join = { turn: seg.turn, bendRadius: radius, trim: radius * Math.tan(Math.abs(seg.turn) / 2) };
+    prev.joinEnd  = { ...join, corridorWidth: seg.corridorWidth };
+    seg.joinStart = { ...join, corridorWidth: prev.corridorWidth };
+  });
+  return segs;
+}
+
+/** Builder parameters for one segment (see {@link runSegments}) */
+export function segmentParams(p, seg) {
+  return {
+    ...p,
+    bayCount     : seg.bayCount,
+    bayWidths    : seg.bayWidths,
+    bayOmitBottomBeam: seg.bayOmitBottomBeam,
+    corridorWidth: seg.corridorWidth,
+    joinStart    : seg.joinStart,
+    joinEnd      : seg.joinEnd
+  };
+}
+
+/**
+ * Move a group built around the origin onto its segment and tag it:
+ * the group gets `userData.isSegment`, every tagged element in it
+ * `userData.segment` (0‑based).
+ */
+export function placeSegment(group, seg) {
+  group.position.copy(seg.mid);
+  group.rotation.y = seg.heading;
+  group.userData.isSegment = true;
+  group.userData.segment = seg.index;
+  group.traverse(o => { if (o.userData.kind) o.userData.segment = seg.index; });
+  return group;
+}
+
+/** The segment group an element belongs to (null outside the run) */
+export function segmentOf(obj) {
+  let o = obj;
+  while (o && !o.userData.isSegment) o = o.parent;
+  return o;
+}
+
+/* ---------- service bends ---------- */
+/* cross‑sections (x = radius from the bend axis, y = height), closed loops */
+function circleProfile(r, rp, n = 16) {
+  return Array.from({ length: n + 1 }, (_, i) => {
+    const a = (i / n) * Math.PI * 2;
+    return new THREE.Vector2(r + rp * Math.cos(a), rp * Math.sin(a));
+  });
+}
+
+function rectProfile(r, w, y0, y1) {
+  return [[r + w / 2, y0], [r + w / 2, y1], [r - w / 2, y1], [r - w / 2, y0], [r + w / 2, y0]]
+    .map(([x, y]) => new THREE.Vector2(x, y));
+}
+
+/* U‑channel: bottom plate with side rails, bottom at y = 0 */
+function channelProfile(r, w, h, t) {
+  const i = w / 2, o = w / 2 + t;
+  return [[r + o, 0], [r + o, h], [r + i, h], [r + i, t], [r - i, t], [r - i, h], [r - o, h], [r - o, 0], [r + o, 0]]
+    .map(([x, y]) => new THREE.Vector2(x, y));
+}
+
+/**
+ * Elbows for the services of one segment at its turning end joint.
+ *
+ * `group` holds the segment's straight services, still in segment
+ * coordinates (call before {@link placeSegment}).  Each service is swept
+ * round the bend centre with its own cross‑section, from where its
+ * straight run stops (`joinEnd.trim`) to where the next segment's
+ * starts.  Elbows copy the service's `userData` plus `elbow: true`,
+ * `bendRadiusIn` and `lengthIn` (centre‑line arc length).
+ *
+ * @returns {THREE.Group} empty unless the run turns at the end of `p`
+ */
+export function buildBends(group, p) {
+  const out  = new THREE.Group();
+  const join = p.joinEnd;
+  if (!join || Math.abs(join.turn) < EPS) return out;
+
+  const s     = Math.sign(join.turn);          // +1: bend centre on the back (−Z) side
+  const sweep = Math.abs(join.turn);
+  const cx    = ft2m(runLengthFt(p)) / 2 - join.trim;
+  const cz    = -s * join.bendRadius;
+  const steps = Math.max(6, Math.ceil(sweep / (Math.PI / 32)));
+  const phiStart = s > 0 ? 0 : Math.PI - sweep;   // lathe angle 0 points along +Z
+
+  group.updateMatrixWorld(true);
+  const at = new THREE.Vector3();
+  group.traverse(o => {
+    const ud = o.userData;
+    if (!SERVICES.has(ud.kind) || ud.elbow) return;
+    o.getWorldPosition(at);                   // = segment coordinates while unplaced
+    let r = join.bendRadius + s * at.z;       // centre line; kept clear of the axis for services outside the posts
+
+    let profile, material;
+    switch (ud.kind) {
+      case 'pipe': {
+        const rp = in2m(ud.diamIn) / 2;
+        r = Math.max(r, rp);
+        profile  = circleProfile(r, rp);
+        material = o.material;
+        break;
+      }
+      case 'duct': {
+        const w = in2m(ud.widthIn), h = in2m(ud.heightIn);
+        r = Math.max(r, w / 2);
+        profile  = rectProfile(r, w, -h / 2, h / 2);
+        material = o.material;
+        break;
+      }
+      case 'tray': {
+        const w = in2m(ud.widthIn), t = in2m(TRAY_SHEET_IN);
+        r = Math.max(r, w / 2 + t);
+        profile  = channelProfile(r, w, in2m(ud.railHeightIn), t);
+        material = o.children.find(c => c.isMesh).material;
+        break;
+      }
+    }
+
+    const elbow = new THREE.Mesh(new THREE.LatheGeometry(profile, steps, phiStart, sweep), material);
+    elbow.userData = { ...ud, elbow: true, bendRadiusIn: r * M2IN, lengthIn: r * sweep * M2IN };
+    elbow.position.set(cx, at.y, cz);
+    out.add(elbow);
+  });
+  return out;
+}
@@ -0,0 +1,328 @@
+// sectionTool.js
+import * as THREE from 'three';
+import { TransformControls } from 'three/addons/controls/TransformControls.js';
+import { mergeGeometries } from 'three/addons/utils/BufferGeometryUtils.js';
+import { ft2m } from './utils.js';
+import { onCameraChange } from './views.js';
+import { unitController, setUnitRange } from './units.js';
+
+const M2FT = 1 / ft2m(1);
+const NOT_STEEL = new Set(['duct', 'pipe', 'tray', 'shell']);
+const AXES = {
+  x: new THREE.Vector3(1, 0, 0),
+  y: new THREE.Vector3(0, 1, 0),
+  z: new THREE.Vector3(0, 0, 1)
+};
+
+const capMat = new THREE.MeshStandardMaterial({
+  name: 'SectionCap', color: 0x3a4a5a, metalness: 0.1, roughness: 0.8,
+  stencilWrite: true, stencilRef: 0,
+  stencilFunc : THREE.NotEqualStencilFunc,
+  stencilFail : THREE.ReplaceStencilOp,
+  stencilZFail: THREE.ReplaceStencilOp,
+  stencilZPass: THREE.ReplaceStencilOp
+});
+
+/* ---------- caps ---------- */
+const capGeom = new THREE.PlaneGeometry(200, 200);
+
+/**
+ * One world‑space geometry (positions only) of every cut‑able steel member.
+ * Parts are de‑indexed: strut members are non‑indexed extrusions, boxes and
+ * rods indexed, and mergeGeometries() refuses a mix of both.
+ */
+function mergedSteel(scene) {
+  const parts = [];
+  scene.updateMatrixWorld(true);
+  scene.children.forEach(root => {
+    if (!root.userData.isGenerated) return;
+    root.traverse(o => {
+      if (!o.isMesh || !o.userData.kind || NOT_STEEL.has(o.userData.kind)) return;
+      let g = new THREE.BufferGeometry();
+      g.setAttribute('position', o.geometry.attributes.position.clone());
+      if (o.geometry.index) {
+        g.setIndex(o.geometry.index.clone());
+        const flat = g.toNonIndexed();
+        g.dispose();
+        g = flat;
+      }
+      parts.push(g.applyMatrix4(o.matrixWorld));
+    });
+  });
+  const merged = parts.length ? mergeGeometries(parts) : null;
+  parts.forEach(g => g.dispose());
+  return merged;
+}
+
+/**
+ * Stencil pass for one clipping plane: back faces increment and front
+ * faces decrement, so the stencil is non‑zero wherever the plane cuts
+ * through solid steel.
+ */
+function stencilMesh(geometry, plane, side, op, renderOrder) {
+  const mat = new THREE.MeshBasicMaterial({
+    side, clippingPlanes: [plane],
+    depthWrite: false, depthTest: false, colorWrite: false,
+    stencilWrite: true, stencilFunc: THREE.AlwaysStencilFunc,
+    stencilFail: op, stencilZFail: op, stencilZPass: op
+  });
+  const mesh = new THREE.Mesh(geometry, mat);
+  mesh.renderOrder = renderOrder;
+  return mesh;
+}
+
+/* ---------- section tool ---------- */
+/**
+ * Section plane / section box for the viewport.
+ *
+ * Clips every generated group with one draggable plane (along X, Y or Z)
+ * or six box planes, and fills cut steel with solid caps.  Adds the
+ * "Section" folder and returns `refresh()`, to be called after every
+ * scene rebuild.
+ */
+export function initSectionTool({ gui, scene, renderer, controls }) {
+  renderer.localClippingEnabled = true;
+
+  const state = {
+    enabled : false,
+    mode    : 'plane',      // 'plane' | 'box'
+    axis    : 'x',
+    position: 0,            // ft from the origin
+    flip    : false,
+    caps    : true,
+    gizmo   : true,
+    minX: -10, maxX: 10, minY: 0, maxY: 15, minZ: -5, maxZ: 5
+  };
+  const bounds = new THREE.Box3(new THREE.Vector3(-10, 0, -5), new THREE.Vector3(10, 15, 5));   // ft
+
+  /* shared by every generated material – mutated in place, never replaced */
+  const planes = [];
+
+  const capGroup = new THREE.Group();
+  capGroup.name = 'SectionCaps';
+  scene.add(capGroup);
+  let steelGeom = null;             // merged steel for the caps, built on demand
+  let steelStale = true;
+  let boxInitialised = false;
+
+  const planeHelper = new THREE.PlaneHelper(new THREE.Plane(), 1, 0xd04040);
+  const boxHelper   = new THREE.Box3Helper(new THREE.Box3(), 0xd04040);
+  planeHelper.visible = boxHelper.visible = false;
+  scene.add(planeHelper, boxHelper);
+
+  /* -- draggable handle for the single plane ------------------------------- */
+  const handle = new THREE.Object3D();
+  scene.add(handle);
+  const gizmo = new TransformControls(controls.object, renderer.domElement);
+  gizmo.setMode('translate');
+  gizmo.setSize(0.8);
+  scene.add(gizmo);
+  onCameraChange(cam => { gizmo.camera = cam; });
+  gizmo.addEventListener('dragging-changed', e => { controls.enabled = !e.value; });
+  gizmo.addEventListener('objectChange', () => {
+    const v = handle.position[state.axis] * M2FT;
+    state.position = THREE.MathUtils.clamp(v, bounds.min[state.axis], bounds.max[state.axis]);
+    update();
+    positionCtrl.updateDisplay();
+  });
+
+  /* -- planes ----------------------------------------------------------------- */
+  /** Clipping planes for the current settings (points on the kept side are ≥ 0) */
+  function planeDefs() {
+    if (!state.enabled) return [];
+    if (state.mode === 'plane') {
+      const n = AXES[state.axis].clone().multiplyScalar(state.flip ? 1 : -1);
+      return [new THREE.Plane().setFromNormalAndCoplanarPoint(n,
+        AXES[state.axis].clone().multiplyScalar(ft2m(state.position)))];
+    }
+    return ['x', 'y', 'z'].flatMap(a => {
+      const A = a.toUpperCase();
+      return [
+        new THREE.Plane(AXES[a].clone(), -ft2m(state[`min${A}`])),           // keep ≥ min
+        new THREE.Plane(AXES[a].clone().negate(), ft2m(state[`max${A}`]))     // keep ≤ max
+      ];
+    });
+  }
+
+  /** Hand the shared plane list to every generated material */
+  function applyClipping() {
+    scene.children.forEach(root => {
+      if (!root.userData.isGenerated) return;
+      root.traverse(o => {
+        if (!o.material) return;
+        (Array.isArray(o.material) ? o.material : [o.material]).forEach(m => { m.clippingPlanes = planes; });
+      });
+    });
+  }
+
+  function rebuildCaps() {
+    capGroup.children.forEach(c => c.material.dispose());
+    capGroup.clear();
+    if (!state.caps || !planes.length) return;
+    if (steelStale) {
+      steelGeom = mergedSteel(scene);
+      steelStale = false;
+    }
+    if (!steelGeom) return;
+
+    planes.forEach((plane, i) => {
+      const order = i + 1;
+      capGroup.add(
+        stencilMesh(steelGeom, plane, THREE.BackSide,  THREE.IncrementWrapStencilOp, order),
+        stencilMesh(steelGeom, plane, THREE.FrontSide, THREE.DecrementWrapStencilOp, order)
+      );
+      const cap = new THREE.Mesh(capGeom, capMat.clone());
+      cap.material.clippingPlanes = planes.filter(p => p !== plane);
+      cap.renderOrder = order + 0.1;
+      cap.onAfterRender = r => r.clearStencil();
+      cap.userData.plane = plane;
+      capGroup.add(cap);
+    });
+    placeCaps();
+  }
+
+  function placeCaps() {
+    capGroup.children.forEach(c => {
+      const plane = c.userData.plane;
+      if (!plane) return;
+      plane.coplanarPoint(c.position);
+      c.lookAt(c.position.clone().sub(plane.normal));
+    });
+  }
+
+  function updateHelpers() {
+    const isPlane = state.enabled && state.mode === 'plane';
+    const size = bounds.getSize(new THREE.Vector3()).multiplyScalar(ft2m(1));
+
+    planeHelper.visible = isPlane;
+    if (isPlane) {
+      planeHelper.plane = planes[0];
+      planeHelper.size  = Math.max(size.x, size.y, size.z) * 1.1;
+      handle.position.copy(bounds.getCenter(new THREE.Vector3()).multiplyScalar(ft2m(1)));
+      handle.position[state.axis] = ft2m(state.position);
+    }
+
+    boxHelper.visible = state.enabled && state.mode === 'box';
+    boxHelper.box.min.set(state.minX, state.minY, state.minZ).multiplyScalar(ft2m(1));
+    boxHelper.box.max.set(state.maxX, state.maxY, state.maxZ).multiplyScalar(ft2m(1));
+
+    if (isPlane && state.gizmo) {
+      gizmo.attach(handle);
+      gizmo.showX = state.axis === 'x';
+      gizmo.showY = state.axis === 'y';
+      gizmo.showZ = state.axis === 'z';
+    } else {
+      gizmo.detach();
+    }
+  }
+
+  /** Plane values changed – move planes, caps and helpers */
+  function update() {
+    const defs = planeDefs();
+    if (defs.length === planes.length) {
+      defs.forEach((d, i) => planes[i].copy(d));      // caps keep their plane objects
+    } else {
+      planes.splice(0, planes.length, ...defs);
+      rebuildCaps();
+    }
+    placeCaps();
+    applyClipping();
+    updateHelpers();
+  }
+
+  /* -- GUI -------------------------------------------------------------------- */
+  const folder = gui.addFolder('Section');
+  folder.add(state, 'enabled').name('Section enabled').onChange(() => { rebuildAll(); });
+  folder.add(state, 'mode', { 'Single plane': 'plane', 'Section box': 'box' }).name('Mode')
+    .onChange(() => { rebuildAll(); });
+  const planeCtrls = [
+    folder.add(state, 'axis', { 'X (across run)': 'x', 'Y (horizontal)': 'y', 'Z (along run)': 'z' })
+      .name('Plane axis').onChange(() => {
+        state.position = bounds.getCenter(new THREE.Vector3())[state.axis];
+        rebuildAll();
+      })
+  ];
+  const positionCtrl = unitController(folder, state, 'position', 'ft', 'Plane position', -10, 10, 0.05)
+    .onChange(update);
+  planeCtrls.push(positionCtrl, folder.add(state, 'flip').name('Flip side').onChange(update));
+  planeCtrls.push(folder.add(state, 'gizmo').name('Drag handle').onChange(updateHelpers));
+
+  const boxCtrls = ['X', 'Y', 'Z'].flatMap(A => ['min', 'max'].map(m =>
+    unitController(folder, state, `${m}${A}`, 'ft', `Box ${m} ${A}`, -10, 10, 0.05).onChange(update)));
+  boxCtrls.push(folder.add({ reset: () => { resetBox(); update(); } }, 'reset').name('Reset box'));
+
+  folder.add(state, 'caps').name('Cap cut steel').onChange(() => { rebuildCaps(); });
+  folder.add({ view: lookAtCut }, 'view').name('Look at cut');
+  folder.close();
+
+  function showControllers() {
+    planeCtrls.forEach(c => c.show(state.mode === 'plane'));
+    boxCtrls.forEach(c => c.show(state.mode === 'box'));
+  }
+
+  function resetBox() {
+    ['x', 'y', 'z'].forEach(a => {
+      state[`min${a.toUpperCase()}`] = bounds.min[a];
+      state[`max${a.toUpperCase()}`] = bounds.max[a];
+    });
+    boxCtrls.forEach(c => c.updateDisplay());
+  }
+
+  /** Slider ranges follow the extents of the generated model */
+  function updateRanges() {
+    setUnitRange(positionCtrl, bounds.min[state.axis], bounds.max[state.axis]);
+    state.position = THREE.MathUtils.clamp(state.position, bounds.min[state.axis], bounds.max[state.axis]);
+    boxCtrls.slice(0, 6).forEach(c => {
+      const a = c.property.slice(3).toLowerCase();
+      setUnitRange(c, bounds.min[a], bounds.max[a]);
+      state[c.property] = THREE.MathUtils.clamp(state[c.property], bounds.min[a], bounds.max[a]);
+    });
+    folder.controllersRecursive().forEach(c => c.updateDisplay());
+  }
+
+  /** Camera on the clipped side, looking square onto the (first) cut */
+  function lookAtCut() {
+    if (!planes.length) return;
+    const plane = planes[0];
+    const centre = bounds.getCenter(new THREE.Vector3()).multiplyScalar(ft2m(1));
+    const target = plane.projectPoint(centre, new THREE.Vector3());
+    const camera = controls.object;
+    controls.target.copy(target);
+    camera.position.copy(target).addScaledVector(plane.normal, -20);
+    if (Math.abs(plane.normal.y) > 0.99) camera.position.z += 1e-3;   // keep OrbitControls' up vector valid
+    camera.lookAt(target);
+    controls.update();
+  }
+
+  function rebuildAll() {
+    planes.splice(0, planes.length, ...planeDefs());
+    rebuildCaps();
+    applyClipping();
+    updateHelpers();
+    showControllers();
+  }
+
+  /* -- after every scene rebuild ---------------------------------------------
+     Cheap while the tool is off: the steel is only merged again once caps
+     are drawn. */
+  function refresh() {
+    const box = new THREE.Box3();
+    scene.children.forEach(o => { if (o.userData.isGenerated) box.expandByObject(o); });
+    if (!box.isEmpty()) {
+      bounds.copy(box);
+      bounds.min.multiplyScalar(M2FT).floor();
+      bounds.max.multiplyScalar(M2FT).ceil();
+      if (!boxInitialised) resetBox();
+      boxInitialised = true;
+    }
+    updateRanges();
+
+    steelGeom?.dispose();
+    steelGeom = null;
+    steelStale = true;
+    if (state.enabled) rebuildAll();
+  }
+
+  showControllers();
+  return refresh;
+}
@@ -0,0 +1,91 @@
+// sections.js
+
+export const STEEL_LB_PER_FT3 = 490;
+export const DEFAULT_TUBE_WALL_IN = 0.1875;        // 3/16″
+
+/**
+ * Section properties of a square hollow tube (inches).
+ *
+ * @param {number} sizeIn  Outside width
+ * @param {number} [wallIn=DEFAULT_TUBE_WALL_IN]  Wall thickness; a wall of
+ *                         half the width or more gives a solid bar
+ * @returns {{ A:number, I:number, S:number, r:number, weightPlf:number }}
+ *          area (in²), moment of inertia (in⁴), section modulus (in³),
+ *          radius of gyration (in) and weight (lb/ft)
+ */
+export function squareTube(sizeIn, wallIn = DEFAULT_TUBE_WALL_IN) {
+  const b  = sizeIn;
+  const bi = Math.max(b - 2 * wallIn, 0);
+  const A  = b ** 2 - bi ** 2;
+  const I  = (b ** 4 - bi ** 4) / 12;
+  return {
+    A,
+    I,
+    S: I / (b / 2),
+    r: Math.sqrt(I / A),
+    weightPlf: A / 144 * STEEL_LB_PER_FT3
+  };
+}
+
+/* ---------- strut channel ---------- */
+export const STRUT_GAUGE_IN = 0.105;               // 12 ga
+
+/**
+ * Outline of a lipped strut channel ("unistrut") `size` wide and deep,
+ * wall `t`, centred on the origin with the slot facing +Y.  Closed
+ * polygon as `[x, y]` pairs (same units as `size`).
+ */
+export function strutOutline(size, t = STRUT_GAUGE_IN) {
+  const h   = size / 2;
+  const lip = size * 0.23;                         // lip width  (3/8″ on 1 5/8″)
+  const ret = size * 0.18;                         // lip return (≈ 5/16″)
+  return [
+    [-h, -h], [h, -h], [h, h], [h - lip, h], [h - lip, h - ret], [h - lip + t, h - ret],
+    [h - lip + t, h - t], [h - t, h - t], [h - t, -h + t], [-h + t, -h + t], [-h + t, h - t],
+    [-h + lip - t, h - t], [-h + lip - t, h - ret], [-h + lip, h - ret], [-h + lip, h], [-h, h]
+  ];
+}
+
+/**
+ * Section properties of a lipped strut channel (inches), bent about the
+ * axis parallel to its back (slot up or down).
+ *
+ * @param {number} sizeIn  Width = depth
+ * @param {number} [tIn=STRUT_GAUGE_IN]  Wall thickness
+ * @returns {{ A:number, I:number, S:number, r:number, weightPlf:number }}
+ */
+export function strutChannel(sizeIn, tIn = STRUT_GAUGE_IN) {
+  const pts = strutOutline(sizeIn, tIn);
+  let A = 0, Sy = 0, Ix = 0, Iy = 0;               // about the origin
+  pts.forEach(([x0, y0], i) => {
+    const [x1, y1] = pts[(i + 1) % pts.length];
+    const c = x0 * y1 - x1 * y0;
+    A  += c / 2;
+    Sy += (y0 + y1) * c / 6;
+    Ix += (y0 * y0 + y0 * y1 + y1 * y1) * c / 12;
+    Iy += (x0 * x0 + x0 * x1 + x1 * x1) * c / 12;
+  });
+  const yc = Sy / A;                               // centroid (x = 0 by symmetry)
+  const I  = Ix - A * yc * yc;
+  return {
+    A,
+    I,
+    S: I / (sizeIn / 2 + Math.abs(yc)),
+    r: Math.sqrt(Math.min(I, Iy) / A),
+    weightPlf: A / 144 * STEEL_LB_PER_FT3
+  };
+}
+
+/* ---------- hanger rod ---------- */
+/** Section properties of a solid round bar `diamIn` across (gross section) */
+export function roundBar(diamIn) {
+  const A = Math.PI * diamIn ** 2 / 4;
+  const I = Math.PI * diamIn ** 4 / 64;
+  return { A, I, S: I / (diamIn / 2), r: diamIn / 4, weightPlf: A / 144 * STEEL_LB_PER_FT3 };
+}
+
+/** Section properties of a member: `profile` 'square' (tube), 'strut' or 'rod' */
+export function memberSection(profile, sizeIn, wallIn = DEFAULT_TUBE_WALL_IN) {
+  if (profile === 'rod') return roundBar(sizeIn);
+  return profile === 'strut' ? strutChannel(sizeIn) : squareTube(sizeIn, wallIn);
+}
@@ -0,0 +1,240 @@
+// selection.js
+import * as THREE from 'three';
+import { TransformControls } from 'three/addons/controls/TransformControls.js';
+import { ft2in } from './utils.js';
+import { unitController, controllerRange, formatLength, formatSize } from './units.js';
+import { createPanel, htmlTable } from './uiPanel.js';
+import { elementName } from './modelExport.js';
+import { onCameraChange } from './views.js';
+import { segmentOf } from './runPath.js';
+
+const M2IN    = 1 / 0.0254;
+const PICKABLE = new Set(['post', 'rod', 'beam', 'brace', 'duct', 'pipe', 'tray']);
+const CLICK_PX = 4;                      // pointer travel that still counts as a click
+
+/* ---------- element ↔ params ---------- */
+/** Same element after a rebuild: kind + segment + tier + index / bay / side / role / face / station */
+const sameElement = (a, b) =>
+  ['kind', 'segment', 'elbow', 'tier', 'index', 'bay', 'station', 'side', 'role', 'level', 'face'].every(k => a[k] === b[k]);
+
+/**
+ * Movable parameters of a service: the object holding them, the keys
+ * for side / vertical offset and the lil‑gui controllers that show them.
+ * Returns null for steel.
+ */
+function movable(params, ud) {
+  const idx = ud.tier - 1;
+  switch (ud.kind) {
+    case 'duct':
+      return { target: params.ductOffsets, side: idx, vert: null, sizeIn: ud.heightIn,
+               sideKey: `ductOffset_${idx}`, vertKey: null };
+    case 'pipe':
+      return { target: params.pipesPerTier[idx][ud.index], side: 'side', vert: 'vert', sizeIn: ud.diamIn,
+               sideKey: `pipeSide_${idx}_${ud.index}`, vertKey: `pipeVert_${idx}_${ud.index}` };
+    case 'tray':
+      return { target: params.traysPerTier[idx][ud.index], side: 'side', vert: 'vert', sizeIn: ud.railHeightIn,
+               sideKey: `traySide_${idx}_${ud.index}`, vertKey: `trayVert_${idx}_${ud.index}` };
+  }
+  return null;
+}
+
+/* ---------- inspector ---------- */
+function inspectorRows(ud, obj, params) {
+  const box = new THREE.Box3().setFromObject(obj);
+  const rows = [['Property', 'Value']];
+  const row = (k, v) => rows.push([k, v]);
+
+  row('Element', elementName(ud));
+  if (ud.segment) row('Segment', ud.segment + 1);
+  if (ud.tier != null) row('Tier', ud.tier === 0 ? 'Roof' : ud.tier);
+  if (ud.bay != null) row(ud.station || (ud.kind === 'brace' && ud.face !== 'frame') ? 'Bay' : 'Frame', ud.bay);
+  if (ud.station) row('Trapeze', `intermediate ${ud.station}`);
+  if (ud.bays) row('Bays', `${ud.bays[0]}–${ud.bays[1]}`);
+  if (ud.side) row('Side', ud.side);
+  if (ud.role) row('Role', ud.role);
+  if (ud.face) row('Bracing', `${ud.type} (${ud.face})`);
+  if (ud.sectionIn != null) row('Section', ud.profile === 'strut'
+    ? `${formatSize(ud.sectionIn)} strut channel` : formatSize([ud.sectionIn, ud.sectionIn]));
+  if (ud.diamIn != null) row('Diameter', formatSize(ud.diamIn));
+  if (ud.kind === 'duct') row('Size', formatSize([ud.widthIn, ud.heightIn]));
+  if (ud.kind === 'tray') row('Tray', `${formatSize(ud.widthIn)} ${ud.style}, ${formatSize(ud.railHeightIn)} rails`);
+  if (ud.elbow) row('Bend radius', `${formatSize(ud.bendRadiusIn)} (centre line)`);
+  if (ud.throughCeiling) row('Ceiling', 'penetrated – sleeved');
+
+  const m = movable(params, ud);
+  if (m) {
+    row('Side offset', formatSize(m.target[m.side]));
+    if (m.vert) row('Vert offset', formatSize(m.target[m.vert]));
+  }
+  row('Bottom elevation', formatLength(box.min.y * M2IN));
+  row('Top elevation', formatLength(box.max.y * M2IN));
+  if (ud.kind !== 'post' && ud.kind !== 'rod') row('Centre line', formatLength((box.min.y + box.max.y) / 2 * M2IN));
+  return rows;
+}
+
+/* ---------- selection ---------- */
+/**
+ * Click‑to‑select for generated steel and services, an inspector panel,
+ * and a drag gizmo for ducts, pipes and cable trays that writes back into
+ * `params` (snapped, clamped to the tier and the controller ranges).
+ *
+ * `onCommit(label)` is called once per finished drag.  Returns
+ * `refresh()`, to be called after every scene rebuild.
+ */
+export function initSelection({ gui, scene, renderer, controls, params, controllerMap, rebuildScene, onCommit }) {
+  const opts = { snapIn: 1, gizmo: true };
+  const panel = createPanel('Inspector', { right: '400px', top: '60px' });
+  panel.root.querySelector('span').addEventListener('click', () => select(null));
+
+  let selected = null;                      // tagged object
+  let key = null;                           // its userData, to find it again after rebuilds
+  let dragStart = null;                     // { pos, side, vert } while dragging
+
+  const outline = new THREE.BoxHelper(undefined, 0xffaa00);
+  outline.visible = false;
+  scene.add(outline);
+
+  const handle = new THREE.Object3D();
+  scene.add(handle);
+  const gizmo = new TransformControls(controls.object, renderer.domElement);
+  gizmo.setMode('translate');
+  gizmo.setSpace('local');                  // handle is turned with the element's run segment
+  scene.add(gizmo);
+  onCameraChange(cam => { gizmo.camera = cam; });
+
+  /* -- picking ------------------------------------------------------------- */
+  const raycaster = new THREE.Raycaster();
+  const pointer = new THREE.Vector2();
+  let downAt = null;
+
+  function pick(ev) {
+    const rect = renderer.domElement.getBoundingClientRect();
+    pointer.set(
+      ((ev.clientX - rect.left) / rect.width) * 2 - 1,
+      -((ev.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    raycaster.setFromCamera(pointer, controls.object);
+    const roots = scene.children.filter(o => o.userData.isGenerated);
+    for (const hit of raycaster.intersectObjects(roots, true)) {
+      if (!hit.object.isMesh) continue;                       // edge lines
+      if (hit.object.material.clippingPlanes?.some(p => p.distanceToPoint(hit.point) < 0)) continue;   // cut away
+      let o = hit.object;
+      while (o && !o.userData.kind) o = o.parent;
+      if (o && PICKABLE.has(o.userData.kind)) return o;
+    }
+    return null;
+  }
+
+  renderer.domElement.addEventListener('pointerdown', ev => {
+    downAt = gizmo.axis ? null : { x: ev.clientX, y: ev.clientY };
+  });
+  renderer.domElement.addEventListener('pointerup', ev => {
+    if (!downAt || Math.hypot(ev.clientX - downAt.x, ev.clientY - downAt.y) > CLICK_PX) return;
+    select(pick(ev));
+  });
+  addEventListener('keydown', ev => {
+    if (ev.key === 'Escape' && selected) select(null);
+  });
+
+  /* -- selection state ----------------------------------------------------- */
+  function select(obj) {
+    selected = obj;
+    key = obj ? { ...obj.userData } : null;
+    show();
+  }
+
+  function show() {
+    if (!selected) {
+      outline.visible = false;
+      gizmo.detach();
+      panel.hide();
+      return;
+    }
+    outline.setFromObject(selected);
+    outline.visible = true;
+    panel.setContent(htmlTable(inspectorRows(selected.userData, selected, params)));
+    panel.show();
+
+    const m = movable(params, selected.userData);
+    if (m && opts.gizmo) {
+      if (!dragStart) {
+        new THREE.Box3().setFromObject(selected).getCenter(handle.position);
+        segmentOf(selected)?.getWorldQuaternion(handle.quaternion);
+      }
+      gizmo.attach(handle);
+      gizmo.showX = false;
+      gizmo.showY = !!m.vert;
+      gizmo.showZ = true;
+    } else {
+      gizmo.detach();
+    }
+  }
+
+  /* -- dragging ------------------------------------------------------------ */
+  const snap = v => Math.round(v / opts.snapIn) * opts.snapIn;
+  const range = (ctrlKey, lo, hi) => {
+    const [min, max] = controllerRange(controllerMap[ctrlKey]) ?? [];
+    return [min ?? lo, max ?? hi];
+  };
+
+  gizmo.addEventListener('dragging-changed', e => {
+    controls.enabled = !e.value;
+    if (e.value) {
+      const m = movable(params, selected.userData);
+      dragStart = { pos: handle.position.clone(), side: m.target[m.side], vert: m.vert && m.target[m.vert] };
+    } else if (dragStart) {
+      const moved = dragStart.pos.distanceToSquared(handle.position) > 0;
+      dragStart = null;
+      show();                                                   // handle back onto the element
+      if (moved) onCommit?.(`Move ${elementName(key)}`);
+    }
+  });
+
+  gizmo.addEventListener('objectChange', () => {
+    if (!dragStart || !selected) return;
+    const ud = selected.userData;
+    const m = movable(params, ud);
+    const delta = handle.position.clone().sub(dragStart.pos)       // in the segment's axes
+      .applyQuaternion(handle.quaternion.clone().invert()).multiplyScalar(M2IN);
+    let changed = false;
+
+    const depthIn = ft2in(params.depth);
+    const [sMin, sMax] = range(m.sideKey, -depthIn / 2, depthIn / 2);
+    const side = THREE.MathUtils.clamp(snap(dragStart.side + delta.z), sMin, sMax);
+    if (side !== m.target[m.side]) { m.target[m.side] = side; changed = true; }
+
+    if (m.vert) {
+      const tierIn = ft2in(params.tierHeights[ud.tier - 1]);
+      const [vMin, vMax] = range(m.vertKey, 0, tierIn);
+      const vHi  = Math.max(vMin, Math.min(vMax, tierIn - m.sizeIn));     // keep it inside the tier
+      const vert = THREE.MathUtils.clamp(snap(dragStart.vert + delta.y), vMin, vHi);
+      if (vert !== m.target[m.vert]) { m.target[m.vert] = vert; changed = true; }
+    }
+
+    if (!changed) return;
+    controllerMap[m.sideKey]?.updateDisplay();
+    if (m.vertKey) controllerMap[m.vertKey]?.updateDisplay();
+    rebuildScene();
+  });
+
+  /* -- GUI ------------------------------------------------------------------ */
+  const folder = gui.addFolder('Selection');
+  unitController(folder, opts, 'snapIn', 'in', 'Snap', 0.125, 12, 0.125);
+  folder.add(opts, 'gizmo').name('Move gizmo').onChange(show);
+  folder.add({ clear: () => select(null) }, 'clear').name('Clear selection');
+  folder.close();
+
+  /* -- after every scene rebuild: find the selected element again ---------- */
+  return function refresh() {
+    if (!key) return;
+    let found = null;
+    scene.children.forEach(root => {
+      if (!found && root.userData.isGenerated) {
+        root.traverse(o => { if (!found && o.userData.kind && sameElement(o.userData, key)) found = o; });
+      }
+    });
+    selected = found;
+    if (!found) key = null;
+    show();
+  };
+}
@@ -7,14 +7,36 @@ import {
   buildRack,
   buildShell,
   buildDuct,
-  buildPipesFlexible
+  buildPipesFlexible,
+  buildCableTray
 } from './utils.js';
+import { UNIT_SYSTEMS, setUnitSystem, unitController, setUnitRange } from './units.js';
+import { DEFAULT_SEGMENT, runSegments, segmentParams, placeSegment, buildBends } from './runPath.js';
+
+export const DEFAULT_PIPE = { diam:4, side:0, vert:4 };
+export const DEFAULT_TRAY = { style:'ladder', width:12, railHeight:4, side:0, vert:0 };
+export const DEFAULT_BRACING = { type:'none', sides:'both', bays:[], frames:[] };
+const PROFILES = { 'Square tube': 'square', 'Strut channel': 'strut' };
+
+/* "1, 3-5" → [1, 3, 4, 5] (1‑based bay / frame numbers) */
+const parseList = text => [...new Set(String(text).split(/[\s,;]+/).flatMap(t => {
+  const [a, b = a] = t.split('-').map(Number);
+  return Number.isInteger(a) && Number.isInteger(b) && a > 0 && b >= a && b - a < 100
+    ? Array.from({ length: b - a + 1 }, (_, i) => a + i) : [];
+}))].sort((a, b) => a - b);
 
 export let guiInstance = null;
 export let controllerMap = {};
+let rebuildTierUI = null;   // set by setupGUI(), used by refreshGUI()
+const rebuildListeners = [];
+
+/** Register `fn(scene, params)` to run after every scene rebuild */
+export function onSceneRebuilt(fn) {
+  rebuildListeners.push(fn);
+}
 
 /** Ensure per-tier arrays exist */
-function ensureArrays(p) {
+export function ensureArrays(p) {
   if (!Array.isArray(p.tierHeights))  p.tierHeights  = [];
   if (!Array.isArray(p.ductEnabled))  p.ductEnabled  = [];
   if (!Array.isArray(p.ductWidths))   p.ductWidths   = [];
@@ -22,10 +44,26 @@ function ensureArrays(p) {
   if (!Array.isArray(p.ductOffsets))  p.ductOffsets  = [];
   if (!Array.isArray(p.pipeEnabled))  p.pipeEnabled  = [];
   if (!Array.isArray(p.pipesPerTier)) p.pipesPerTier = [];
+  if (!Array.isArray(p.trayEnabled))  p.trayEnabled  = [];
+  if (!Array.isArray(p.traysPerTier)) p.traysPerTier = [];
+  if (!Array.isArray(p.segments))     p.segments     = [];
+  if (!Array.isArray(p.bayWidths))    p.bayWidths    = [];
+  if (!Array.isArray(p.bayOmitBottomBeam)) p.bayOmitBottomBeam = [];
+  if (!Array.isArray(p.tierRails))    p.tierRails    = [];
+  if (!Array.isArray(p.bracingPerTier)) p.bracingPerTier = [];
+}
+
+/** Trim or grow per-bay arrays to match p.bayCount (null width = bayWidth) */
+export function syncBays(p) {
+  const n = p.bayCount;
+  while (p.bayWidths        .length < n) p.bayWidths        .push(null);
+  while (p.bayOmitBottomBeam.length < n) p.bayOmitBottomBeam.push(false);
+  p.bayWidths        .length =
+  p.bayOmitBottomBeam.length = n;
 }
 
 /** Trim or grow per-tier arrays to match p.tierCount */
-function syncArrays(p) {
+export function syncArrays(p) {
   const n = p.tierCount;
   while (p.tierHeights .length < n) p.tierHeights .push(2);
   while (p.ductEnabled .length < n) p.ductEnabled .push(false);
@@ -33,62 +71,138 @@ function syncArrays(p) {
   while (p.ductHeights .length < n) p.ductHeights .push(16);
   while (p.ductOffsets .length < n) p.ductOffsets .push(0);
   while (p.pipeEnabled .length < n) p.pipeEnabled .push(false);
-  while (p.pipesPerTier.length < n) p.pipesPerTier.push([{ diam:4, side:0, vert:4 }]);
+  while (p.pipesPerTier.length < n) p.pipesPerTier.push([{ ...DEFAULT_PIPE }]);
+  while (p.trayEnabled .length < n) p.trayEnabled .push(false);
+  while (p.traysPerTier.length < n) p.traysPerTier.push([{ ...DEFAULT_TRAY }]);
+  while (p.tierRails   .length < n) p.tierRails   .push('none');
+  while (p.bracingPerTier.length < n) p.bracingPerTier.push({ ...DEFAULT_BRACING, bays: [], frames: [] });
   p.tierHeights .length =
   p.ductEnabled .length =
   p.ductWidths  .length =
   p.ductHeights .length =
   p.ductOffsets .length =
   p.pipeEnabled .length =
-  p.pipesPerTier.length = n;
+  p.pipesPerTier.length =
+  p.trayEnabled .length =
+  p.traysPerTier.length =
+  p.tierRails   .length =
+  p.bracingPerTier.length = n;
+  for (let i = 0; i < n; i++) {                   // partial entries (chat, old projects)
+    const b = p.bracingPerTier[i] ??= {};
+    b.type   ??= DEFAULT_BRACING.type;
+    b.sides  ??= DEFAULT_BRACING.sides;
+    b.bays   ??= [];
+    b.frames ??= [];
+  }
 }
 
-export function setupGUI(scene, params, camera, controls, mats) {
-  guiInstance = new GUI({ width: 380 });
-  const gui = guiInstance;
-
-  // 1) Ensure data‑model
-  ensureArrays(params);
-  syncArrays(params);
-
-  // 2) Rebuild function
-  function rebuildScene() {
-    // dispose old
-    scene.children.slice().forEach(o => {
-      if (o.userData.isGenerated) {
-        dispose(o);
-        scene.remove(o);
-      }
-    });
+/**
+ * Build the whole model for `params`: one root group per trade (Rack,
+ * Shell, Ducts, Pipes, CableTrays) tagged `userData.isGenerated`, not yet
+ * added to a scene.
+ */
+export function buildModel(params, mats) {
+  // one group per trade, holding one placed sub‑group per run segment
+  const root = name => {
+    const g = new THREE.Group();
+    g.name = name;
+    g.userData.isGenerated = true;
+    return g;
+  };
+  const rack = root('Rack'), shell = root('Shell');
+  const dg = root('Ducts'), pg = root('Pipes'), tg = root('CableTrays');
+
+  runSegments(params).forEach(seg => {
+    const sp = segmentParams(params, seg);
 
     // rack + shell
-    const rack  = buildRack(params, mats.steelMat);
-    const shell = buildShell(params, mats.wallMaterial, mats.ceilingMaterial, mats.floorMaterial, mats.roofMaterial);
-    [rack, shell].forEach(g => { g.userData.isGenerated = true; scene.add(g); });
+    rack .add(placeSegment(buildRack(sp, mats.steelMat), seg));
+    shell.add(placeSegment(buildShell(sp, mats.wallMaterial, mats.ceilingMaterial, mats.floorMaterial, mats.roofMaterial), seg));
 
     // ducts
-    const dg = new THREE.Group(); dg.userData.isGenerated = true;
+    const ducts = new THREE.Group();
     params.ductEnabled.forEach((en,i) => {
       if (!en) return;
-      dg.add(buildDuct({
-        ...params,
+      ducts.add(buildDuct({
+        ...sp,
         ductTier:   i+1,
         ductWidth:  params.ductWidths[i],
         ductHeight: params.ductHeights[i],
         ductOffset: params.ductOffsets[i]
       }, mats.ductMat));
     });
-    scene.add(dg);
 
     // pipes
-    const pg = new THREE.Group(); pg.userData.isGenerated = true;
+    const pipes = new THREE.Group();
     params.pipeEnabled.forEach((en,i) => {
       if (!en) return;
-      pg.add(buildPipesFlexible(params, i+1, params.pipesPerTier[i],
-        new THREE.MeshStandardMaterial({ color:'#4eadff', metalness:0.3, roughness:0.6 })
+      pipes.add(buildPipesFlexible(sp, i+1, params.pipesPerTier[i],
+        new THREE.MeshStandardMaterial({ name:'Pipe', color:'#4eadff', metalness:0.3, roughness:0.6 })
       ));
     });
-    scene.add(pg);
+
+    // cable trays
+    const trays = new THREE.Group();
+    params.trayEnabled.forEach((en,i) => {
+      if (!en) return;
+      trays.add(buildCableTray(sp, i+1, params.traysPerTier[i], mats.trayMat));
+    });
+
+    // elbows into the next segment, then onto the path
+    [[dg, ducts], [pg, pipes], [tg, trays]].forEach(([parent, g]) => {
+      g.add(buildBends(g, sp));
+      parent.add(placeSegment(g, seg));
+    });
+  });
+
+  return [rack, shell, dg, pg, tg];
+}
+
+export function setupGUI(scene, params, camera, controls, mats, onCommit = () => {}) {
+  guiInstance = new GUI({ width: 380 });
+  const gui = guiInstance;
+
+  // 1) Ensure data‑model
+  ensureArrays(params);
+  syncArrays(params);
+  syncBays(params);
+  setUnitSystem(params.units);
+
+  // 2) Rebuild function
+  // slider ranges that follow other parameters (corridor, rack depth, tier heights)
+  function syncRanges() {
+    const c = controllerMap, halfIn = ft2in(params.depth) / 2;
+    if (c.ceilingHeight) setUnitRange(c.ceilingHeight, 0, params.corridorHeight);
+    if (c.topClearance)  setUnitRange(c.topClearance, 1, params.corridorHeight);
+    if (c.depth)         setUnitRange(c.depth, 1, params.corridorWidth);
+    params.tierHeights.forEach((_, idx) => {
+      const tierIn = ft2in(tierHeightFt(params, idx+1));
+      if (c[`ductOffset_${idx}`]) setUnitRange(c[`ductOffset_${idx}`], -halfIn, halfIn);
+      params.pipesPerTier[idx].forEach((_, j) => {
+        if (c[`pipeSide_${idx}_${j}`]) setUnitRange(c[`pipeSide_${idx}_${j}`], -halfIn, halfIn);
+        if (c[`pipeVert_${idx}_${j}`]) setUnitRange(c[`pipeVert_${idx}_${j}`], 0, tierIn);
+      });
+      params.traysPerTier[idx].forEach((_, j) => {
+        if (c[`traySide_${idx}_${j}`]) setUnitRange(c[`traySide_${idx}_${j}`], -halfIn, halfIn);
+        if (c[`trayVert_${idx}_${j}`]) setUnitRange(c[`trayVert_${idx}_${j}`], 0, tierIn);
+      });
+    });
+  }
+
+  function rebuildScene() {
+    syncRanges();
+
+    // dispose old
+    scene.children.slice().forEach(o => {
+      if (o.userData.isGenerated) {
+        dispose(o);
+        scene.remove(o);
+      }
+    });
+
+    buildModel(params, mats).forEach(g => scene.add(g));
+
+    rebuildListeners.forEach(fn => fn(scene, params));
   }
 
   // 3) Build Tiers UI
@@ -96,17 +210,50 @@ export function setupGUI(scene, params, camera, controls, mats) {
   function buildTierUI() {
     if (tiersFolder) tiersFolder.destroy();
     tiersFolder = gui.addFolder('Tiers');
+    // drop controllers of the destroyed folder
+    Object.keys(controllerMap).forEach(k => { if (k.includes('_') && !/^(segment|bay)/.test(k)) delete controllerMap[k]; });
     syncArrays(params);
 
     params.tierHeights.forEach((_, idx) => {
       const tf = tiersFolder.addFolder(`Tier ${idx+1}`);
 
       // Height
-      controllerMap[`tierHeight_${idx}`] = tf
-        .add(params.tierHeights, idx, 1, 6)
-        .name('Height (ft)')
+      controllerMap[`tierHeight_${idx}`] = unitController(tf, params.tierHeights, idx, 'ft', 'Height', 1, 6)
+        .onChange(rebuildScene);
+
+      // Longitudinal beams at this tier's bottom beams (roof and lowest level always have them)
+      controllerMap[`tierRails_${idx}`] = tf
+        .add(params.tierRails, idx, { None: 'none', Front: 'front', Back: 'back', Both: 'both' })
+        .name('Longitudinal beams')
         .onChange(rebuildScene);
 
+      // Bracing: X / K diagonals in chosen bays (long faces) and frames
+      const bracing = params.bracingPerTier[idx];
+      const bf = tf.addFolder('Bracing');
+      controllerMap[`braceType_${idx}`] = bf
+        .add(bracing, 'type', { None: 'none', X: 'X', K: 'K' })
+        .name('Type')
+        .onChange(() => { buildTierUI(); rebuildScene(); });
+      if (bracing.type !== 'none') {
+        controllerMap[`braceSides_${idx}`] = bf
+          .add(bracing, 'sides', { Both: 'both', Front: 'front', Back: 'back', None: 'none' })
+          .name('Long faces')
+          .onChange(rebuildScene);
+        ['bays', 'frames'].forEach(key => {
+          const field = { text: bracing[key].join(', ') };
+          bf.add(field, 'text')
+            .name(key === 'bays' ? 'Bays (e.g. 1, 3-4)' : 'Frames (e.g. 1, 5)')
+            .onFinishChange(text => {
+              bracing[key] = parseList(text);
+              field.text = bracing[key].join(', ');
+              rebuildScene();
+            });
+        });
+        bf.open();
+      } else {
+        bf.close();
+      }
+
       // Duct toggle
       controllerMap[`ductEnabled_${idx}`] = tf
         .add(params.ductEnabled, idx)
@@ -116,17 +263,12 @@ export function setupGUI(scene, params, camera, controls, mats) {
       // If duct enabled, show duct controls
       if (params.ductEnabled[idx]) {
         const df = tf.addFolder('Duct');
-        controllerMap[`ductWidth_${idx}`] = df
-          .add(params.ductWidths, idx, 4, 48)
-          .name('Width (in)')
+        controllerMap[`ductWidth_${idx}`] = unitController(df, params.ductWidths, idx, 'in', 'Width', 4, 48)
           .onChange(rebuildScene);
-        controllerMap[`ductHeight_${idx}`] = df
-          .add(params.ductHeights, idx, 4, 48)
-          .name('Height (in)')
+        controllerMap[`ductHeight_${idx}`] = unitController(df, params.ductHeights, idx, 'in', 'Height', 4, 48)
           .onChange(rebuildScene);
-        controllerMap[`ductOffset_${idx}`] = df
-          .add(params.ductOffsets, idx, -ft2in(params.depth)/2, ft2in(params.depth)/2)
-          .name('Offset (in)')
+        controllerMap[`ductOffset_${idx}`] = unitController(df, params.ductOffsets, idx, 'in', 'Offset',
+          -ft2in(params.depth)/2, ft2in(params.depth)/2)
           .onChange(rebuildScene);
         df.open();
       }
@@ -147,7 +289,7 @@ export function setupGUI(scene, params, camera, controls, mats) {
           .step(1)
           .onChange(n => {
             const arr = params.pipesPerTier[idx];
-            while (arr.length < n) arr.push({ diam:4, side:0, vert:4 });
+            while (arr.length < n) arr.push({ ...DEFAULT_PIPE });
             arr.length = n;
             buildTierUI();
             rebuildScene();
@@ -156,17 +298,13 @@ export function setupGUI(scene, params, camera, controls, mats) {
         // Per-pipe controls
         params.pipesPerTier[idx].forEach((pipe, j) => {
           const sub = pf.addFolder(`Pipe ${j+1}`);
-          controllerMap[`pipeDiam_${idx}_${j}`] = sub
-            .add(pipe, 'diam', 1, 24)
-            .name('Diameter (in)')
+          controllerMap[`pipeDiam_${idx}_${j}`] = unitController(sub, pipe, 'diam', 'in', 'Diameter', 1, 24)
             .onChange(rebuildScene);
-          controllerMap[`pipeSide_${idx}_${j}`] = sub
-            .add(pipe, 'side', -ft2in(params.depth)/2, ft2in(params.depth)/2)
-            .name('Side offset (in)')
+          controllerMap[`pipeSide_${idx}_${j}`] = unitController(sub, pipe, 'side', 'in', 'Side offset',
+            -ft2in(params.depth)/2, ft2in(params.depth)/2)
             .onChange(rebuildScene);
-          controllerMap[`pipeVert_${idx}_${j}`] = sub
-            .add(pipe, 'vert', 0, ft2in(tierHeightFt(params, idx+1)))
-            .name('Vert offset (in)')
+          controllerMap[`pipeVert_${idx}_${j}`] = unitController(sub, pipe, 'vert', 'in', 'Vert offset',
+            0, ft2in(tierHeightFt(params, idx+1)))
             .onChange(rebuildScene);
           sub.open();
         });
@@ -174,66 +312,201 @@ export function setupGUI(scene, params, camera, controls, mats) {
         pf.open();
       }
 
+      // Cable tray toggle
+      controllerMap[`trayEnabled_${idx}`] = tf
+        .add(params.trayEnabled, idx)
+        .name('Has cable trays')
+        .onChange(() => { buildTierUI(); rebuildScene(); });
+
+      // If trays enabled, show tray controls
+      if (params.trayEnabled[idx]) {
+        const cf = tf.addFolder('Cable trays');
+        // Count
+        cf.add({ count: params.traysPerTier[idx].length }, 'count')
+          .name('Count')
+          .min(1)
+          .step(1)
+          .onChange(n => {
+            const arr = params.traysPerTier[idx];
+            while (arr.length < n) arr.push({ ...DEFAULT_TRAY });
+            arr.length = n;
+            buildTierUI();
+            rebuildScene();
+          });
+
+        // Per-tray controls
+        params.traysPerTier[idx].forEach((tray, j) => {
+          const sub = cf.addFolder(`Tray ${j+1}`);
+          controllerMap[`trayStyle_${idx}_${j}`] = sub
+            .add(tray, 'style', { 'Ladder': 'ladder', 'Solid bottom': 'solid' })
+            .name('Style')
+            .onChange(rebuildScene);
+          controllerMap[`trayWidth_${idx}_${j}`] = unitController(sub, tray, 'width', 'in', 'Width', 4, 36)
+            .onChange(rebuildScene);
+          controllerMap[`trayRail_${idx}_${j}`] = unitController(sub, tray, 'railHeight', 'in', 'Rail height',
+            2, 8)
+            .onChange(rebuildScene);
+          controllerMap[`traySide_${idx}_${j}`] = unitController(sub, tray, 'side', 'in', 'Side offset',
+            -ft2in(params.depth)/2, ft2in(params.depth)/2)
+            .onChange(rebuildScene);
+          controllerMap[`trayVert_${idx}_${j}`] = unitController(sub, tray, 'vert', 'in', 'Vert offset',
+            0, ft2in(tierHeightFt(params, idx+1)))
+            .onChange(rebuildScene);
+          sub.open();
+        });
+
+        cf.open();
+      }
+
       tf.open();
     });
 
     tiersFolder.open();
   }
 
-  // 4) Top-level controls
-  controllerMap.corridorWidth = gui
-    .add(params, 'corridorWidth', 6, 40)
-    .name('Corridor width (ft)')
-    .onChange(val => {
-      // update duct offset ranges
-      syncArrays(params);
-      buildTierUI();
+  // 3b) Run segments UI: segment 1 is the top-level bay count / corridor width
+  let runFolder;
+  function buildRunUI() {
+    if (runFolder) runFolder.destroy();
+    runFolder = gui.addFolder('Run');
+    Object.keys(controllerMap).forEach(k => { if (k.startsWith('segment')) delete controllerMap[k]; });
+    ensureArrays(params);
+
+    params.segments.forEach((seg, idx) => {
+      const sf = runFolder.addFolder(`Segment ${idx+2}`);
+      controllerMap[`segmentTurn_${idx}`] = sf
+        .add(seg, 'turn', -135, 135, 5)
+        .name('Turn (°, + = left)')
+        .onChange(rebuildScene);
+      controllerMap[`segmentBays_${idx}`] = sf
+        .add(seg, 'bayCount', 1, 10, 1)
+        .name('Bay count')
+        .onChange(rebuildScene);
+      sf.add({ own: seg.corridorWidth != null }, 'own')
+        .name('Own corridor width')
+        .onChange(own => {
+          seg.corridorWidth = own ? params.corridorWidth : null;
+          buildRunUI();
+          rebuildScene();
+        });
+      if (seg.corridorWidth != null) {
+        controllerMap[`segmentWidth_${idx}`] = unitController(sf, seg, 'corridorWidth', 'ft', 'Corridor width',
+          6, 40)
+          .onChange(rebuildScene);
+      }
+      sf.add({ remove: () => {
+        params.segments.splice(idx, 1);
+        buildRunUI();
+        rebuildScene();
+        onCommit('Remove segment');             // buttons don't fire finish-change
+      } }, 'remove').name('Remove segment');
+    });
+
+    runFolder.add({ add: () => {
+      params.segments.push({ ...DEFAULT_SEGMENT });
+      buildRunUI();
       rebuildScene();
+      onCommit('Add segment');
+    } }, 'add').name('Add segment');
+    if (!params.segments.length) runFolder.close();
+  }
+
+  // 3c) Bays UI: per-bay width and overrides of the first run segment
+  let baysFolder;
+  function buildBayUI() {
+    if (baysFolder) baysFolder.destroy();
+    baysFolder = gui.addFolder('Bays');
+    Object.keys(controllerMap).forEach(k => { if (k.startsWith('bay') && k.includes('_')) delete controllerMap[k]; });
+    ensureArrays(params);
+    syncBays(params);
+
+    params.bayWidths.forEach((width, idx) => {
+      const bf = baysFolder.addFolder(`Bay ${idx+1}`);
+      bf.add({ own: width != null }, 'own')
+        .name('Own width')
+        .onChange(own => {
+          params.bayWidths[idx] = own ? params.bayWidth : null;
+          buildBayUI();
+          rebuildScene();
+        });
+      if (width != null) {
+        controllerMap[`bayWidth_${idx}`] = unitController(bf, params.bayWidths, idx, 'ft', 'Width', 1, 30)
+          .onChange(rebuildScene);
+      }
+      controllerMap[`bayOmitBottomBeam_${idx}`] = bf
+        .add(params.bayOmitBottomBeam, idx)
+        .name('Omit bottom beam')
+        .onChange(rebuildScene);
+      bf.close();
+    });
+    baysFolder.close();
+  }
+
+  // 4) Top-level controls
+  controllerMap.units = gui
+    .add(params, 'units', UNIT_SYSTEMS)
+    .name('Units')
+    .onChange(units => {
+      setUnitSystem(units);   // relabels every unit-aware controller; the design stays as is
+      rebuildScene();         // panels, annotations
     });
 
-  controllerMap.corridorHeight = gui
-    .add(params, 'corridorHeight', 8, 60)
-    .name('Corridor height (ft)')
+  controllerMap.corridorWidth = unitController(gui, params, 'corridorWidth', 'ft', 'Corridor width', 6, 40)
+    .onChange(rebuildScene);     // rack depth range follows, see syncRanges()
+
+  controllerMap.corridorHeight = unitController(gui, params, 'corridorHeight', 'ft', 'Corridor height', 8, 60)
     .onChange(rebuildScene);
 
-  controllerMap.ceilingHeight = gui
-    .add(params, 'ceilingHeight', 0, params.corridorHeight)
-    .name('Ceiling height (ft)')
+  controllerMap.ceilingHeight = unitController(gui, params, 'ceilingHeight', 'ft', 'Ceiling height',
+    0, params.corridorHeight)
     .onChange(rebuildScene);
 
   controllerMap.bayCount = gui
     .add(params, 'bayCount', 1, 10, 1)
     .name('Bay count')
+    .onChange(() => {
+      buildBayUI();
+      rebuildScene();
+    });
+
+  controllerMap.bayWidth = unitController(gui, params, 'bayWidth', 'ft', 'Bay width', 1, 30)
     .onChange(rebuildScene);
 
-  controllerMap.bayWidth = gui
-    .add(params, 'bayWidth', 1, 30)
-    .name('Bay width (ft)')
+  controllerMap.depth = unitController(gui, params, 'depth', 'ft', 'Rack depth', 1, params.corridorWidth)
+    .onChange(rebuildScene);     // duct / pipe / tray offset ranges follow, see syncRanges()
+
+  controllerMap.topClearance = unitController(gui, params, 'topClearance', 'ft', 'Top clearance',
+    1, params.corridorHeight)
     .onChange(rebuildScene);
 
-  controllerMap.depth = gui
-    .add(params, 'depth', 1, params.corridorWidth)
-    .name('Rack depth (ft)')
-    .onChange(val => {
-      // re-sync duct/pipe offset limits
-      syncArrays(params);
-      buildTierUI();
-      rebuildScene();
-    });
+  controllerMap.postSize = unitController(gui, params, 'postSize', 'in', 'Post size', 0.5, 12)
+    .onChange(rebuildScene);
+
+  controllerMap.beamSize = unitController(gui, params, 'beamSize', 'in', 'Beam size', 0.5, 12)
+    .onChange(rebuildScene);
+
+  controllerMap.memberProfile = gui
+    .add(params, 'memberProfile', PROFILES)
+    .name('Member profile')
+    .onChange(rebuildScene);
+
+  controllerMap.braceProfile = gui
+    .add(params, 'braceProfile', PROFILES)
+    .name('Brace profile')
+    .onChange(rebuildScene);
 
-  controllerMap.topClearance = gui
-    .add(params, 'topClearance', 1, params.corridorHeight)
-    .name('Top clearance (ft)')
+  controllerMap.braceSize = unitController(gui, params, 'braceSize', 'in', 'Brace size', 0.5, 12)
     .onChange(rebuildScene);
 
-  controllerMap.postSize = gui
-    .add(params, 'postSize', 0.5, 12)
-    .name('Post size (in)')
+  controllerMap.mounting = gui
+    .add(params, 'mounting', { 'Floor‑standing': 'floor', 'Trapeze (hung)': 'trapeze' })
+    .name('Mounting')
     .onChange(rebuildScene);
 
-  controllerMap.beamSize = gui
-    .add(params, 'beamSize', 0.5, 12)
-    .name('Beam size (in)')
+  controllerMap.rodDiameter = unitController(gui, params, 'rodDiameter', 'in', 'Rod diameter', 0.25, 1.5, 0.125)
+    .onChange(rebuildScene);
+
+  controllerMap.rodSpacing = unitController(gui, params, 'rodSpacing', 'ft', 'Rod spacing', 2, 20)
     .onChange(rebuildScene);
 
   controllerMap.tierCount = gui
@@ -247,7 +520,25 @@ export function setupGUI(scene, params, camera, controls, mats) {
 
   // 5) Initial build
   buildTierUI();
+  buildBayUI();
+  buildRunUI();
   rebuildScene();
 
+  rebuildTierUI = () => { buildTierUI(); buildBayUI(); buildRunUI(); };
+
   return rebuildScene;
 }
+
+/**
+ * Re-sync the GUI after `params` was replaced from outside the GUI
+ * (project file, chat …): re-runs the array guards, re-applies the unit
+ * system, rebuilds the tier folders and refreshes every top-level controller.
+ */
+export function refreshGUI(params) {
+  ensureArrays(params);
+  syncArrays(params);
+  syncBays(params);
+  setUnitSystem(params.units);
+  rebuildTierUI?.();
+  Object.values(controllerMap).forEach(c => c.updateDisplay());
+}
@@ -0,0 +1,222 @@
+// takeoff.js
+import * as THREE from 'three';
+import { downloadFile } from './utils.js';
+import { createPanel, htmlTable } from './uiPanel.js';
+import { memberSection, DEFAULT_TUBE_WALL_IN } from './sections.js';
+import { unitSystem, isMetric, unitLabel, toDisplay, sizeValue } from './units.js';
+
+const M2IN = 1 / 0.0254;
+
+const round = (v, d = 2) => Math.round(v * 10 ** d) / 10 ** d;
+
+/** Cut length of a straight member = its longest side before placing (inches) */
+function memberLengthIn(mesh) {
+  const geom = mesh.geometry;
+  if (!geom.boundingBox) geom.computeBoundingBox();
+  const { x, y, z } = geom.boundingBox.getSize(new THREE.Vector3());
+  return Math.max(x, y, z) * M2IN;
+}
+
+const MEMBER_NAMES = { post: 'Post', brace: 'Brace', rod: 'Hanger rod' };
+
+/** '4×4' for a square tube, '1.625 strut' for a strut channel, 'Ø0.5 rod' */
+export const sectionLabel = (sectionIn, profile) =>
+  profile === 'strut' ? `${sectionIn} strut` :
+  profile === 'rod'   ? `Ø${sectionIn} rod`  : `${sectionIn}×${sectionIn}`;
+
+/**
+ * Add `lengthIn` to the bucket `key` of `map`, creating it from `init()`.
+ * Counts a run, or a bend (`ud.elbow` fitting at a turn of the run).
+ */
+function tally(map, key, init, lengthIn, bend = false) {
+  const row = map.get(key) ?? { ...init(), qty: 0, lengthFt: 0 };
+  if (bend) row.bends = (row.bends ?? 0) + 1;
+  else      row.qty  += 1;
+  row.lengthFt += lengthIn / 12;
+  map.set(key, row);
+  return row;
+}
+
+/**
+ * Quantity takeoff of every generated element in the scene.
+ *
+ * @param {THREE.Object3D} scene
+ * @param {number} [wallIn]  Square‑tube wall used for the weight estimate
+ *                           (strut channel is always 12 ga)
+ * @returns {{ steel:object[], steelBySection:object[], steelTotals:object,
+ *             pipes:object[], ducts:object[], trays:object[] }}
+ *          lengths in ft, cut lengths in inches, weights in lb, areas in ft²
+ */
+export function computeTakeoff(scene, wallIn = DEFAULT_TUBE_WALL_IN) {
+  const steel = new Map(), pipes = new Map(), ducts = new Map(), trays = new Map();
+
+  scene.children.forEach(root => {
+    if (!root.userData.isGenerated) return;
+    root.traverse(o => {
+      const ud = o.userData;
+      switch (ud.kind) {
+        case 'post':
+        case 'beam':
+        case 'brace':
+        case 'rod': {
+          const member    = MEMBER_NAMES[ud.kind] ?? `${ud.role === 'longitudinal' ? 'Longitudinal' : 'Transverse'} beam`;
+          const profile   = ud.kind === 'rod' ? 'rod' : ud.profile ?? 'square';
+          const sectionIn = ud.kind === 'rod' ? ud.diamIn : ud.sectionIn;
+          const cutIn     = round(memberLengthIn(o), 3);
+          tally(steel, `${member}|${profile}|${sectionIn}|${cutIn}`,
+            () => ({ member, profile, sectionIn, cutLengthIn: cutIn }), cutIn);
+          break;
+        }
+        // bends at run turns carry their centre‑line length as `lengthIn`
+        case 'pipe':
+          tally(pipes, ud.diamIn, () => ({ diamIn: ud.diamIn }),
+            ud.lengthIn ?? o.geometry.parameters.height * M2IN, ud.elbow);
+          break;
+        case 'duct': {
+          const row = tally(ducts, `${ud.widthIn}x${ud.heightIn}`,
+            () => ({ widthIn: ud.widthIn, heightIn: ud.heightIn, areaFt2: 0 }),
+            ud.lengthIn ?? o.geometry.parameters.width * M2IN, ud.elbow);
+          row.areaFt2 = row.lengthFt * 2 * (ud.widthIn + ud.heightIn) / 12;
+          break;
+        }
+        case 'tray': {
+          const rail = o.children.find(c => c.userData.part === 'rail');
+          tally(trays, `${ud.style}|${ud.widthIn}`,
+            () => ({ style: ud.style, widthIn: ud.widthIn }),
+            ud.lengthIn ?? rail.geometry.parameters.width * M2IN, ud.elbow);
+          break;
+        }
+      }
+    });
+  });
+
+  const steelRows = [...steel.values()].map(r => ({
+    ...r,
+    lengthFt: round(r.lengthFt),
+    weightLb: round(r.lengthFt * memberSection(r.profile, r.sectionIn, wallIn).weightPlf, 1)
+  }));
+
+  const bySection = new Map();
+  steelRows.forEach(r => {
+    const key = `${r.profile}|${r.sectionIn}`;
+    const s = bySection.get(key) ?? { profile: r.profile, sectionIn: r.sectionIn, lengthFt: 0, weightLb: 0 };
+    s.lengthFt += r.lengthFt;
+    s.weightLb += r.weightLb;
+    bySection.set(key, s);
+  });
+  const steelBySection = [...bySection.values()].map(s => ({
+    profile: s.profile, sectionIn: s.sectionIn, lengthFt: round(s.lengthFt), weightLb: round(s.weightLb, 1)
+  }));
+
+  const finish = map => [...map.values()].map(r => {
+    const out = { ...r, lengthFt: round(r.lengthFt) };
+    if ('areaFt2' in r) out.areaFt2 = round(r.areaFt2);
+    return out;
+  });
+
+  return {
+    steel: steelRows,
+    steelBySection,
+    steelTotals: {
+      members : steelRows.reduce((s, r) => s + r.qty, 0),
+      lengthFt: round(steelRows.reduce((s, r) => s + r.lengthFt, 0)),
+      weightLb: round(steelRows.reduce((s, r) => s + r.weightLb, 0), 1)
+    },
+    pipes: finish(pipes),
+    ducts: finish(ducts),
+    trays: finish(trays)
+  };
+}
+
+/* ---------- display units ---------- */
+/* key suffix → [unit, metric suffix, decimals]; ft² before ft */
+const METRIC_KEYS = [['Ft2', 'ft2', 'M2', 2], ['In', 'in', 'Mm', 1], ['Ft', 'run', 'M', 2], ['Lb', 'lb', 'Kg', 1]];
+
+/**
+ * The takeoff in the current unit system: as is in imperial, else every
+ * `…In` / `…Ft` / `…Lb` / `…Ft2` value converted and renamed (`…Mm`,
+ * `…M`, `…Kg`, `…M2`).  Tagged with `units`.
+ */
+export function takeoffInUnits(t) {
+  const row = r => isMetric() ? Object.fromEntries(Object.entries(r).map(([k, v]) => {
+    const m = typeof v === 'number' && METRIC_KEYS.find(([suffix]) => k.endsWith(suffix));
+    return m ? [k.slice(0, -m[0].length) + m[2], round(toDisplay(v, m[1]), m[3])] : [k, v];
+  })) : r;
+  return {
+    units: unitSystem(),
+    ...Object.fromEntries(Object.entries(t).map(([k, v]) => [k, Array.isArray(v) ? v.map(row) : row(v)]))
+  };
+}
+
+/* ---------- report tables (shared by the panel and CSV) ---------- */
+function reportTables(t) {
+  const L = unitLabel('in'), R = unitLabel('run'), W = unitLabel('lb');
+  const len = v => round(toDisplay(v, 'run'));
+  const wt  = v => round(toDisplay(v, 'lb'), 1);
+  const section = r => sectionLabel(sizeValue(r.sectionIn), r.profile);
+  return [
+    ['Steel members', [
+      ['Member', `Section (${L})`, `Cut length (${L})`, 'Qty', `Total length (${R})`, `Weight (${W})`],
+      ...t.steel.map(r => [r.member, section(r), sizeValue(r.cutLengthIn), r.qty, len(r.lengthFt), wt(r.weightLb)])
+    ]],
+    ['Steel by section', [
+      [`Section (${L})`, `Length (${R})`, `Weight (${W})`],
+      ...t.steelBySection.map(r => [section(r), len(r.lengthFt), wt(r.weightLb)]),
+      ['Total', len(t.steelTotals.lengthFt), wt(t.steelTotals.weightLb)]
+    ]],
+    ['Pipes', [
+      [`Diameter (${L})`, 'Runs', 'Bends', `Length (${R})`],
+      ...t.pipes.map(r => [sizeValue(r.diamIn), r.qty, r.bends ?? 0, len(r.lengthFt)])
+    ]],
+    ['Ducts', [
+      [`Size (${L})`, 'Runs', 'Bends', `Length (${R})`, `Surface area (${unitLabel('ft2')})`],
+      ...t.ducts.map(r => [`${sizeValue(r.widthIn)}×${sizeValue(r.heightIn)}`, r.qty, r.bends ?? 0,
+        len(r.lengthFt), round(toDisplay(r.areaFt2, 'ft2'))])
+    ]],
+    ['Cable trays', [
+      ['Style', `Width (${L})`, 'Runs', 'Bends', `Length (${R})`],
+      ...t.trays.map(r => [r.style, sizeValue(r.widthIn), r.qty, r.bends ?? 0, len(r.lengthFt)])
+    ]]
+  ];
+}
+
+const csvCell = v => /[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v);
+
+export function takeoffToCSV(t) {
+  return reportTables(t)
+    .map(([title, rows]) => [title, ...rows.map(r => r.map(csvCell).join(','))].join('\n'))
+    .join('\n\n') + '\n';
+}
+
+/* ---------- GUI + panel ---------- */
+/**
+ * Add the "Takeoff" folder (show / export) and its panel.
+ * Returns `refresh()`, to be called after every scene rebuild.
+ */
+export function initTakeoff(gui, scene, params) {
+  const panel = createPanel('Material takeoff', { left: '140px', bottom: '20px' });
+  const takeoff = () => computeTakeoff(scene, params.structure?.tubeWallIn);
+
+  function render() {
+    const t = takeoff();
+    panel.setContent(reportTables(t)
+      .filter(([, rows]) => rows.length > 1)
+      .map(([title, rows]) => `<div style="margin:6px 0 2px;font-weight:bold">${title}</div>` + htmlTable(rows))
+      .join(''));
+  }
+
+  const actions = {
+    show      : () => { render(); panel.show(); },
+    exportCSV : () => downloadFile('rack-takeoff.csv', takeoffToCSV(takeoff()), 'text/csv'),
+    exportJSON: () => downloadFile('rack-takeoff.json',
+      JSON.stringify(takeoffInUnits(takeoff()), null, 2), 'application/json')
+  };
+
+  const folder = gui.addFolder('Takeoff');
+  folder.add(actions, 'show').name('Show takeoff');
+  folder.add(actions, 'exportCSV').name('Export CSV');
+  folder.add(actions, 'exportJSON').name('Export JSON');
+  folder.close();
+
+  return () => { if (panel.root.style.display !== 'none') render(); };
+}
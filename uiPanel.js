@@ -0,0 +1,80 @@
+// uiPanel.js
+
+/**
+ * Floating result panel in the same look as the chat widget.
+ *
+ * @param {string} title
+ * @param {object} [position]  CSS offsets, e.g. `{ right:'20px', bottom:'20px' }`
+ * @returns {{ root:HTMLElement, body:HTMLElement, show:function, hide:function,
+ *             toggle:function, setContent:function }}
+ */
+export function createPanel(title, position = { right: '20px', bottom: '20px' }) {
+  const root = document.createElement('div');
+  Object.assign(root.style, {
+    position:      'absolute',
+    width:         '340px',
+    maxHeight:     '40vh',
+    background:    'rgba(255,255,255,0.95)',
+    border:        '1px solid #ccc',
+    borderRadius:  '4px',
+    display:       'none',
+    flexDirection: 'column',
+    fontFamily:    'sans-serif',
+    fontSize:      '0.85em',
+    zIndex:        '1000',
+    boxShadow:     '0 2px 8px rgba(0,0,0,0.2)',
+    ...position
+  });
+  document.body.appendChild(root);
+
+  const heading = document.createElement('div');
+  Object.assign(heading.style, {
+    display:        'flex',
+    justifyContent: 'space-between',
+    alignItems:     'center',
+    padding:        '8px',
+    fontWeight:     'bold',
+    background:     '#f0f0f0',
+    borderBottom:   '1px solid #ddd'
+  });
+  heading.textContent = title;
+  root.appendChild(heading);
+
+  const close = document.createElement('span');
+  close.textContent = '✕';
+  close.style.cursor = 'pointer';
+  close.addEventListener('click', () => hide());
+  heading.appendChild(close);
+
+  const body = document.createElement('div');
+  Object.assign(body.style, { overflowY: 'auto', padding: '8px' });
+  root.appendChild(body);
+
+  const show   = () => { root.style.display = 'flex'; };
+  const hide   = () => { root.style.display = 'none'; };
+  const toggle = (on = root.style.display === 'none') => (on ? show() : hide());
+
+  /** Replace the body with an HTML string or a DOM node */
+  function setContent(content) {
+    body.replaceChildren();
+    if (typeof content === 'string') body.innerHTML = content;
+    else body.appendChild(content);
+  }
+
+  return { root, body, show, hide, toggle, setContent };
+}
+
+/** Escape text for use inside `innerHTML` */
+export const escapeHTML = s => String(s).replace(/[&<>"']/g, c => (
+  { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]
+));
+
+/** Render an array of row arrays as a compact HTML table (first row = header) */
+export function htmlTable(rows) {
+  const [head, ...data] = rows;
+  const cell = (tag, v) => `<${tag} style="text-align:left;padding:2px 6px">${escapeHTML(v)}</${tag}>`;
+  return '<table style="border-collapse:collapse;width:100%">' +
+    `<tr style="border-bottom:1px solid #ddd">${head.map(v => cell('th', v)).join('')}</tr>` +
+    data.map(r => `<tr>${r.map(v => cell('td', v)).join('')}</tr>`).join('') +
+    '</table>';
+}
@@ -0,0 +1,147 @@
+// units.js
+import { ftIn } from './utils.js';
+
+/* ---------- unit systems ----------
+   `params` always holds the builders' units (rack dimensions in ft,
+   sections and services in inches, loads in lb …).  The unit system only
+   changes what the GUI, panels, annotations, exports and the chat show and
+   accept, so switching it never touches the design.  `params.units`
+   records the choice with the project. */
+export const UNIT_SYSTEMS = { 'Imperial (ft, in)': 'imperial', 'Metric (mm)': 'metric' };
+
+/* internal unit → label per system, and the factor to the metric one */
+const UNITS = {
+  ft : { imperial: 'ft',     metric: 'mm',    factor: 304.8 },          // rack dimensions
+  in : { imperial: 'in',     metric: 'mm',    factor: 25.4 },           // sections, services, offsets
+  run: { imperial: 'ft',     metric: 'm',     factor: 0.3048 },         // quantities
+  lb : { imperial: 'lb',     metric: 'kg',    factor: 0.45359237 },
+  ft2: { imperial: 'ft²',    metric: 'm²',    factor: 0.09290304 },
+  plf: { imperial: 'lb/ft',  metric: 'kg/m',  factor: 1.48816394 },
+  pcf: { imperial: 'lb/ft³', metric: 'kg/m³', factor: 16.0184634 },
+  ksi: { imperial: 'ksi',    metric: 'MPa',   factor: 6.89475729 }
+};
+
+let system = 'imperial';
+const controllers = new Set();             // unit‑aware GUI controllers, relabelled on a switch
+
+export const unitSystem = () => system;
+export const isMetric   = () => system === 'metric';
+
+/** Switch the display units and relabel / re‑range every unit‑aware controller */
+export function setUnitSystem(s) {
+  system = s === 'metric' ? 'metric' : 'imperial';
+  controllers.forEach(c => {
+    if (c.domElement.isConnected) applyUnit(c);
+    else controllers.delete(c);                     // its folder was rebuilt
+  });
+}
+
+/** Label of an internal unit in the current system, e.g. 'in' → 'mm' */
+export const unitLabel = unit => UNITS[unit][system];
+
+/** Internal value → current display units (float noise trimmed in metric) */
+export const toDisplay = (v, unit) =>
+  system === 'metric' ? parseFloat((v * UNITS[unit].factor).toPrecision(10)) : v;
+
+/** Display value → internal units */
+export const fromDisplay = (v, unit) =>
+  system === 'metric' ? parseFloat((v / UNITS[unit].factor).toPrecision(12)) : v;
+
+/* ---------- GUI controllers ---------- */
+const decade = v => 10 ** Math.floor(Math.log10(v));
+
+function applyUnit(c) {
+  const { unit, name, min, max, step } = c.unitSpec;
+  c.name(`${name} (${unitLabel(unit)})`);
+  if (min != null && max != null) {
+    if (system === 'metric') {
+      const f = UNITS[unit].factor;
+      const s = decade(step != null ? step * f : (max - min) * f / 1000);
+      c.min(Math.floor(min * f / s) * s).max(Math.ceil(max * f / s) * s).step(s, step != null);
+    } else {
+      c.min(min).max(max).step(step ?? (max - min) / 1000, step != null);
+    }
+  }
+  c.updateDisplay();
+}
+
+/**
+ * Number controller for `object[key]`, held in `unit` ('ft', 'in', 'plf',
+ * 'pcf', 'ksi') and shown in the current unit system.  `name` is the label
+ * without its unit; `min` / `max` / `step` are in internal units (no step
+ * = lil‑gui's implicit one).  The controller keeps `key` as its property.
+ */
+export function unitController(folder, object, key, unit, name, min, max, step) {
+  const proxy = Object.defineProperty({}, key, {
+    get: () => toDisplay(object[key], unit),
+    set: v => { object[key] = fromDisplay(v, unit); },
+    enumerable: true
+  });
+  const c = folder.add(proxy, key);
+  c.unitSpec = { unit, name, min, max, step };
+  applyUnit(c);
+  controllers.add(c);
+  return c;
+}
+
+/** New slider range (internal units) of a {@link unitController} */
+export function setUnitRange(c, min, max) {
+  Object.assign(c.unitSpec, { min, max });
+  applyUnit(c);
+  return c;
+}
+
+/** Slider range of a controller in internal units, or null */
+export function controllerRange(c) {
+  if (!c) return null;
+  return c.unitSpec ? [c.unitSpec.min, c.unitSpec.max] : [c._min, c._max];
+}
+
+/* ---------- formatting ---------- */
+const trim = (v, d = 2) => String(Math.round(v * 10 ** d) / 10 ** d);
+
+/** Length (in) as a dimension: feet‑inches to 1/8″, or whole millimetres */
+export const formatLength = inches => system === 'metric' ? `${Math.round(inches * 25.4)} mm` : ftIn(inches);
+
+/**
+ * Section / service size(s) (in), joined by `sep`: `18×16″`, or
+ * `457.2×406.4 mm` (to 0.1 mm).  `mark` is the imperial inch sign.
+ */
+export function formatSize(sizes, { sep = '×', mark = '″' } = {}) {
+  const list = [].concat(sizes);
+  return system === 'metric'
+    ? `${list.map(v => trim(v * 25.4, 1)).join(sep)} mm`
+    : `${list.map(v => trim(v)).join(sep)}${mark}`;
+}
+
+/** A size (in) as a bare number in display units: inches, or mm to 0.1 */
+export const sizeValue = inches => system === 'metric' ? +trim(inches * 25.4, 1) : inches;
+
+/* ---------- params ---------- */
+/** Internal unit of every dimension in `params` (objects: per key of each element) */
+export const PARAM_UNITS = {
+  corridorWidth: 'ft', corridorHeight: 'ft', ceilingHeight: 'ft',
+  bayWidth: 'ft', bayWidths: 'ft', depth: 'ft', topClearance: 'ft', rodSpacing: 'ft', tierHeights: 'ft',
+  ceilingDepth: 'in', slabDepth: 'in', wallThickness: 'in',
+  postSize: 'in', beamSize: 'in', braceSize: 'in', rodDiameter: 'in',
+  ductWidths: 'in', ductHeights: 'in', ductOffsets: 'in',
+  pipesPerTier: { diam: 'in', side: 'in', vert: 'in' },
+  traysPerTier: { width: 'in', railHeight: 'in', side: 'in', vert: 'in' },
+  segments    : { corridorWidth: 'ft', bayWidths: 'ft' },
+  structure   : { tubeWallIn: 'in', fyKsi: 'ksi', eKsi: 'ksi', insulationIn: 'in',
+                  insulationPcf: 'pcf', trayLoadPlf: 'plf' }
+};
+
+function convert(value, unit, fn) {
+  if (value == null || !unit) return value;
+  if (Array.isArray(value)) return value.map(v => convert(v, unit, fn));
+  if (typeof unit === 'string') return typeof value === 'number' ? fn(value, unit) : value;
+  if (typeof value !== 'object') return value;
+  return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, convert(v, unit[k], fn)]));
+}
+
+/** Copy of `params` (or a partial patch of it) in display units */
+export const paramsToDisplay = p => convert(p, PARAM_UNITS, toDisplay);
+
+/** Copy of a params patch given in display units, back in internal units */
+export const paramsFromDisplay = p => convert(p, PARAM_UNITS, fromDisplay);
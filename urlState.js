@@ -0,0 +1,108 @@
+// urlState.js
+import { PROJECT_FORMAT, PROJECT_VERSION, parseProject } from './projectIO.js';
+
+const HASH_KEY    = 'rack';
+const DEBOUNCE_MS = 400;
+
+/* ---------- compression (deflate‑raw + base64url) ---------- */
+async function pipeThrough(bytes, stream) {
+  const out = new Blob([bytes]).stream().pipeThrough(stream);
+  return new Uint8Array(await new Response(out).arrayBuffer());
+}
+
+async function compress(text) {
+  const bytes = await pipeThrough(new TextEncoder().encode(text), new CompressionStream('deflate-raw'));
+  let bin = '';
+  bytes.forEach(b => { bin += String.fromCharCode(b); });
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+async function decompress(b64) {
+  const bin   = atob(b64.replace(/-/g, '+').replace(/_/g, '/'));
+  const bytes = Uint8Array.from(bin, c => c.charCodeAt(0));
+  return new TextDecoder().decode(await pipeThrough(bytes, new DecompressionStream('deflate-raw')));
+}
+
+/* ---------- camera view <-> plain object ---------- */
+const round = v => Math.round(v * 1000) / 1000;
+
+export function captureView(camera, controls) {
+  return {
+    position: camera.position.toArray().map(round),
+    target  : controls.target.toArray().map(round),
+    zoom    : round(camera.zoom),
+    projection: camera.isPerspectiveCamera ? 'perspective' : 'ortho'
+  };
+}
+
+export function applyView(view, camera, controls) {
+  camera.position.fromArray(view.position);
+  controls.target.fromArray(view.target);
+  if (view.zoom && camera.isOrthographicCamera) camera.zoom = view.zoom;
+  camera.updateProjectionMatrix();
+  controls.update();
+}
+
+/* ---------- encode / decode ---------- */
+/**
+ * Encode the design (and optionally the camera view) into a URL fragment
+ * of the form `#rack=<deflated base64url JSON>`.
+ */
+export async function encodeState(params, view = null) {
+  const doc = { format: PROJECT_FORMAT, version: PROJECT_VERSION, params };
+  if (view) doc.view = view;
+  return `#${HASH_KEY}=${await compress(JSON.stringify(doc))}`;
+}
+
+/**
+ * Decode a fragment produced by {@link encodeState}.  Returns the migrated
+ * project document (`{ params, view? }`) or `null` if the hash holds no rack.
+ */
+export async function decodeState(hash = location.hash) {
+  const m = hash.match(new RegExp(`[#&]${HASH_KEY}=([\\w-]+)`));
+  if (!m) return null;
+  return parseProject(await decompress(m[1]));
+}
+
+/**
+ * Keep `location.hash` in step with the design.  Returns `{ schedule, link }`:
+ * `schedule()` queues a debounced update (history.replaceState, so browser
+ * history is not flooded) and `link()` resolves with the full share URL.
+ *
+ * @param {object}   params
+ * @param {function} getView  Returns the current view, or null to omit it
+ * @param {function} onLoad   Called with a decoded document when the user
+ *                            pastes a different link into the address bar
+ */
+export function initURLSync(params, getView, onLoad) {
+  let timer   = null;
+  let written = location.hash;
+
+  async function write() {
+    timer   = null;
+    written = await encodeState(params, getView());
+    history.replaceState(history.state, '', written);
+  }
+
+  function schedule() {
+    clearTimeout(timer);
+    timer = setTimeout(write, DEBOUNCE_MS);
+  }
+
+  async function link() {
+    if (timer) { clearTimeout(timer); await write(); }
+    return location.href;
+  }
+
+  addEventListener('hashchange', async () => {
+    if (location.hash === written) return;
+    try {
+      const doc = await decodeState();
+      if (doc) { written = location.hash; onLoad(doc); }
+    } catch (err) {
+      console.warn('Ignoring invalid rack link:', err);
+    }
+  });
+
+  return { schedule, link };
+}
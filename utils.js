@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { strutOutline, STRUT_GAUGE_IN } from './sections.js';
 
 /* ---------- unit helpers ---------- */
 const FT2M = 0.3048;
@@ -8,6 +9,45 @@ export const in2m  = inch => inch * IN2M;
 export const ft2in = ft   => ft   * 12;
 export const dispose = g => g.traverse(o => o.isMesh && o.geometry?.dispose());
 
+/** Inches as feet‑inches, e.g. 98.5 → `8'-2 1/2"` (to the nearest 1/8″) */
+export function ftIn(inches) {
+  const sign = inches < -1e-3 ? '-' : '';
+  let eighths = Math.round(Math.abs(inches) * 8);
+  const ft = Math.floor(eighths / 96);
+  eighths -= ft * 96;
+  const whole = Math.floor(eighths / 8);
+  let frac = eighths % 8, den = 8;
+  while (frac && frac % 2 === 0) { frac /= 2; den /= 2; }
+  return `${sign}${ft}'-${whole}${frac ? ` ${frac}/${den}` : ''}"`;
+}
+
+/* ---------- bays ---------- */
+/** Width of every bay (ft): `p.bayWidths[i]` where set, else `p.bayWidth` */
+export function bayWidthsOf(p) {
+  return Array.from({ length: p.bayCount }, (_, i) => p.bayWidths?.[i] ?? p.bayWidth);
+}
+
+/** Overall length of the bays, frame to frame (ft) */
+export const runLengthFt = p => bayWidthsOf(p).reduce((sum, w) => sum + w, 0);
+
+/** Frame X positions (m), frame 1 at −length / 2 */
+function frameXs(p) {
+  let x = -ft2m(runLengthFt(p)) / 2;
+  return [x, ...bayWidthsOf(p).map(w => (x += ft2m(w)))];
+}
+
+/* ---------- file helpers ---------- */
+/** Offer `data` (string or Blob) to the user as a download named `filename`. */
+export function downloadFile(filename, data, type = 'application/octet-stream') {
+  const blob = data instanceof Blob ? data : new Blob([data], { type });
+  const url  = URL.createObjectURL(blob);
+  const a    = document.createElement('a');
+  a.href     = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
 function addEdges(mesh, color = 0x333333, lineWidth = 0.5, opacity = 0.5) {
   const geometry = new THREE.EdgesGeometry(mesh.geometry);
   const material = new THREE.LineBasicMaterial({ color, linewidth: lineWidth });
@@ -17,6 +57,90 @@ function addEdges(mesh, color = 0x333333, lineWidth = 0.5, opacity = 0.5) {
   mesh.add(edges);
 }
 
+/* ---------- member profiles ---------- */
+/**
+ * Geometry of a straight member `lenM` long on the local `axis`
+ * ('x' | 'y' | 'z') and `sizeM` square: a box for the 'square' profile,
+ * a lipped strut channel with its slot facing `open` (a unit vector
+ * square to the axis) for 'strut'.
+ */
+export function memberGeometry(profile, sizeM, lenM, axis, open) {
+  const dims = { x: sizeM, y: sizeM, z: sizeM, [axis]: lenM };
+  if (profile !== 'strut') return new THREE.BoxGeometry(dims.x, dims.y, dims.z);
+
+  const shape = new THREE.Shape(strutOutline(sizeM, in2m(STRUT_GAUGE_IN)).map(([x, y]) => new THREE.Vector2(x, y)));
+  const geom  = new THREE.ExtrudeGeometry(shape, { depth: lenM, bevelEnabled: false });
+  geom.translate(0, 0, -lenM / 2);
+  const along = new THREE.Vector3(+(axis === 'x'), +(axis === 'y'), +(axis === 'z'));
+  const side  = new THREE.Vector3().crossVectors(open, along);
+  return geom.applyMatrix4(new THREE.Matrix4().makeBasis(side, open, along));   // slot +Y → open, extrusion → axis
+}
+
+/* ---------- hanger rods ---------- */
+const ROD_TAIL_IN    = 2;                       // rod below the lowest beam (nuts, washer)
+const SLEEVE_GAP_IN  = 0.5;                     // annular gap of a ceiling sleeve
+const penetrationMat = new THREE.MeshStandardMaterial({
+  name: 'Penetration', color: 0xff7a1a, emissive: 0x552000, metalness: 0.2, roughness: 0.6
+});
+
+/**
+ * Hanger rods of a suspended (trapeze) rack, in segment coordinates (m).
+ *
+ * A rod pair hangs on the post lines at every frame the segment owns (see
+ * {@link buildRack}), plus intermediate trapezes where a bay is wider
+ * than `rodSpacing`.  Rods run from the underside of the roof slab to a
+ * little below the lowest beam, so they pass through the intermediate
+ * ceiling when the rack hangs below it (`throughCeiling`).
+ *
+ * @returns {{ stations: object[], rods: object[], top: number,
+ *             bottom: number, radius: number, throughCeiling: boolean }}
+ *          `stations` `{ x, bay, station?, corner? }` (station = 1‑based
+ *          intermediate trapeze in bay `bay`), `rods` the same plus `z`
+ *          and `side`
+ */
+export function hangerLayout(p) {
+  const xs        = frameXs(p);
+  const dz        = ft2m(p.depth) / 2;
+  const mitre     = p.joinStart ? -p.joinStart.turn / 2 : 0;
+  const lastFrame = p.joinEnd ? p.bayCount - 1 : p.bayCount;
+  const spacing   = ft2m(p.rodSpacing ?? Infinity);
+
+  const stations = [];
+  for (let i = 0; i <= lastFrame; i++) {
+    stations.push(i === 0 && p.joinStart ? { x: xs[i], bay: 1, corner: true } : { x: xs[i], bay: i + 1 });
+    if (i === p.bayCount) break;
+    const n = Math.ceil((xs[i + 1] - xs[i]) / spacing - 1e-6);      // panels of this bay
+    for (let j = 1; j < n; j++) stations.push({ x: xs[i] + (xs[i + 1] - xs[i]) * j / n, bay: i + 1, station: j });
+  }
+  const rods = stations.flatMap(st => [-dz, dz].map(z => ({
+    ...st, x: st.x + (st.corner ? z * Math.tan(mitre) : 0), z, side: z > 0 ? 'front' : 'back'
+  })));
+
+  const beamM  = in2m(p.beamSize);
+  const top    = ft2m(p.corridorHeight);
+  const bottom = ft2m(p.topClearance) - p.tierHeights.reduce((sum, h) => sum + ft2m(h), 0)
+    - (p.tierCount + 1) * beamM - in2m(ROD_TAIL_IN);
+  const ceilM  = ft2m(p.ceilingHeight);
+  return {
+    stations, rods, top, bottom,
+    radius: in2m(p.rodDiameter ?? 0.5) / 2,
+    throughCeiling: ceilM > 0 && bottom < ceilM && top > ceilM - in2m(p.ceilingDepth)
+  };
+}
+
+/* ---------- segment joints ---------- */
+/**
+ * How far a line at lateral offset `z` runs past the end of its segment
+ * before it meets the neighbour's line at offset `zOther`, when the run
+ * turns by `turn` (rad, positive = left) at that joint.  Works for the
+ * start of a segment too (distance before the start).  0 on a straight
+ * joint.
+ */
+function jointExtension(z, zOther, turn) {
+  const sin = Math.sin(turn);
+  return Math.abs(sin) < 1e-6 ? 0 : (zOther - z * Math.cos(turn)) / sin;
+}
+
 /**
  * Build a parametric pallet‑rack frame and return it as a {@link THREE.Group}.
  *
@@ -35,95 +159,255 @@ function addEdges(mesh, color = 0x333333, lineWidth = 0.5, opacity = 0.5) {
  *   *bottom* of every tier.  
  * - The centre‑line of the roof beam is positioned at **`topClearance` ft**.  
  * - Tiers are defined *top‑to‑bottom* by their clear heights `tierHeights[]`.
+ * - **Braces** run node to node between a tier's bottom beams and the beams
+ *   above it: X = both diagonals, K = two diagonals from mid‑height of the
+ *   first post.  With `memberProfile: 'strut'` every member is a lipped strut
+ *   channel, slot facing into the rack (beams across it: slot up).
  *
  * @param {Object} p                         Rack parameters (feet unless noted)
  * @param {number} p.bayCount                Number of bays along X (≥ 1)
- * @param {number} p.bayWidth                Clear width of each bay (ft)
+ * @param {number} p.bayWidth                Default bay width, frame to frame (ft)
+ * @param {number[]} [p.bayWidths]           Per‑bay widths (ft); unset bays
+ *                                           use `bayWidth`
+ * @param {boolean[]} [p.bayOmitBottomBeam]  Per bay: leave out the bottom
+ *                                           longitudinal beams (e.g. a
+ *                                           door opening)
  * @param {number} p.depth                   Overall rack depth (ft, along Z)
  * @param {number} p.postSize                Post width × depth (inches)
  * @param {number} p.beamSize                Beam depth × width (inches)
+ * @param {string} [p.memberProfile='square'] Posts and beams: 'square' tube
+ *                                           or 'strut' channel
+ * @param {string[]} [p.tierRails]           Per tier: longitudinal beams at
+ *                                           the tier's bottom beams – 'none',
+ *                                           'front', 'back' or 'both' (roof
+ *                                           and lowest level always have them)
+ * @param {object[]} [p.bracingPerTier]      Per tier: `{ type: 'none'|'X'|'K',
+ *                                           sides: 'front'|'back'|'both'|'none',
+ *                                           bays: [], frames: [] }` – diagonal
+ *                                           bracing in the listed bays of the
+ *                                           long faces and the listed frames
+ *                                           (1‑based, of every run segment)
+ * @param {number} [p.braceSize]             Brace section (inches, default
+ *                                           `beamSize`)
+ * @param {string} [p.braceProfile='square'] Brace profile, as `memberProfile`
+ * @param {string} [p.mounting='floor']      'floor' (posts) or 'trapeze':
+ *                                           hung on rods from the roof slab
+ *                                           (see {@link hangerLayout})
+ * @param {number} [p.rodDiameter=0.5]       Hanger rod diameter (inches)
+ * @param {number} [p.rodSpacing]            Max. hanger spacing along the
+ *                                           run (ft)
  * @param {number} p.topClearance            Y‑coord of roof‑beam centre (ft)
  * @param {number[]} p.tierHeights           Clear tier heights *top → bottom* (ft)
  *                                           `tierHeights.length` = tier count
  * @param {THREE.Material} [p.material]      Optional override for the steel
  *                                           material; defaults to `steelMat`
+ * @param {object} [p.joinStart]             Joint with the previous segment
+ *                                           of a turning run (`{ turn }`, rad):
+ *                                           frame 1 becomes the mitred corner
+ *                                           frame and the rails run to it
+ * @param {object} [p.joinEnd]               Joint with the next segment: the
+ *                                           last frame is left to the next
+ *                                           segment's corner frame
  *
  * @returns {THREE.Group} A group containing all posts and beams that make up
  *                        the rack.  Child meshes share the material
- *                        `p.material || steelMat`.
+ *                        `p.material || steelMat` and are tagged in
+ *                        `userData` (`kind`, `bay`, `tier`, `side`, `role`,
+ *                        `sectionIn`, `profile`); braces are `kind: 'brace'`
+ *                        with `face` ('front' | 'back' | 'frame') and `type`.
  */
 export function buildRack(p, steelMat){
   const mat   = p.material ?? steelMat;
   const g     = new THREE.Group();
 
   /* -- pre‑compute common metric dimensions -- */
-  const lenM   = ft2m(p.bayCount * p.bayWidth);   // overall length (m)
+  const xs     = frameXs(p);                      // frame X positions (m)
   const depthM = ft2m(p.depth);                   // overall depth  (m)
   const postM  = in2m(p.postSize);                // post size      (m)
   const beamM  = in2m(p.beamSize);                // beam size      (m)
   const roofY  = ft2m(p.topClearance);            // roof beam Y    (m)
   const tiersM = p.tierHeights.map(ft2m);         // clear tier heights [m]
   const totalH = tiersM.reduce((s,h)=>s+h,0) + (p.tierCount - 1) * beamM;     // total clear height (Sum of all tiers + (number of tiers - 1 )* beamM)
-  const dx = lenM/2, dz = depthM/2;               // half‑extents
+  const dz = depthM/2;                            // half‑depth
+  const profile = p.memberProfile ?? 'square';
 
   /* -- reusable geometries ------------------------------------------------- */
-  const postGeom = new THREE.BoxGeometry(postM, totalH, postM);
-  const longGeom = new THREE.BoxGeometry(lenM + postM, beamM, beamM);       // X beams
-  const tranGeom = new THREE.BoxGeometry(beamM, beamM, depthM - postM);     // Z beams
+  const UP     = new THREE.Vector3(0, 1, 0);
+  const inward = z => new THREE.Vector3(0, 0, -Math.sign(z));              // strut slots face into the rack
+  const postGeoms = [-dz, dz].map(z => memberGeometry(profile, postM, totalH, 'y', inward(z)));   // back, front
+  const tranGeom  = memberGeometry(profile, beamM, depthM - postM, 'z', UP);    // Z beams
+
+  /* -- joints with neighbouring segments (turning runs) -------------------- */
+  const mitre     = p.joinStart ? -p.joinStart.turn / 2 : 0;                // corner frame yaw
+  const cornerGeom = p.joinStart
+    && memberGeometry(profile, beamM, depthM / Math.cos(mitre) - postM, 'z', UP);
+  const lastFrame = p.joinEnd ? p.bayCount - 1 : p.bayCount;                // next segment owns the shared frame
+
+  /* frame `i` (0‑based) on the post line `z`: on the mitre line at a turn */
+  const nodeX = (i, z) => xs[i] + (
+    i === 0 && p.joinStart          ? z * Math.tan(mitre) :
+    i === p.bayCount && p.joinEnd   ? jointExtension(z, z, p.joinEnd.turn) : 0);
+
+  /* -- vertical posts, or hanger rods for a trapeze rack ------------------ */
+  const hang = p.mounting === 'trapeze' ? hangerLayout(p) : null;
+  if (hang) {
+    const rodGeom = new THREE.CylinderGeometry(hang.radius, hang.radius, hang.top - hang.bottom, 12);
+    hang.rods.forEach(({ x, z, bay, side, station, corner }) => {
+      const rod = new THREE.Mesh(rodGeom, mat);
+      rod.userData = { kind: 'rod', bay, side, diamIn: p.rodDiameter ?? 0.5 };
+      if (station) rod.userData.station = station;
+      if (corner) rod.userData.corner = true;
+      if (hang.throughCeiling) rod.userData.throughCeiling = true;
+      rod.position.set(x, (hang.top + hang.bottom) / 2, z);
+      g.add(rod);
+      addEdges(rod);
+    });
+  }
 
-  /* -- vertical posts ---------------------------------------------------- */
   /* There are (bayCount + 1) frames along X and two frames (front/back) along Z. */
   const zRows = [-dz,  dz];                        // back row, front row
-  for (let bay = 0; bay <= p.bayCount; bay++) {    // walk bays left ➜ right
-    const x = -dx + ft2m(bay * p.bayWidth);        // X‑position of this frame
+  for (let bay = 0; !hang && bay <= lastFrame; bay++) {     // walk bays left ➜ right
+    const corner = bay === 0 && !!p.joinStart;     // mitred frame at a turn
     for (const z of zRows) {                       // place back & front posts
-      const post = new THREE.Mesh(postGeom, mat);
+      const post = new THREE.Mesh(postGeoms[z > 0 ? 1 : 0], mat);
+      post.userData = {
+        kind: 'post', bay: bay + 1, side: z > 0 ? 'front' : 'back', sectionIn: p.postSize, profile
+      };
+      if (corner) post.userData.corner = true;
       post.position.set(
-        x,                     // length direction
+        nodeX(bay, z),                             // length direction (on the mitre line at a turn)
         roofY - ( tiersM.reduce((s,h)=>s+h,0) + (p.tierCount + 1) * beamM) / 2,    // centre‑Y so post sits on the floor
         z                      // depth direction (back / front)
       );
+      post.rotation.y = corner ? mitre : 0;
       g.add(post);
       addEdges(post); // add edges for visibility
     }
   }
 
 /* ---------- beam levels: roof + bottom of each tier -------------------- */
-const levels = new Set();
-levels.add(roofY - beamM / 2);               // roof‑beam centre‑line
+const levels = new Map();                    // centre‑line Y → tier (0 = roof)
+levels.set(roofY - beamM / 2, 0);            // roof‑beam centre‑line
 let cursor = roofY;               // cursor for tier heights
 
 for (let i = 0; i < p.tierCount; i++) { // walk tiers upward
   const h = tiersM[i];            // height of this tier
   const bottomBeam = cursor - ((i + 1) * beamM )- h - beamM/2     // cursor to bottom of this tier
-  levels.add(bottomBeam);        // bottom‑beam centre‑line
+  if (!levels.has(bottomBeam)) levels.set(bottomBeam, i + 1); // bottom‑beam centre‑line
   cursor -= h;                  // move cursor down to next tier
 }
 
 
-const levelList   = [...levels];             // array for min/max searches
+const levelList   = [...levels.keys()];      // array for min/max searches
 const topLevel    = Math.max(...levelList);  // highest beam elevation
 const bottomLevel = Math.min(...levelList);  // lowest  beam elevation
-
-/* ---------- longitudinal beams: ONLY at top & bottom ------------------- */
-[topLevel, bottomLevel].forEach(y => {
-  [dz, -dz].forEach(z => {
-    const rail = new THREE.Mesh(longGeom, mat);
-    rail.position.set(0, y, z);
-    g.add(rail);
-    addEdges(rail);
+const levelOf     = tier => levelList.find(y => levels.get(y) === tier);    // beam centre‑line of a tier (0 = roof)
+
+/* ---------- longitudinal beams: top, bottom and chosen tiers ------------ */
+/* one rail per run of bays; omitted bottom bays split the bottom rails */
+const spans = omit => {
+  const out = [];
+  for (let i = 0; i < p.bayCount; i++) {
+    if (omit[i]) continue;
+    if (out.length && out.at(-1)[1] === i) out.at(-1)[1] = i + 1;
+    else out.push([i, i + 1]);
+  }
+  return out;
+};
+const SIDES = { both: [dz, -dz], front: [dz], back: [-dz], none: [] };
+const railLevels = [
+  { y: topLevel,    level: 'top',    zs: SIDES.both },
+  { y: bottomLevel, level: 'bottom', zs: SIDES.both, omit: p.bayOmitBottomBeam },
+  ...p.tierHeights.map((_, i) => ({ y: levelOf(i + 1), level: 'tier', tier: i + 1, zs: SIDES[p.tierRails?.[i]] ?? [] }))
+    .filter(({ y }) => y !== undefined && y !== topLevel && y !== bottomLevel)
+];
+railLevels.forEach(({ y, level, tier, zs, omit }) => {
+  spans(omit ?? []).forEach(([a, b]) => {
+    zs.forEach(z => {
+      // ends overhang their posts; at a turn the rail stops on the mitre line
+      const x0 = xs[a] - (a === 0 && p.joinStart ? jointExtension(z, z, p.joinStart.turn) : postM / 2);
+      const x1 = xs[b] + (b === p.bayCount && p.joinEnd ? jointExtension(z, z, p.joinEnd.turn) : postM / 2);
+      const rail = new THREE.Mesh(memberGeometry(profile, beamM, x1 - x0, 'x', inward(z)), mat);
+      rail.userData = {
+        kind: 'beam', role: 'longitudinal', sectionIn: p.beamSize, profile,
+        level, side: z > 0 ? 'front' : 'back'
+      };
+      if (tier) rail.userData.tier = tier;
+      if (a > 0 || b < p.bayCount) rail.userData.bays = [a + 1, b];
+      rail.position.set((x0 + x1) / 2, y, z);
+      g.add(rail);
+      addEdges(rail);
+    });
   });
 });
 
 /* ---------- transverse beams: at every level --------------------------- */
 levelList.forEach(y => {
-  for (let i = 0; i <= p.bayCount; i++) {
-    const x = -dx + ft2m(i * p.bayWidth);
-    const tr = new THREE.Mesh(tranGeom, mat);
+  for (let i = 0; i <= lastFrame; i++) {
+    const x = xs[i];
+    const corner = i === 0 && !!p.joinStart;
+    const tr = new THREE.Mesh(corner ? cornerGeom : tranGeom, mat);
+    tr.userData = {
+      kind: 'beam', role: 'transverse', sectionIn: p.beamSize, profile, tier: levels.get(y), bay: i + 1
+    };
+    if (corner) tr.userData.corner = true;
     tr.position.set(x, y, 0);
+    tr.rotation.y = corner ? mitre : 0;
     g.add(tr);
     addEdges(tr);
   }
+  // intermediate trapezes of a hung rack
+  hang?.stations.filter(st => st.station).forEach(({ x, bay, station }) => {
+    const tr = new THREE.Mesh(tranGeom, mat);
+    tr.userData = {
+      kind: 'beam', role: 'transverse', sectionIn: p.beamSize, profile, tier: levels.get(y), bay, station
+    };
+    tr.position.set(x, y, 0);
+    g.add(tr);
+    addEdges(tr);
+  });
+});
+
+/* ---------- diagonal bracing ------------------------------------------- */
+/* node to node on the post / beam centre lines; K braces meet at mid‑height of the first post */
+const braceM       = in2m(p.braceSize ?? p.beamSize);
+const braceProfile = p.braceProfile ?? 'square';
+const diagonals = (type, u0, u1, y0, y1) => type === 'K'
+  ? [[u0, (y0 + y1) / 2, u1, y0], [u0, (y0 + y1) / 2, u1, y1]]
+  : [[u0, y0, u1, y1], [u1, y0, u0, y1]];
+
+const addBrace = (a, b, axis, open, ud) => {
+  const dir   = b.clone().sub(a);
+  const brace = new THREE.Mesh(memberGeometry(braceProfile, braceM, dir.length(), axis, open), mat);
+  brace.userData = { kind: 'brace', sectionIn: p.braceSize ?? p.beamSize, profile: braceProfile, ...ud };
+  brace.position.copy(a).add(b).multiplyScalar(0.5);
+  brace.quaternion.setFromUnitVectors(axis === 'x' ? new THREE.Vector3(1, 0, 0) : new THREE.Vector3(0, 0, 1), dir.normalize());
+  g.add(brace);
+  addEdges(brace);
+};
+
+(p.bracingPerTier ?? []).slice(0, p.tierCount).forEach((cfg, i) => {
+  if (cfg?.type !== 'X' && cfg?.type !== 'K') return;
+  const tier = i + 1;
+  const y0 = levelOf(tier), y1 = levelOf(tier - 1);          // this tier's beams, the beams above
+  if (y0 === undefined || y1 === undefined) return;
+
+  // long faces: between the two frames of a bay
+  (SIDES[cfg.sides] ?? SIDES.both).forEach(z => {
+    [...new Set(cfg.bays ?? [])].filter(b => b >= 1 && b <= p.bayCount).forEach(bay => {
+      diagonals(cfg.type, 0, 1, y0, y1).forEach(([f0, ya, f1, yb], index) => addBrace(
+        new THREE.Vector3(nodeX(bay - 1 + f0, z), ya, z), new THREE.Vector3(nodeX(bay - 1 + f1, z), yb, z),
+        'x', inward(z), { tier, bay, face: z > 0 ? 'front' : 'back', type: cfg.type, index }));
+    });
+  });
+
+  // frames: back post to front post (not the mitred corner frame)
+  [...new Set(cfg.frames ?? [])].filter(f => f >= 1 && f - 1 <= lastFrame && !(f === 1 && p.joinStart)).forEach(frame => {
+    const x = xs[frame - 1];
+    diagonals(cfg.type, -dz, dz, y0, y1).forEach(([za, ya, zb, yb], index) => addBrace(
+      new THREE.Vector3(x, ya, za), new THREE.Vector3(x, yb, zb),
+      'z', new THREE.Vector3(1, 0, 0), { tier, bay: frame, face: 'frame', type: cfg.type, index }));
+  });
 });
 
 return g;
@@ -157,16 +441,27 @@ return g;
  * @param {number} p.corridorHeight   Total corridor height  (ft, along Y)
  * @param {number} p.ceilingHeight    Height of the **intermediate** ceiling (ft)
  * @param {THREE.Material} [p.material=shellMat] Optional material override
+ * @param {object} [p.joinStart]      Joint with the previous segment
+ *                                    (`{ turn, corridorWidth }`): walls run
+ *                                    on to meet the previous segment's walls
+ * @param {object} [p.joinEnd]        Joint with the next segment: walls meet
+ *                                    the next segment's, and a wedge of each
+ *                                    slab fills the outside of the corner
+ * @param {string} [p.mounting]       'trapeze': hanger rods that cross the
+ *                                    ceiling get a sleeve (see
+ *                                    {@link hangerLayout})
  *
  * @returns {THREE.Group} Group containing five meshes:
  *  * floor, ceiling, roof slabs (XY‑planes)  
  *  * front & back walls   (XZ‑planes)
+ *  * plus three corner wedges at a turning `joinEnd`
+ *  * plus one `part: 'penetration'` sleeve per hanger rod through the ceiling
  */
 export function buildShell(p, wallMaterial, ceilingMaterial, floorMaterial, roofMaterial){
   const s   = new THREE.Group();
 
   /* -- metric dimensions -------------------------------------------------- */
-  const lenM    = ft2m(p.bayCount * p.bayWidth); // little allowance
+  const lenM    = ft2m(runLengthFt(p));         // little allowance
   const widthM  = ft2m(p.corridorWidth);
   const heightM = ft2m(p.corridorHeight);
   const ceilM   = ft2m(p.ceilingHeight);
@@ -178,18 +473,35 @@ export function buildShell(p, wallMaterial, ceilingMaterial, floorMaterial, roof
 
   /* -- horizontal slabs ---------------------------------------------------- */
   const floor = new THREE.Mesh(slabGeom, floorMaterial);
+  floor.userData = { kind: 'shell', part: 'floor' };
   floor.position.y = -in2m(p.slabDepth)/2;                     // floor at Y=0
   floor.rotation.x = -Math.PI/2;            // make it horizontal
   s.add(floor);
   addEdges(floor, 0x333333, 0.5, 0.6);
 
   const ceiling = new THREE.Mesh(ceilingGeom, ceilingMaterial);
+  ceiling.userData = { kind: 'shell', part: 'ceiling' };
   ceiling.rotation.x = -Math.PI/2;
   ceiling.position.y = ceilM - in2m(p.ceilingDepth)/2; // ceiling at Y=ceilM
   s.add(ceiling);
   addEdges(ceiling, 0x333333, 0.5, 0.1);
 
+  /* -- sleeves where the hanger rods of a trapeze rack cross the ceiling --- */
+  const hang = p.mounting === 'trapeze' && hangerLayout(p);
+  if (hang?.throughCeiling) {
+    const sleeveR = hang.radius + in2m(SLEEVE_GAP_IN);
+    const sleeveGeom = new THREE.CylinderGeometry(sleeveR, sleeveR, in2m(p.ceilingDepth + 2), 16);
+    hang.rods.forEach(({ x, z, bay, side, station }) => {
+      const sleeve = new THREE.Mesh(sleeveGeom, penetrationMat);
+      sleeve.userData = { kind: 'shell', part: 'penetration', bay, side };
+      if (station) sleeve.userData.station = station;
+      sleeve.position.set(x, ceilM - in2m(p.ceilingDepth) / 2, z);
+      s.add(sleeve);
+    });
+  }
+
   const roof = new THREE.Mesh(slabGeom, roofMaterial);
+  roof.userData = { kind: 'shell', part: 'roof' };
   roof.rotation.x =  Math.PI/2;
   roof.position.y = heightM + in2m(p.slabDepth)/2; // roof at Y=heightM
   s.add(roof);
@@ -197,17 +509,59 @@ export function buildShell(p, wallMaterial, ceilingMaterial, floorMaterial, roof
 
   /* -- vertical walls ------------------------------------------------------ */
   const dz = widthM/2 + in2m(p.wallThickness/2); 
-  const back = new THREE.Mesh(wallGeom, wallMaterial);
-  back.position.set(0, heightM/2, -dz);
+  const wallZ = widthFt => ft2m(widthFt) / 2 + in2m(p.wallThickness / 2);   // wall centre‑line offset
+  /* wall from x0 to x1: to the ends of the run, or on to the neighbour's wall at a turn */
+  const wallSpan = z => {
+    const side = Math.sign(z);
+    const x0 = -lenM/2 - (p.joinStart ? jointExtension(z, side * wallZ(p.joinStart.corridorWidth), p.joinStart.turn) : 0);
+    const x1 =  lenM/2 + (p.joinEnd   ? jointExtension(z, side * wallZ(p.joinEnd.corridorWidth),   p.joinEnd.turn)   : 0);
+    return { geom: p.joinStart || p.joinEnd
+      ? new THREE.BoxGeometry(x1 - x0, heightM, in2m(p.wallThickness)) : wallGeom, x: (x0 + x1) / 2 };
+  };
+
+  const backSpan = wallSpan(-dz);
+  const back = new THREE.Mesh(backSpan.geom, wallMaterial);
+  back.userData = { kind: 'shell', part: 'wall', side: 'back' };
+  back.position.set(backSpan.x, heightM/2, -dz);
   s.add(back);
   addEdges(back, 0x333333, 0.5, 0.1);
 
-  const front = new THREE.Mesh(wallGeom, wallMaterial);
+  const frontSpan = wallSpan(dz);
+  const front = new THREE.Mesh(frontSpan.geom, wallMaterial);
+  front.userData = { kind: 'shell', part: 'wall', side: 'front' };
   front.rotation.y = Math.PI;              // flip normal inward
-  front.position.set(0, heightM/2,  dz);
+  front.position.set(frontSpan.x, heightM/2,  dz);
   s.add(front);
   addEdges(front, 0x333333, 0.5, 0.1);
 
+  /* -- corner wedges: the slabs end square, so fill the outside of a turn -- */
+  const turn = p.joinEnd?.turn ?? 0;
+  if (Math.abs(turn) > 1e-6) {
+    const out = -Math.sign(turn);            // outside of the corner (+Z for a left turn)
+    const nextWidthM = ft2m(p.joinEnd.corridorWidth);
+    const wedge = (halfHere, halfNext, thick) => {
+      // plan triangle: joint centre, this slab's outer corner, the next slab's outer corner
+      const shape = new THREE.Shape([
+        new THREE.Vector2(lenM/2, 0),
+        new THREE.Vector2(lenM/2, out * halfHere),
+        new THREE.Vector2(lenM/2 + out * halfNext * Math.sin(turn), out * halfNext * Math.cos(turn))
+      ]);
+      return new THREE.ExtrudeGeometry(shape, { depth: thick, bevelEnabled: false })
+        .rotateX(Math.PI/2);                 // shape Y → world Z, extruded downwards from Y = 0
+    };
+    [
+      ['floor',   floorMaterial,   widthM,   nextWidthM,   in2m(p.slabDepth),    0],
+      ['ceiling', ceilingMaterial, widthM/2, nextWidthM/2, in2m(p.ceilingDepth), ceilM],
+      ['roof',    roofMaterial,    widthM,   nextWidthM,   in2m(p.slabDepth),    heightM + in2m(p.slabDepth)]
+    ].forEach(([part, material, halfHere, halfNext, thick, top]) => {
+      const m = new THREE.Mesh(wedge(halfHere, halfNext, thick), material);
+      m.userData = { kind: 'shell', part, corner: true };
+      m.position.y = top;
+      s.add(m);
+      addEdges(m, 0x333333, 0.5, 0.1);
+    });
+  }
+
   return s;
 }
 
@@ -226,20 +580,36 @@ export function bottomBeamCenterY(p, idx){
   return y;
 }
 
+/**
+ * X extent of a straight service run: 6″ past the end frames at a free
+ * end, or up to the start of the bend (`join.trim`) at a segment joint.
+ */
+function serviceSpan(p) {
+  const half = ft2m(runLengthFt(p)) / 2;
+  const x0 = p.joinStart ? -half + p.joinStart.trim : -half - in2m(6);
+  const x1 = p.joinEnd   ?  half - p.joinEnd.trim   :  half + in2m(6);
+  const lenM = Math.max(x1 - x0, 1e-3);          // short segment between two bends
+  return { lenM, midX: (x0 + x1) / 2 };
+}
+
 /* ---------- duct builder ---------- */
 export function buildDuct(p, ductMat){
-  const lenM = ft2m(p.bayCount * p.bayWidth);
+  const { lenM, midX } = serviceSpan(p);
   const geom = new THREE.BoxGeometry(
-    lenM + in2m(12), // length (X-axis) with slight overhang
+    lenM, // length (X-axis) with slight overhang
     in2m(p.ductHeight),
     in2m(p.ductWidth)
   );
   const duct = new THREE.Mesh(geom, ductMat);
+  duct.userData = {
+    kind: 'duct', tier: p.ductTier,
+    widthIn: p.ductWidth, heightIn: p.ductHeight, offsetIn: p.ductOffset
+  };
 
   const beamM = in2m(p.beamSize);
   const bottom = bottomBeamCenterY(p, p.ductTier) + beamM/2; // top of bottom beam
   duct.position.set(
-    0,                                           // X stays centred
+    midX,                                        // X centred on its span
     bottom + in2m(p.ductHeight)/2,               // Y (unchanged)
     in2m(p.ductOffset)                           // Z side‑shift ★ NEW
   );
@@ -265,7 +635,8 @@ export function buildDuct(p, ductMat){
    - Horizontally centered and offset by `sideOffIn` (left-right).
 
    Returns:
-   - A THREE.Group containing all pipe meshes for the tier.
+   - A THREE.Group containing all pipe meshes for the tier; each mesh is
+     tagged with userData { kind:'pipe', tier, index, diamIn, … }.
    ========================================================================= */
 export function buildPipesFlexible(p, tierIdx, pipes, pipeMat) {
   const normalise = o => ({
@@ -276,7 +647,7 @@ export function buildPipesFlexible(p, tierIdx, pipes, pipeMat) {
 
   pipes = pipes.map(normalise);
 
-  const lenM  = ft2m(p.bayCount * p.bayWidth) + in2m(12); // pipe length (X-axis) with slight overhang
+  const { lenM, midX } = serviceSpan(p); // pipe length (X-axis) with slight overhang
   const beamM = in2m(p.beamSize);
 
   const g = new THREE.Group();
@@ -286,7 +657,7 @@ export function buildPipesFlexible(p, tierIdx, pipes, pipeMat) {
   const tierBottomY  = bottomBeamCenterY(p, tierIdx) + beamM / 2;
   const tierTopY     = tierBottomY + tierHeightM;
 
-  pipes.forEach(({ diamIn, sideOffIn, vertOffIn }) => {
+  pipes.forEach(({ diamIn, sideOffIn, vertOffIn }, index) => {
     const rM = in2m(diamIn) / 2;
     const geom = new THREE.CylinderGeometry(rM, rM, lenM, 32);
     geom.rotateZ(Math.PI / 2); // X-axis pipe
@@ -300,13 +671,96 @@ export function buildPipesFlexible(p, tierIdx, pipes, pipeMat) {
     y = THREE.MathUtils.clamp(y, minY, maxY);
 
     const mesh = new THREE.Mesh(geom, pipeMat);
+    mesh.userData = { kind: 'pipe', tier: tierIdx, index, diamIn, sideOffIn, vertOffIn };
     mesh.position.set(
-      0,              // X (centered)
+      midX,           // X (centred on its span)
       y,              // Y (adjusted)
       in2m(sideOffIn) // Z
     );
     g.add(mesh);
   });
 
+  return g;
+}
+/* =========================================================================
+   buildCableTray()
+   -------------------------------------------------------------------------
+   Builds one or more cable trays per tier, running along the X-axis.
+
+   • tierIdx   : 1-based index of the tier the trays belong to
+   • trays[]   : array of tray descriptors; each tray has:
+                   - style      : 'ladder' (rails + rungs) | 'solid' (solid bottom)
+                   - width      : inside width (inches, along Z)
+                   - railHeight : side-rail height (inches)
+                   - side       : horizontal offset of the tray centre (inches)
+                   - vert       : vertical offset from bottom beam (inches)
+   • trayMat   : THREE.Material instance for the trays
+
+   Trays rest on the top of the tier's bottom beam plus `vert`, clamped to
+   stay within the tier, like the pipes.
+
+   Returns:
+   - A THREE.Group holding one sub-group per tray, tagged with
+     userData { kind:'tray', tier, index, style, widthIn, … }.
+   ========================================================================= */
+export const TRAY_SHEET_IN    = 0.125;   // rail / bottom plate thickness (in)
+const TRAY_RUNG_IN     = 1;       // rung width along the run (in)
+const TRAY_RUNG_PITCH  = 9;       // rung spacing (in)
+
+export function buildCableTray(p, tierIdx, trays, trayMat) {
+  const { lenM, midX } = serviceSpan(p);                  // same overhang as ducts/pipes
+  const beamM = in2m(p.beamSize);
+  const tM    = in2m(TRAY_SHEET_IN);
+
+  const tierBottomY = bottomBeamCenterY(p, tierIdx) + beamM / 2;
+  const tierTopY    = tierBottomY + ft2m(p.tierHeights[tierIdx - 1]);
+
+  const g = new THREE.Group();
+
+  trays.forEach(({ style, width, railHeight, side, vert }, index) => {
+    const wM = in2m(width);
+    const hM = in2m(railHeight);
+
+    const tray = new THREE.Group();
+    tray.userData = {
+      kind: 'tray', tier: tierIdx, index, style,
+      widthIn: width, railHeightIn: railHeight, sideOffIn: side, vertOffIn: vert
+    };
+
+    // side rails
+    const railGeom = new THREE.BoxGeometry(lenM, hM, tM);
+    [-1, 1].forEach(s => {
+      const rail = new THREE.Mesh(railGeom, trayMat);
+      rail.userData.part = 'rail';
+      rail.position.set(0, hM / 2, s * (wM + tM) / 2);
+      tray.add(rail);
+      addEdges(rail);
+    });
+
+    // bottom: rungs or a solid plate
+    if (style === 'solid') {
+      const plate = new THREE.Mesh(new THREE.BoxGeometry(lenM, tM, wM), trayMat);
+      plate.userData.part = 'bottom';
+      plate.position.y = tM / 2;
+      tray.add(plate);
+      addEdges(plate);
+    } else {
+      const rungGeom = new THREE.BoxGeometry(in2m(TRAY_RUNG_IN), tM * 4, wM);
+      const pitch = in2m(TRAY_RUNG_PITCH);
+      const count = Math.floor(lenM / pitch);
+      for (let i = 0; i <= count; i++) {
+        const rung = new THREE.Mesh(rungGeom, trayMat);
+        rung.userData.part = 'rung';
+        rung.position.set(-lenM / 2 + (lenM - count * pitch) / 2 + i * pitch, tM * 2, 0);
+        tray.add(rung);
+      }
+    }
+
+    // Position: bottom beam top + offset, clamped within tier
+    const y = THREE.MathUtils.clamp(tierBottomY + in2m(vert), tierBottomY, tierTopY - hM);
+    tray.position.set(midX, y, in2m(side));
+    g.add(tray);
+  });
+
   return g;
 }
\ No newline at end of file
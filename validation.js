@@ -0,0 +1,222 @@
+// validation.js
+import { ft2in } from './utils.js';
+import { ensureArrays, syncArrays } from './setupGUI.js';
+import { createPanel, htmlTable } from './uiPanel.js';
+import { formatLength, formatSize } from './units.js';
+
+/* ---------- rules ----------
+   Each rule looks at the whole params model and returns its issues:
+   `{ message, keys }`, `keys` = the controllerMap entries to mark.
+   Errors are designs that cannot be built (and AI changes that cause
+   them are rejected); warnings build, but probably not as intended. */
+const ft = v => formatLength(ft2in(v));
+const sizes = p => [p, ...(p.segments ?? [])];
+
+/* stack of a rack: tiers plus a beam under each and the roof beam (ft) */
+const stackFt = p => p.tierHeights.slice(0, p.tierCount).reduce((s, h) => s + h, 0) + (p.tierCount + 1) * p.beamSize / 12;
+
+const POSITIVE = ['corridorWidth', 'corridorHeight', 'bayWidth', 'depth', 'topClearance', 'postSize', 'beamSize'];
+
+export const RULES = [
+  {
+    id: 'numbers', severity: 'error',
+    check: p => [
+      ...POSITIVE.filter(k => !(p[k] > 0)).map(k => ({ message: `${k} must be a positive number`, keys: [k] })),
+      ...['bayCount', 'tierCount'].filter(k => !(Number.isInteger(p[k]) && p[k] >= 1))
+        .map(k => ({ message: `${k} must be a whole number ≥ 1`, keys: [k] })),
+      ...p.tierHeights.map((h, i) => !(h > 0) && { message: `Tier ${i + 1} height must be a positive number`,
+                                                   keys: [`tierHeight_${i}`] }).filter(Boolean)
+    ]
+  },
+  {
+    id: 'topClearance', severity: 'error',
+    check: p => p.topClearance > p.corridorHeight ? [{
+      message: `Top clearance ${ft(p.topClearance)} is above the corridor height ${ft(p.corridorHeight)}`,
+      keys: ['topClearance', 'corridorHeight']
+    }] : []
+  },
+  {
+    id: 'ceilingHeight', severity: 'error',
+    check: p => p.ceilingHeight > p.corridorHeight ? [{
+      message: `Ceiling ${ft(p.ceilingHeight)} is above the corridor height ${ft(p.corridorHeight)}`,
+      keys: ['ceilingHeight', 'corridorHeight']
+    }] : []
+  },
+  {
+    id: 'depth', severity: 'error',
+    check: p => sizes(p).map((s, k) => {
+      if (k && s.corridorWidth == null) return null;                 // same corridor as segment 1
+      const width = s.corridorWidth;
+      const outside = p.depth + p.postSize / 12;                     // outside faces of the posts
+      return outside > width && {
+        message: `Rack depth ${ft(p.depth)} plus posts does not fit the ${ft(width)} corridor` +
+                 (k ? ` of segment ${k + 1}` : ''),
+        keys: ['depth', k ? `segmentWidth_${k - 1}` : 'corridorWidth']
+      };
+    }).filter(Boolean)
+  },
+  {
+    id: 'stack', severity: 'error',
+    check: p => stackFt(p) > p.topClearance + 1e-9 ? [{
+      message: `Tiers and beams need ${ft(stackFt(p))} but the top clearance is only ${ft(p.topClearance)}`,
+      keys: ['topClearance', ...p.tierHeights.map((_, i) => `tierHeight_${i}`)]
+    }] : []
+  },
+  {
+    id: 'ceiling', severity: 'error',
+    check: p => {
+      if (!(p.ceilingHeight > 0)) return [];
+      const slabBottom = p.ceilingHeight - p.ceilingDepth / 12;
+      const bottom = p.topClearance - stackFt(p);
+      return p.topClearance > slabBottom && bottom < p.ceilingHeight ? [{
+        message: `The rack (${ft(bottom)} – ${ft(p.topClearance)}) runs through the ceiling slab at ${ft(p.ceilingHeight)}`,
+        keys: ['ceilingHeight', 'topClearance']
+      }] : [];
+    }
+  },
+  {
+    id: 'services', severity: 'error',
+    check: p => p.tierHeights.flatMap((h, i) => {
+      const tierIn = ft2in(h), out = [];
+      if (p.ductEnabled[i] && p.ductHeights[i] > tierIn) out.push({
+        message: `Tier ${i + 1}: the ${formatSize([p.ductWidths[i], p.ductHeights[i]])} duct is taller than the tier`,
+        keys: [`ductHeight_${i}`, `tierHeight_${i}`]
+      });
+      if (p.pipeEnabled[i]) p.pipesPerTier[i].forEach((pipe, j) => {
+        if (pipe.diam > tierIn) out.push({
+          message: `Tier ${i + 1}: pipe ${j + 1} (${formatSize(pipe.diam)}) is larger than the tier`,
+          keys: [`pipeDiam_${i}_${j}`, `tierHeight_${i}`]
+        });
+      });
+      return out;
+    })
+  },
+  {
+    id: 'serviceFit', severity: 'warning',
+    check: p => p.tierHeights.flatMap((h, i) => {
+      const tierIn = ft2in(h), halfIn = ft2in(p.depth) / 2, out = [];
+      const overhang = (side, w) => Math.abs(side) + w / 2 > halfIn + 1e-9;
+      if (p.ductEnabled[i] && overhang(p.ductOffsets[i], p.ductWidths[i])) out.push({
+        message: `Tier ${i + 1}: the duct overhangs the rack`,
+        keys: [`ductOffset_${i}`, `ductWidth_${i}`]
+      });
+      if (p.pipeEnabled[i]) p.pipesPerTier[i].forEach((pipe, j) => {
+        if (pipe.diam <= tierIn && pipe.vert + pipe.diam > tierIn) out.push({
+          message: `Tier ${i + 1}: pipe ${j + 1} reaches into the tier above`,
+          keys: [`pipeVert_${i}_${j}`]
+        });
+        if (overhang(pipe.side, pipe.diam)) out.push({
+          message: `Tier ${i + 1}: pipe ${j + 1} overhangs the rack`,
+          keys: [`pipeSide_${i}_${j}`]
+        });
+      });
+      if (p.trayEnabled[i]) p.traysPerTier[i].forEach((tray, j) => {
+        if (tray.vert + tray.railHeight > tierIn) out.push({
+          message: `Tier ${i + 1}: tray ${j + 1} reaches into the tier above`,
+          keys: [`trayVert_${i}_${j}`, `trayRail_${i}_${j}`]
+        });
+        if (overhang(tray.side, tray.width)) out.push({
+          message: `Tier ${i + 1}: tray ${j + 1} overhangs the rack`,
+          keys: [`traySide_${i}_${j}`, `trayWidth_${i}_${j}`]
+        });
+      });
+      return out;
+    })
+  },
+  {
+    id: 'bracing', severity: 'warning',
+    check: p => {
+      const bays = Math.max(...sizes(p).map(s => s.bayCount ?? 1));
+      return (p.bracingPerTier ?? []).slice(0, p.tierCount).flatMap((b, i) => {
+        if (!b || b.type === 'none') return [];
+        const beyond = [...(b.bays ?? []).filter(n => n > bays), ...(b.frames ?? []).filter(n => n > bays + 1)];
+        return beyond.length ? [{
+          message: `Tier ${i + 1}: bracing lists bays / frames the run does not have (${beyond.join(', ')})`,
+          keys: [`braceType_${i}`]
+        }] : [];
+      });
+    }
+  }
+];
+
+/**
+ * Check the whole params model against {@link RULES}.
+ *
+ * @param {object} p  params (per‑tier arrays synced to `tierCount`)
+ * @returns {Array<{ rule:string, severity:'error'|'warning', message:string, keys:string[] }>}
+ *          errors first
+ */
+export function validateParams(p) {
+  const issues = RULES.flatMap(rule => {
+    try {
+      return rule.check(p).map(i => ({ rule: rule.id, severity: rule.severity, ...i }));
+    } catch {
+      return [{ rule: rule.id, severity: 'error', message: `Invalid parameters for the ${rule.id} check`, keys: [] }];
+    }
+  });
+  return [...issues.filter(i => i.severity === 'error'), ...issues.filter(i => i.severity === 'warning')];
+}
+
+/**
+ * Errors of `next` that `prev` did not already have (what a change broke).
+ * `next` may be a raw patch result: it is checked on a synced copy.
+ */
+export function newErrors(next, prev) {
+  const id = i => `${i.rule}|${i.keys.join(',')}`;
+  const synced = structuredClone(next);
+  ensureArrays(synced);
+  syncArrays(synced);
+  const before = new Set(validateParams(prev).filter(i => i.severity === 'error').map(id));
+  return validateParams(synced).filter(i => i.severity === 'error' && !before.has(id(i)));
+}
+
+/* ---------- GUI + panel ---------- */
+const ICON  = { error: '✖', warning: '⚠' };
+const COLOR = { error: '#e74c3c', warning: '#e6a700' };
+
+/**
+ * Add the "Design rules" folder and panel: the panel lists every issue
+ * and shows itself while there are any; offending controllers (and the
+ * folders holding them) are marked, with the message as tooltip.
+ * Returns `refresh()`, to be called after every scene rebuild.
+ */
+export function initValidation({ gui, params, controllerMap }) {
+  const settings = { enabled: true };
+  const panel = createPanel('Design rules', { right: '400px', bottom: '20px' });
+  let marked = [];                               // [element, saved shadow, saved title]
+
+  function mark(c, issue) {
+    const els = [c.domElement];
+    for (let f = c.parent; f?.parent; f = f.parent) els.push(f.$title);
+    els.forEach(el => {
+      marked.push([el, el.style.boxShadow, el.title]);
+      el.style.boxShadow = `inset 3px 0 ${COLOR[issue.severity]}`;
+      el.title = issue.message;
+    });
+  }
+
+  function refresh() {
+    marked.reverse().forEach(([el, shadow, title]) => { el.style.boxShadow = shadow; el.title = title; });
+    marked = [];
+    const issues = settings.enabled ? validateParams(params) : [];
+
+    // warnings first, so an element with both ends up marked as an error
+    [...issues].reverse().forEach(issue =>
+      issue.keys.forEach(k => { if (controllerMap[k]) mark(controllerMap[k], issue); }));
+
+    if (!issues.length) { panel.hide(); return issues; }
+    panel.setContent(htmlTable([
+      ['', 'Issue'],
+      ...issues.map(i => [ICON[i.severity], i.message])
+    ]) + '<div style="margin-top:4px;color:#666">✖ error – cannot be built as set; ⚠ warning</div>');
+    panel.show();
+    return issues;
+  }
+
+  const folder = gui.addFolder('Design rules');
+  folder.add(settings, 'enabled').name('Check design rules').onChange(refresh);
+  folder.add({ show: () => { refresh(); panel.show(); } }, 'show').name('Show design rules');
+  folder.close();
+
+  return refresh;
+}
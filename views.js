@@ -0,0 +1,151 @@
+// views.js
+import * as THREE from 'three';
+import { captureView } from './urlState.js';
+import { animateCamera } from './cameraAnimation.js';
+
+const ORTHO_DISTANCE = 30;      // max eye distance of the ortho camera (m) – stays inside its far plane
+
+const cameraListeners = [];
+
+/** Register `fn(camera)` to run whenever the active camera is swapped */
+export function onCameraChange(fn) {
+  cameraListeners.push(fn);
+}
+
+/**
+ * Saved views and the orthographic / perspective switch.
+ *
+ * The active camera is always `controls.object`.  Switching projection
+ * keeps the eye direction, the target and the visible height at the
+ * target, so a framed view looks the same in both.
+ *
+ * Bookmarks are plain `captureView()` objects plus a `name`; `list()` /
+ * `load()` move them in and out of project files.
+ *
+ * @param {object} o
+ * @param {object} o.gui
+ * @param {OrbitControls} o.controls
+ * @param {THREE.OrthographicCamera} o.orthoCamera
+ * @param {number} o.viewHeight  frustum height the ortho camera is kept at (m)
+ */
+export function initViews({ gui, controls, orthoCamera, viewHeight }) {
+  const ortho = orthoCamera;
+  const persp = new THREE.PerspectiveCamera(45, innerWidth / innerHeight, 0.01, 1000);
+  addEventListener('resize', () => {
+    persp.aspect = innerWidth / innerHeight;
+    persp.updateProjectionMatrix();
+  });
+
+  const state = { projection: controls.object.isPerspectiveCamera ? 'perspective' : 'ortho', current: '' };
+  let views = [];
+
+  /* -- projection ----------------------------------------------------------- */
+  function setProjection(kind) {
+    const from = controls.object;
+    const to = kind === 'perspective' ? persp : ortho;
+    if (from !== to) {
+      const target = controls.target;
+      const dir = from.position.clone().sub(target).normalize();
+      const tanHalf = Math.tan(THREE.MathUtils.degToRad(persp.fov / 2));
+
+      if (to === persp) {
+        const visible = viewHeight / from.zoom;                        // ortho height at the target
+        persp.position.copy(target).addScaledVector(dir, visible / 2 / tanHalf);
+      } else {
+        const dist = from.position.distanceTo(target);
+        ortho.zoom = THREE.MathUtils.clamp(viewHeight / (2 * dist * tanHalf), controls.minZoom, controls.maxZoom);
+        ortho.position.copy(target).addScaledVector(dir, Math.min(dist, ORTHO_DISTANCE));
+      }
+      to.up.copy(from.up);
+      to.quaternion.copy(from.quaternion);
+      to.updateProjectionMatrix();
+
+      controls.object = to;
+      controls.update();
+      cameraListeners.forEach(fn => fn(to));
+    }
+    state.projection = kind;
+    projectionCtrl.updateDisplay();
+  }
+
+  /* -- bookmarks ------------------------------------------------------------ */
+  const find = name => views.find(v => v.name === name);
+
+  function recall(view) {
+    setProjection(view.projection ?? 'ortho');
+    animateCamera(controls.object, controls, {
+      position: new THREE.Vector3().fromArray(view.position),
+      target  : new THREE.Vector3().fromArray(view.target),
+      zoom    : controls.object.isOrthographicCamera ? view.zoom : undefined
+    });
+    setCurrent(view.name);
+  }
+
+  function saveCurrent() {
+    const name = prompt('Name of this view:', `View ${views.length + 1}`)?.trim();
+    if (!name) return;
+    if (find(name) && !confirm(`Replace the view "${name}"?`)) return;
+    views = views.filter(v => v.name !== name);
+    views.push({ name, ...captureView(controls.object, controls) });
+    setCurrent(name);
+    renderList();
+  }
+
+  function updateCurrent() {
+    const view = find(state.current);
+    if (!view) return;
+    Object.assign(view, captureView(controls.object, controls));   // in place: the list's button recalls this object
+  }
+
+  function renameCurrent() {
+    const view = find(state.current);
+    if (!view) return;
+    const name = prompt('Rename view:', view.name)?.trim();
+    if (!name || name === view.name) return;
+    if (find(name)) { alert(`A view named "${name}" already exists.`); return; }
+    view.name = name;
+    setCurrent(name);
+    renderList();
+  }
+
+  function deleteCurrent() {
+    if (!find(state.current) || !confirm(`Delete the view "${state.current}"?`)) return;
+    views = views.filter(v => v.name !== state.current);
+    setCurrent('');
+    renderList();
+  }
+
+  /* -- GUI ------------------------------------------------------------------ */
+  const folder = gui.addFolder('Views');
+  const projectionCtrl = folder.add(state, 'projection', { Orthographic: 'ortho', Perspective: 'perspective' })
+    .name('Projection').onChange(setProjection);
+  folder.add({ save: saveCurrent }, 'save').name('Save current view…');
+  const currentCtrl = folder.add(state, 'current').name('Current view').disable();
+  folder.add({ update: updateCurrent }, 'update').name('Update current view');
+  folder.add({ rename: renameCurrent }, 'rename').name('Rename current view…');
+  folder.add({ remove: deleteCurrent }, 'remove').name('Delete current view');
+  const listFolder = folder.addFolder('Saved views');
+  folder.close();
+
+  function setCurrent(name) {
+    state.current = name;
+    currentCtrl.updateDisplay();
+  }
+
+  function renderList() {
+    listFolder.controllers.slice().forEach(c => c.destroy());
+    views.forEach(view => listFolder.add({ go: () => recall(view) }, 'go').name(`▸ ${view.name}`));
+  }
+
+  return {
+    setProjection,
+    /** Bookmarks for the project file */
+    list: () => views.map(v => ({ ...v })),
+    /** Replace the bookmarks (e.g. from an opened project) */
+    load(list = []) {
+      views = list.filter(v => v?.name && v.position && v.target).map(v => ({ ...v }));
+      setCurrent('');
+      renderList();
+    }
+  };
+}